@@ -21,7 +21,15 @@ import bootcampRoutes from "../routes/bootcampRoutes.js";
 import courseRoutes from "../routes/courseRoutes.js";
 import userRoutes from "../routes/userRoutes.js";
 import reviewRoutes from "../routes/reviewRoutes.js";
+import auditRoutes from "../routes/auditRoutes.js";
+import trashRoutes from "../routes/trashRoutes.js";
 import errorHandler from "../middlewares/errorMiddleware.js";
+import requestContext from "../middlewares/requestContextMiddleware.js";
+import { isCookieAuthEnabled } from "../utils/cookieAuth.js";
+import scheduleJob from "../jobs/scheduler.js";
+import deleteScheduledAccounts from "../jobs/accountDeletionJob.js";
+import purgeTrash from "../jobs/trashPurgeJob.js";
+import retryFailedGeocoding from "../jobs/geocodeRetryJob.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +40,11 @@ dotenv.config({ path: path.join(__dirname, "../config/config.env") });
 // Connect to database
 connectDB();
 
+// Start background jobs
+scheduleJob("account deletion", deleteScheduledAccounts, 60 * 60 * 1000);
+scheduleJob("trash purge", purgeTrash, 60 * 60 * 1000);
+scheduleJob("geocode retry", retryFailedGeocoding, 60 * 60 * 1000);
+
 const app = express();
 
 // Middlewares
@@ -72,8 +85,14 @@ app.use(limiter);
 // Prevent http param pollution
 app.use(hpp());
 
-// Enable CORS
-app.use(cors());
+// Enable CORS, cookie authentication needs credentials from known origins
+app.use(
+  cors(
+    isCookieAuthEnabled()
+      ? { origin: process.env.CORS_ORIGIN?.split(","), credentials: true }
+      : undefined,
+  ),
+);
 
 app.get("/api/v1/redoc", (req, res) => {
   res.header("Access-Control-Allow-Origin", "*");
@@ -108,12 +127,17 @@ app.get("/api/v1/redoc", (req, res) => {
   `);
 });
 
+// Track the request id and user of every request for the audit log
+app.use(requestContext);
+
 // Mount routes
 app.use("/api/v1/bootcamps", bootcampRoutes);
 app.use("/api/v1/courses", courseRoutes);
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/reviews", reviewRoutes);
+app.use("/api/v1/audit", auditRoutes);
+app.use("/api/v1/trash", trashRoutes);
 
 // API documentation
 app.use("/api/v1/docs", swaggerUi.serve, swaggerUi.setup(specs));
@@ -0,0 +1,10 @@
+import asyncHandler from "../middlewares/asyncMiddleware.js";
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/v1/audit
+ * @access  Private/Admin
+ */
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
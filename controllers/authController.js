@@ -1,9 +1,150 @@
 import * as crypto from "node:crypto";
+import jwt from "jsonwebtoken";
 import User from "../models/UserModel.js";
+import Session from "../models/SessionModel.js";
+import Setting from "../models/SettingModel.js";
+import LoginAttempt from "../models/LoginAttemptModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import EmailChange from "../models/EmailChangeModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
 import asyncHandler from "../middlewares/asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
 import sendTokenResponse from "../utils/sendTokenResponse.js";
+import sendUserExport from "../utils/sendUserExport.js";
+import {
+  getCookieOptions,
+  isCookieAuthEnabled,
+  verifyCsrfToken,
+} from "../utils/cookieAuth.js";
 import sendEmail from "../utils/sendEmail.js";
+import { getOtpauthUri } from "../utils/totp.js";
+import { getPermissionScope } from "../utils/permissions.js";
+import { checkTransferQuota, getQuotaUsage } from "../utils/quotas.js";
+import {
+  generateCodeVerifier,
+  getCodeChallenge,
+  getOidcProvider,
+  getOidcProviderNames,
+} from "../utils/oidc.js";
+
+// Send an email with a link to verify the user's email address
+const sendVerificationEmail = async (user, req) => {
+  // Get verification token
+  const verificationToken = user.getEmailVerificationToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  // Create verification url
+  const verificationUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/verifyemail/${verificationToken}`;
+
+  const message = `You are receiving this email because an account was created with this email address. Please make a GET request to verify your email address: \n\n ${verificationUrl}`;
+
+  await sendEmail({
+    email: user.email,
+    subject: "Email Verification Token",
+    message,
+  });
+};
+
+// Reject a login while the account or IP address is locked
+const rejectLockedLogin = (lockedUntil, res, next) => {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+  res.set("Retry-After", String(retryAfter));
+
+  return next(
+    new ErrorResponse(
+      `Too many failed login attempts, please try again in ${Math.ceil(
+        retryAfter / 60
+      )} minutes!`,
+      429
+    )
+  );
+};
+
+// Record a failed login and let the user know when their account gets locked
+const registerFailedLogin = async (email, user, req) => {
+  await LoginAttempt.registerFailure("ip", req.ip);
+
+  const isLocked = await LoginAttempt.registerFailure("account", email);
+
+  if (!isLocked || !user) {
+    return;
+  }
+
+  const message = `Your account has been temporarily locked because of too many failed login attempts. If this wasn't you, please reset your password once the lock has expired.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Account Locked",
+      message,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Time after a single sign-on login during which users without a password can
+// make sensitive changes
+const SSO_REAUTHENTICATION_WINDOW = 10 * 60 * 1000;
+
+// Make sure the user proved who they are again before a sensitive change, so a
+// stolen session can not make it. Users with a password have to enter it.
+// Users who only sign in with single sign-on enter a two-factor code, or make
+// the change shortly after logging in with their identity provider. The
+// two-factor secret must be selected. Returns the error to send, if any.
+const checkReauthentication = async (user, password, req) => {
+  if (user.password) {
+    if (!password) {
+      return new ErrorResponse("Please provide your password!", 400);
+    }
+
+    return (await user.matchPassword(password))
+      ? null
+      : new ErrorResponse("Password is incorrect!", 401);
+  }
+
+  if (user.twoFactorEnabled && req.body?.code) {
+    if (!user.matchTwoFactorCode(req.body.code)) {
+      return new ErrorResponse("Invalid two-factor code!", 401);
+    }
+
+    await user.save({ validateBeforeSave: false });
+    return null;
+  }
+
+  if (
+    req.session?.loginMethod === "oidc" &&
+    Date.now() - req.session.createdAt < SSO_REAUTHENTICATION_WINDOW
+  ) {
+    return null;
+  }
+
+  return new ErrorResponse(
+    "Please log in with your identity provider again, or provide a two-factor code, to make this change!",
+    401
+  );
+};
+
+// Get the url the OpenID Connect provider sends the user back to
+const getOidcRedirectUri = (req, provider) =>
+  `${req.protocol}://${req.get("host")}/api/v1/auth/oidc/${provider}/callback`;
+
+// Finish a login, asking for a two-factor code before issuing a token
+const sendLoginResponse = async (user, req, res) => {
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: user.getMfaPendingToken(),
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+};
 
 /**
  * @desc    Register user
@@ -11,12 +152,19 @@ import sendEmail from "../utils/sendEmail.js";
  * @access  Public
  */
 export const registerUser = asyncHandler(async (req, res, next) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password } = req.body;
+
+  // New accounts always get the user role, publishers have to apply for it
+  const user = await User.create({ name, email, password, role: "user" });
 
-  // Create user
-  const user = await User.create({ name, email, password, role });
+  // The account can be used right away, the link can be resent later
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (error) {
+    console.log(error);
+  }
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 /**
@@ -34,33 +182,389 @@ export const loginUser = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Check if the account or IP address is locked
+  const lockedUntil = await LoginAttempt.getLockedUntil(email, req.ip);
+
+  if (lockedUntil) {
+    return rejectLockedLogin(lockedUntil, res, next);
+  }
+
   // Check for user
   const user = await User.findOne({ email }).select("+password");
 
   if (!user) {
+    await registerFailedLogin(email, null, req);
     return next(new ErrorResponse("Invalid credentials!", 401));
   }
 
-  // Check if password matches
+  // Check if password matches, users who only sign in with single sign-on
+  // have no password and fail like any other wrong password
   const isPasswordMatch = await user.matchPassword(password);
 
   if (!isPasswordMatch) {
+    await registerFailedLogin(email, user, req);
     return next(new ErrorResponse("Invalid credentials!", 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await LoginAttempt.reset("account", email);
+
+  req.loginMethod = "password";
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * @desc    Finish login with a two-factor code or recovery code
+ * @route   POST /api/v1/auth/login/mfa
+ * @access  Public
+ */
+export const loginWithTwoFactor = asyncHandler(async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  // Validate challenge and code
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse(
+        "Please provide the login challenge and a two-factor code or recovery code!",
+        400
+      )
+    );
+  }
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(
+      new ErrorResponse(
+        "Login challenge has expired, please log in again!",
+        401
+      )
+    );
+  }
+
+  if (decoded.purpose !== "mfa") {
+    return next(new ErrorResponse("Invalid login challenge!", 401));
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes"
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(new ErrorResponse("Invalid login challenge!", 401));
+  }
+
+  // Check if the account or IP address is locked
+  const lockedUntil = await LoginAttempt.getLockedUntil(user.email, req.ip);
+
+  if (lockedUntil) {
+    return rejectLockedLogin(lockedUntil, res, next);
+  }
+
+  // Check if two-factor code or recovery code matches
+  const isCodeMatch = code
+    ? user.matchTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isCodeMatch) {
+    await registerFailedLogin(user.email, user, req);
+    return next(new ErrorResponse("Invalid two-factor code!", 401));
+  }
+
+  await LoginAttempt.reset("account", user.email);
+
+  await user.save({ validateBeforeSave: false });
+
+  req.loginMethod = "twoFactor";
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Send a magic login link
+ * @route   POST /api/v1/auth/magiclink
+ * @access  Public
+ */
+export const sendMagicLink = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ email: req.body?.email });
+
+  if (!user) {
+    return next(new ErrorResponse("There is no user with that email!", 404));
+  }
+
+  // Get magic link token
+  const magicLinkToken = user.getMagicLinkToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  // Create magic link url
+  const magicLinkUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/magiclink/${magicLinkToken}`;
+
+  const message = `You are receiving this email because you (or someone else) has requested to log in to your account without a password. The link is valid for 15 minutes and can only be used once. Please make a POST request to: \n\n ${magicLinkUrl}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Magic Login Link",
+      message,
+    });
+
+    res.status(200).json({ success: true, data: "Email Sent!" });
+  } catch (error) {
+    console.log(error);
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse("Email could not be sent!", 500));
+  }
+});
+
+/**
+ * @desc    Login with a magic link
+ * @route   POST /api/v1/auth/magiclink/:magicLinkToken
+ * @access  Public
+ */
+export const loginWithMagicLink = asyncHandler(async (req, res, next) => {
+  // Get hashed token
+  const magicLinkToken = crypto
+    .createHash("sha256")
+    .update(req.params.magicLinkToken)
+    .digest("hex");
+
+  // Find and consume the token in one step, so a link can only be used once
+  // even if it is opened twice at the same time. Opening the link also proves
+  // the user owns the email address.
+  const user = await User.findOneAndUpdate(
+    {
+      magicLinkToken,
+      magicLinkExpire: { $gt: Date.now() },
+    },
+    {
+      $unset: { magicLinkToken: 1, magicLinkExpire: 1 },
+      emailVerified: true,
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid or expired magic link!", 400));
+  }
+
+  await LoginAttempt.reset("account", user.email);
+
+  req.loginMethod = "magicLink";
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * @desc    Get the single sign-on providers
+ * @route   GET /api/v1/auth/oidc
+ * @access  Public
+ */
+export const getOidcProviders = asyncHandler(async (req, res, next) => {
+  res.status(200).json({ success: true, data: getOidcProviderNames() });
+});
+
+/**
+ * @desc    Start a single sign-on login
+ * @route   GET /api/v1/auth/oidc/:provider
+ * @access  Public
+ */
+export const startOidcLogin = asyncHandler(async (req, res, next) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    return next(
+      new ErrorResponse(
+        `No single sign-on provider named ${req.params.provider}!`,
+        404
+      )
+    );
+  }
+
+  const state = crypto.randomBytes(16).toString("hex");
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const codeVerifier = generateCodeVerifier();
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    redirectUri: getOidcRedirectUri(req, req.params.provider),
+    state,
+    nonce,
+    codeChallenge: getCodeChallenge(codeVerifier),
+  });
+
+  // Keep the login in a signed cookie, so it can only be finished by the
+  // browser that started it. SameSite lax lets the cookie through when the
+  // provider redirects back.
+  const oidcLogin = jwt.sign(
+    { provider: req.params.provider, state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  res.cookie("oidcLogin", oidcLogin, {
+    ...getCookieOptions(new Date(Date.now() + 10 * 60 * 1000)),
+    sameSite: "lax",
+    path: "/api/v1/auth/oidc",
+  });
+
+  res.redirect(authorizationUrl);
+});
+
+/**
+ * @desc    Finish a single sign-on login
+ * @route   GET /api/v1/auth/oidc/:provider/callback
+ * @access  Public
+ */
+export const finishOidcLogin = asyncHandler(async (req, res, next) => {
+  const { code, state, error } = req.query;
+
+  let oidcLogin;
+
+  try {
+    oidcLogin = jwt.verify(req.cookies.oidcLogin, process.env.JWT_SECRET);
+  } catch (err) {
+    oidcLogin = null;
+  }
+
+  res.clearCookie("oidcLogin", { path: "/api/v1/auth/oidc" });
+
+  if (error) {
+    return next(new ErrorResponse(`Single sign-on failed: ${error}!`, 401));
+  }
+
+  if (
+    !oidcLogin ||
+    oidcLogin.provider !== req.params.provider ||
+    !code ||
+    state !== oidcLogin.state
+  ) {
+    return next(
+      new ErrorResponse(
+        "Invalid or expired single sign-on login, please try again!",
+        400
+      )
+    );
+  }
+
+  let claims;
+
+  try {
+    claims = await getOidcProvider(oidcLogin.provider).getClaims({
+      redirectUri: getOidcRedirectUri(req, oidcLogin.provider),
+      code,
+      codeVerifier: oidcLogin.codeVerifier,
+      nonce: oidcLogin.nonce,
+    });
+  } catch (err) {
+    console.log(err);
+    return next(
+      new ErrorResponse("Single sign-on failed, please try again!", 401)
+    );
+  }
+
+  const user = await User.findOrCreateByIdentity(oidcLogin.provider, claims);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(
+        "Your identity provider has not verified your email address!",
+        403
+      )
+    );
+  }
+
+  req.loginMethod = "oidc";
+  await sendLoginResponse(user, req, res);
+});
+
+/**
+ * @desc    Refresh access token and rotate refresh token
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ */
+export const refreshToken = asyncHandler(async (req, res, next) => {
+  let token = req.body?.refreshToken;
+  let fromCookie = false;
+
+  // Browser clients in cookie auth mode send the refresh token as a cookie
+  if (!token && isCookieAuthEnabled() && req.cookies.refreshToken) {
+    token = req.cookies.refreshToken;
+    fromCookie = true;
+  }
+
+  if (!token) {
+    return next(new ErrorResponse("Please provide a refresh token!", 400));
+  }
+
+  const refreshTokenHash = Session.hashToken(token);
+
+  const session = await Session.findOne({ refreshTokenHash }).select(
+    "+refreshTokenHash +previousTokenHashes"
+  );
+
+  if (!session) {
+    // A refresh token that was already rotated is being used again, so it has
+    // leaked. Revoke the whole session it belongs to.
+    const reusedSession = await Session.findOne({
+      previousTokenHashes: refreshTokenHash,
+    });
+
+    if (reusedSession) {
+      await reusedSession.revoke("reuse");
+
+      return next(
+        new ErrorResponse(
+          "Refresh token has already been used, please log in again!",
+          401
+        )
+      );
+    }
+
+    return next(new ErrorResponse("Invalid refresh token!", 401));
+  }
+
+  // Impersonation sessions can not be extended
+  if (!session.isActive || session.impersonator) {
+    return next(new ErrorResponse("Session has expired or been revoked!", 401));
+  }
+
+  if (fromCookie && !verifyCsrfToken(req, session._id)) {
+    return next(new ErrorResponse("Invalid or missing CSRF token!", 403));
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid refresh token!", 401));
+  }
+
+  await sendTokenResponse(user, 200, req, res, session);
 });
 
 /**
- * @desc    Logout user / clear cookie
- * @route   GET /api/v1/auth/logout
+ * @desc    Logout user / revoke session / clear cookie
+ * @route   POST /api/v1/auth/logout
  * @access  Private
  */
 export const logoutUser = asyncHandler(async (req, res, next) => {
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+  await req.session.revoke("logout");
+
+  res.cookie(
+    "token",
+    "none",
+    getCookieOptions(new Date(Date.now() + 10 * 1000))
+  );
+
+  res.clearCookie("refreshToken", {
+    ...getCookieOptions(),
+    path: "/api/v1/auth",
   });
+  res.clearCookie("csrfToken", { ...getCookieOptions(), httpOnly: false });
 
   res.status(200).json({ success: true, data: {} });
 });
@@ -73,9 +577,79 @@ export const logoutUser = asyncHandler(async (req, res, next) => {
 export const getCurrentUser = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
 
+  // Make it clear when an admin is acting as the user
+  if (req.impersonator) {
+    return res.status(200).json({
+      success: true,
+      data: user,
+      impersonatedBy: {
+        _id: req.impersonator._id,
+        name: req.impersonator.name,
+        email: req.impersonator.email,
+      },
+    });
+  }
+
   res.status(200).json({ success: true, data: user });
 });
 
+/**
+ * @desc    Verify email address
+ * @route   GET /api/v1/auth/verifyemail/:verificationToken
+ * @access  Public
+ */
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(req.params.verificationToken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid Token!", 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: "Email Verified!" });
+});
+
+/**
+ * @desc    Resend email verification
+ * @route   POST /api/v1/auth/verifyemail
+ * @access  Private
+ */
+export const resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return next(new ErrorResponse("Email is already verified!", 400));
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+
+    res.status(200).json({ success: true, data: "Email Sent!" });
+  } catch (error) {
+    console.log(error);
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse("Email could not be sent!", 500));
+  }
+});
+
 /**
  * @desc    Forgot password
  * @route   POST /api/v1/auth/forgotpassword
@@ -147,7 +721,10 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
 
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Log out every existing session
+  await Session.revokeAllForUser(user._id, "passwordChange");
+
+  await sendLoginResponse(user, req, res);
 });
 
 /**
@@ -156,9 +733,17 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const updateDetails = asyncHandler(async (req, res, next) => {
+  if (req.body?.email) {
+    return next(
+      new ErrorResponse(
+        "Please use /api/v1/auth/emailchange to change your email!",
+        400
+      )
+    );
+  }
+
   const fieldsToUpdate = {
-    name: req.body.name,
-    email: req.body.email,
+    name: req.body?.name,
   };
 
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
@@ -170,20 +755,638 @@ export const updateDetails = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Update password
- * @route   PUT /api/v1/auth/updatepassword
+ * @desc    Request an email change
+ * @route   POST /api/v1/auth/emailchange
  * @access  Private
  */
-export const updatePassword = asyncHandler(async (req, res, next) => {
-  const user = await User.findById(req.user.id).select("+password");
+export const requestEmailChange = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body || {};
 
-  // Check current password
-  if (!(await user.matchPassword(req.body.currentPassword))) {
-    return next(new ErrorResponse("Password is incorrect!", 401));
+  if (!email) {
+    return next(new ErrorResponse("Please provide the new email!", 400));
   }
 
-  user.password = req.body.newPassword;
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  const reauthenticationError = await checkReauthentication(
+    user,
+    password,
+    req
+  );
+
+  if (reauthenticationError) {
+    return next(reauthenticationError);
+  }
+
+  if (email === user.email) {
+    return next(
+      new ErrorResponse("The new email is the same as the current one!", 400)
+    );
+  }
+
+  if (await User.exists({ email })) {
+    return next(new ErrorResponse("Email is already in use!", 409));
+  }
+
+  // Replace any pending email change
+  await EmailChange.deleteMany({ user: user._id });
+
+  const emailChange = new EmailChange({ user: user._id, newEmail: email });
+  const { confirmToken, cancelToken } = emailChange.generateTokens();
+
+  await emailChange.save();
+
+  const baseUrl = `${req.protocol}://${req.get("host")}/api/v1/auth/emailchange`;
+
+  try {
+    await sendEmail({
+      email,
+      subject: "Confirm Email Change",
+      message: `You are receiving this email because you (or someone else) has requested to use this email address for an account. Please confirm the change by making a GET request to: \n\n ${baseUrl}/confirm/${confirmToken}`,
+    });
+
+    await sendEmail({
+      email: user.email,
+      subject: "Email Change Requested",
+      message: `You are receiving this email because you (or someone else) has requested to change the email address of your account to ${email}. If this was not you, cancel the change by making a GET request to: \n\n ${baseUrl}/cancel/${cancelToken} \n\n and change your password.`,
+    });
+  } catch (error) {
+    console.log(error);
+    await emailChange.deleteOne();
+
+    return next(new ErrorResponse("Email could not be sent!", 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: "Please confirm the change from your new email address!",
+  });
+});
+
+/**
+ * @desc    Confirm an email change
+ * @route   GET /api/v1/auth/emailchange/confirm/:confirmToken
+ * @access  Public
+ */
+export const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  // Find and consume the email change in one step, so it is only applied once
+  const emailChange = await EmailChange.findOneAndDelete({
+    confirmTokenHash: EmailChange.hashToken(req.params.confirmToken),
+    expiresAt: { $gt: Date.now() },
+  });
+
+  if (!emailChange) {
+    return next(new ErrorResponse("Invalid or expired token!", 400));
+  }
+
+  // The confirmation proves the user owns the new address
+  const user = await User.findByIdAndUpdate(
+    emailChange.user,
+    { email: emailChange.newEmail, emailVerified: true },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid or expired token!", 400));
+  }
+
+  res.status(200).json({ success: true, data: "Email Changed!" });
+});
+
+/**
+ * @desc    Cancel an email change
+ * @route   GET /api/v1/auth/emailchange/cancel/:cancelToken
+ * @access  Public
+ */
+export const cancelEmailChange = asyncHandler(async (req, res, next) => {
+  const emailChange = await EmailChange.findOneAndDelete({
+    cancelTokenHash: EmailChange.hashToken(req.params.cancelToken),
+  });
+
+  if (!emailChange) {
+    return next(new ErrorResponse("Invalid or expired token!", 400));
+  }
+
+  res.status(200).json({ success: true, data: "Email Change Cancelled!" });
+});
+
+/**
+ * @desc    Update password
+ * @route   PUT /api/v1/auth/updatepassword
+ * @access  Private
+ */
+export const updatePassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  // Check current password
+  const reauthenticationError = await checkReauthentication(
+    user,
+    req.body?.currentPassword,
+    req
+  );
+
+  if (reauthenticationError) {
+    return next(reauthenticationError);
+  }
+
+  user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Log out every existing session, including the current one
+  await Session.revokeAllForUser(user._id, "passwordChange");
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Get the active sessions of the current user
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.user.id);
+
+  const data = sessions.map((session) => ({
+    ...session.toJSON(),
+    current: session._id.equals(req.session._id),
+  }));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+/**
+ * @desc    Revoke a session of the current user
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    user: req.user.id,
+  });
+
+  if (!session || !session.isActive) {
+    return next(
+      new ErrorResponse(
+        `No active session found with the id of ${req.params.sessionId}!`,
+        404
+      )
+    );
+  }
+
+  await session.revoke("userRevoked");
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Revoke every session of the current user except the current one
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user.id, "userRevoked", req.session._id);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Start two-factor authentication setup
+ * @route   POST /api/v1/auth/twofactor/setup
+ * @access  Private
+ */
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled!", 400)
+    );
+  }
+
+  const secret = user.generateTwoFactorSecret();
+
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUri = getOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TOTP_ISSUER,
+  });
+
+  res.status(200).json({ success: true, data: { secret, otpauthUri } });
+});
+
+/**
+ * @desc    Confirm two-factor authentication setup with a code
+ * @route   POST /api/v1/auth/twofactor/enable
+ * @access  Private
+ */
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled!", 400)
+    );
+  }
+
+  if (!user.twoFactorSecret) {
+    return next(
+      new ErrorResponse(
+        "Please start the two-factor authentication setup first!",
+        400
+      )
+    );
+  }
+
+  if (!user.matchTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid two-factor code!", 400));
+  }
+
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.generateRecoveryCodes();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: { recoveryCodes } });
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/v1/auth/twofactor/disable
+ * @access  Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled!", 400)
+    );
+  }
+
+  const settings = await Setting.getSettings();
+
+  if (settings.twoFactorRequiredRoles.includes(user.role)) {
+    return next(
+      new ErrorResponse(
+        `Two-factor authentication is required for the ${user.role} role!`,
+        403
+      )
+    );
+  }
+
+  // Check current password, users without one prove who they are with the
+  // two-factor code alone
+  if (user.password && !(password && (await user.matchPassword(password)))) {
+    return next(new ErrorResponse("Password is incorrect!", 401));
+  }
+
+  const isCodeMatch = code
+    ? user.matchTwoFactorCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isCodeMatch) {
+    return next(new ErrorResponse("Invalid two-factor code!", 401));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Replace the two-factor recovery codes
+ * @route   POST /api/v1/auth/twofactor/recoverycodes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled!", 400)
+    );
+  }
+
+  if (!user.matchTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid two-factor code!", 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: { recoveryCodes } });
+});
+
+/**
+ * @desc    Get the API keys of the current user
+ * @route   GET /api/v1/auth/apikeys
+ * @access  Private
+ */
+export const getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({
+    user: req.user.id,
+    revokedAt: { $exists: false },
+  }).sort("-createdAt");
+
+  res.status(200).json({ success: true, count: apiKeys.length, data: apiKeys });
+});
+
+/**
+ * @desc    Create an API key, the key is only returned once
+ * @route   POST /api/v1/auth/apikeys
+ * @access  Private
+ */
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes = [], expiresInDays = 90 } = req.body;
+
+  if (
+    !Number.isInteger(expiresInDays) ||
+    expiresInDays < 1 ||
+    expiresInDays > 365
+  ) {
+    return next(
+      new ErrorResponse("API keys must expire in 1 to 365 days!", 400)
+    );
+  }
+
+  if (!Array.isArray(scopes)) {
+    return next(
+      new ErrorResponse("Please add a list of scopes for the API key!", 400)
+    );
+  }
+
+  // Make sure the user has been granted every requested scope
+  const deniedScopes = scopes.filter(
+    (scope) => !getPermissionScope(req.user.role, scope)
+  );
+
+  if (deniedScopes.length) {
+    return next(
+      new ErrorResponse(
+        `User role ${req.user.role} can not grant the scopes: ${deniedScopes.join(", ")}!`,
+        403
+      )
+    );
+  }
+
+  const apiKey = new ApiKey({
+    user: req.user.id,
+    name,
+    scopes,
+    expiresAt: Date.now() + expiresInDays * 24 * 60 * 60 * 1000,
+  });
+
+  const key = apiKey.generateKey();
+
+  await apiKey.save();
+
+  res.status(201).json({ success: true, data: { ...apiKey.toJSON(), key } });
+});
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/v1/auth/apikeys/:apiKeyId
+ * @access  Private
+ */
+export const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.apiKeyId,
+    user: req.user.id,
+    revokedAt: { $exists: false },
+  });
+
+  if (!apiKey) {
+    return next(
+      new ErrorResponse(
+        `No API key found with the id of ${req.params.apiKeyId}!`,
+        404
+      )
+    );
+  }
+
+  apiKey.revokedAt = Date.now();
+  await apiKey.save();
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Schedule the deletion of the current user's account
+ * @route   DELETE /api/v1/auth/me
+ * @access  Private
+ */
+export const deleteAccount = asyncHandler(async (req, res, next) => {
+  const { password, bootcamps = "delete", transferTo } = req.body || {};
+
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastUsedStep"
+  );
+
+  const reauthenticationError = await checkReauthentication(
+    user,
+    password,
+    req
+  );
+
+  if (reauthenticationError) {
+    return next(reauthenticationError);
+  }
+
+  if (!["delete", "transfer"].includes(bootcamps)) {
+    return next(
+      new ErrorResponse(
+        "Please choose to delete or transfer your bootcamps!",
+        400
+      )
+    );
+  }
+
+  user.deletionTransferTo = undefined;
+
+  if (bootcamps === "transfer") {
+    const newOwner = transferTo && (await User.findOne({ email: transferTo }));
+
+    if (
+      !newOwner ||
+      newOwner.id === user.id ||
+      !getPermissionScope(newOwner.role, "bootcamp:update")
+    ) {
+      return next(
+        new ErrorResponse(
+          "Bootcamps can only be transferred to the email of another publisher!",
+          400
+        )
+      );
+    }
+
+    const quotaError = await checkTransferQuota(newOwner, user);
+
+    if (quotaError) {
+      return next(quotaError);
+    }
+
+    user.deletionTransferTo = newOwner._id;
+  }
+
+  user.deletionBootcampAction = bootcamps;
+  // Keep the account for a grace period, two weeks unless configured
+  const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+  user.deletionScheduledAt = Date.now() + graceDays * 24 * 60 * 60 * 1000;
+
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Account Deletion Scheduled",
+      message: `Your account will be deleted on ${user.deletionScheduledAt.toUTCString()}. If you change your mind, log in and make a DELETE request to /api/v1/auth/me/deletion before then.`,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { deletionScheduledAt: user.deletionScheduledAt },
+  });
+});
+
+/**
+ * @desc    Cancel the scheduled deletion of the current user's account
+ * @route   DELETE /api/v1/auth/me/deletion
+ * @access  Private
+ */
+export const cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledAt) {
+    return next(
+      new ErrorResponse("Your account is not scheduled for deletion!", 400)
+    );
+  }
+
+  user.deletionScheduledAt = undefined;
+  user.deletionBootcampAction = undefined;
+  user.deletionTransferTo = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({ success: true, data: user });
+});
+
+/**
+ * @desc    Export the personal data of the current user
+ * @route   GET /api/v1/auth/me/export
+ * @access  Private
+ */
+export const exportAccount = asyncHandler(async (req, res, next) => {
+  await sendUserExport(req.user.id, req, res);
+});
+
+/**
+ * @desc    Apply to become a publisher
+ * @route   POST /api/v1/auth/publisherapplication
+ * @access  Private
+ */
+export const applyForPublisher = asyncHandler(async (req, res, next) => {
+  const { organizationName, organizationWebsite, description } = req.body || {};
+
+  if (req.user.role !== "user") {
+    return next(
+      new ErrorResponse(
+        `User role ${req.user.role} can not apply to become a publisher!`,
+        400
+      )
+    );
+  }
+
+  if (
+    await PublisherApplication.exists({ user: req.user.id, status: "pending" })
+  ) {
+    return next(
+      new ErrorResponse(
+        "You already have a publisher application waiting for review!",
+        409
+      )
+    );
+  }
+
+  const application = await PublisherApplication.create({
+    user: req.user.id,
+    organizationName,
+    organizationWebsite,
+    description,
+  });
+
+  // Let the admins know there is an application to review
+  try {
+    const admins = await User.find({ role: "admin" });
+
+    for (const admin of admins) {
+      await sendEmail({
+        email: admin.email,
+        subject: "New Publisher Application",
+        message: `${req.user.name} (${req.user.email}) has applied to become a publisher for ${organizationName}. Review the application at: \n\n ${req.protocol}://${req.get("host")}/api/v1/users/publisherapplications/${application._id}`,
+      });
+    }
+  } catch (error) {
+    console.log(error);
+  }
+
+  res.status(201).json({ success: true, data: application });
+});
+
+/**
+ * @desc    Get the current user's publisher applications
+ * @route   GET /api/v1/auth/publisherapplication
+ * @access  Private
+ */
+export const getMyPublisherApplications = asyncHandler(
+  async (req, res, next) => {
+    const applications = await PublisherApplication.find({
+      user: req.user.id,
+    })
+      .select("-reviewedBy")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      data: applications,
+    });
+  }
+);
+
+/**
+ * @desc    Get the current user's quota limits and usage
+ * @route   GET /api/v1/auth/quotas
+ * @access  Private
+ */
+export const getMyQuotas = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: await getQuotaUsage(req.user),
+  });
 });
@@ -1,8 +1,67 @@
 import path from "path";
 import Bootcamp from "../models/BootcampModel.js";
+import User from "../models/UserModel.js";
 import asyncHandler from "../middlewares/asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
-import geocoder from "../utils/geocoder.js";
+import { geocode } from "../utils/geocoder.js";
+import { hasPermission } from "../utils/permissions.js";
+import sendEmail from "../utils/sendEmail.js";
+
+// Fields that can only be changed through the review workflow, the team,
+// photo and trash endpoints, that are geocoded from the address or that are
+// computed from the courses and reviews
+const PROTECTED_FIELDS = [
+  "user",
+  "members",
+  "photo",
+  "location",
+  "geocode",
+  "averageRating",
+  "averageCost",
+  "status",
+  "reviewComment",
+  "reviewedBy",
+  "reviewedAt",
+  "submittedAt",
+  "publishedAt",
+  "deletedAt",
+  "deletedBy",
+  "deletedWith",
+];
+
+// Remove the protected fields from the request body
+const stripProtectedFields = (body = {}) => {
+  PROTECTED_FIELDS.forEach((field) => delete body[field]);
+  return body;
+};
+
+// Let the owner of a bootcamp know about a change of its status
+const notifyOwner = async (bootcamp, subject, message) => {
+  try {
+    const owner = await User.findById(bootcamp.user);
+
+    if (owner) {
+      await sendEmail({ email: owner.email, subject, message });
+    }
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+// Reject a status change when the bootcamp is not in one of the given statuses
+const checkStatus = (bootcamp, statuses, action, next) => {
+  if (statuses.includes(bootcamp.status)) {
+    return true;
+  }
+
+  next(
+    new ErrorResponse(
+      `Bootcamp ${bootcamp.id} can not be ${action} while it is ${bootcamp.status}!`,
+      400
+    )
+  );
+  return false;
+};
 
 /**
  * @desc    Get all bootcamps
@@ -19,7 +78,13 @@ export const getBootcamps = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 export const getBootcamp = asyncHandler(async (req, res, next) => {
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
+  // Unpublished bootcamps are only found by their owner and admins
+  const bootcamp = await Bootcamp.findOne({
+    $and: [
+      { _id: req.params.bootcampId },
+      Bootcamp.getVisibilityFilter(req.user),
+    ],
+  });
 
   if (!bootcamp) {
     return next(
@@ -42,22 +107,12 @@ export const getBootcamp = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const createBootcamp = asyncHandler(async (req, res, next) => {
+  // New bootcamps always start as a draft
+  stripProtectedFields(req.body);
+
   // Add user to req.body
   req.body.user = req.user.id;
 
-  // Check for published bootcamp
-  const publishedBootcamp = await Bootcamp.findOne({ user: req.user.id });
-
-  // If the user is not and admin, they can only add one bootcamp
-  if (publishedBootcamp && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `The user with ID ${req.user.id} has already published a bootcamp!`,
-        400
-      )
-    );
-  }
-
   const bootcamp = await Bootcamp.create(req.body);
 
   res.status(201).json({
@@ -72,31 +127,27 @@ export const createBootcamp = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const updateBootcamp = asyncHandler(async (req, res, next) => {
-  let bootcamp = await Bootcamp.findById(req.params.bootcampId);
-
-  if (!bootcamp) {
-    return next(
-      new ErrorResponse(
-        `Bootcamp not found with id of ${req.params.bootcampId}!`,
-        404
-      )
-    );
-  }
-
-  // Make sure the user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to update this bootcamp!`,
-        401
-      )
-    );
+  const update = stripProtectedFields(req.body);
+
+  // Changes to a published bootcamp have to be reviewed again, unless they are
+  // made by an admin
+  if (
+    req.resource.status === "published" &&
+    Object.keys(update).length &&
+    !hasPermission(req.user.role, "bootcamp:moderate")
+  ) {
+    update.status = "pending";
+    update.submittedAt = Date.now();
   }
 
-  bootcamp = await Bootcamp.findByIdAndUpdate(req.params.bootcampId, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const bootcamp = await Bootcamp.findByIdAndUpdate(
+    req.params.bootcampId,
+    update,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
 
   res.status(200).json({
     success: true,
@@ -110,28 +161,11 @@ export const updateBootcamp = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const deleteBootcamp = asyncHandler(async (req, res, next) => {
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
-
-  if (!bootcamp) {
-    return next(
-      new ErrorResponse(
-        `Bootcamp not found with id of ${req.params.bootcampId}!`,
-        404
-      )
-    );
-  }
+  // Bootcamp is loaded and ownership checked by the authorize middleware
+  const bootcamp = req.resource;
 
-  // Make sure the user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to delete this bootcamp!`,
-        401
-      )
-    );
-  }
-
-  await bootcamp.deleteOne();
+  // Courses and reviews are moved to the trash with the bootcamp
+  await bootcamp.softDelete();
 
   res.status(200).json({
     success: true,
@@ -148,7 +182,12 @@ export const getBootcampsInRadius = asyncHandler(async (req, res, next) => {
   const { zipcode, distance } = req.params;
 
   // Get the latitude and longitude from geocoder
-  const geocodedLocation = await geocoder.geocode(zipcode);
+  const geocodedLocation = await geocode(zipcode);
+
+  if (!geocodedLocation.length) {
+    return next(new ErrorResponse(`Zipcode ${zipcode} was not found!`, 404));
+  }
+
   const latitude = geocodedLocation[0].latitude;
   const longitude = geocodedLocation[0].longitude;
 
@@ -164,6 +203,7 @@ export const getBootcampsInRadius = asyncHandler(async (req, res, next) => {
         $centerSphere: [[longitude, latitude], radius],
       },
     },
+    ...Bootcamp.getVisibilityFilter(req.user),
   });
 
   res.status(200).json({
@@ -173,32 +213,28 @@ export const getBootcampsInRadius = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Geocode the address of every bootcamp again
+ * @route   POST /api/v1/bootcamps/geocode
+ * @access  Private/Admin
+ */
+export const geocodeBootcamps = asyncHandler(async (req, res, next) => {
+  const results = await Bootcamp.regeocode();
+
+  res.status(200).json({
+    success: true,
+    data: results,
+  });
+});
+
 /**
  * @desc    Upload photo for bootcamp
  * @route   PUT /api/v1/bootcamps/:bootcampId/photo
  * @access  Private
  */
 export const uploadBootcampPhoto = asyncHandler(async (req, res, next) => {
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
-
-  if (!bootcamp) {
-    return next(
-      new ErrorResponse(
-        `Bootcamp not found with id of ${req.params.bootcampId}!`,
-        404
-      )
-    );
-  }
-
-  // Make sure the user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to update this bootcamp!`,
-        401
-      )
-    );
-  }
+  // Bootcamp is loaded and ownership checked by the authorize middleware
+  const bootcamp = req.resource;
 
   if (!req.files) {
     return next(
@@ -248,3 +284,126 @@ export const uploadBootcampPhoto = asyncHandler(async (req, res, next) => {
     });
   });
 });
+
+/**
+ * @desc    Submit bootcamp for review
+ * @route   PUT /api/v1/bootcamps/:bootcampId/submit
+ * @access  Private
+ */
+export const submitBootcamp = asyncHandler(async (req, res, next) => {
+  // Bootcamp is loaded and ownership checked by the authorize middleware
+  if (!checkStatus(req.resource, ["draft", "archived"], "submitted", next)) {
+    return;
+  }
+
+  const bootcamp = await Bootcamp.findByIdAndUpdate(
+    req.params.bootcampId,
+    { status: "pending", submittedAt: Date.now() },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: bootcamp,
+  });
+});
+
+/**
+ * @desc    Approve and publish a bootcamp waiting for review
+ * @route   PUT /api/v1/bootcamps/:bootcampId/approve
+ * @access  Private/Admin
+ */
+export const approveBootcamp = asyncHandler(async (req, res, next) => {
+  if (!checkStatus(req.resource, ["pending"], "approved", next)) {
+    return;
+  }
+
+  const bootcamp = await Bootcamp.findByIdAndUpdate(
+    req.params.bootcampId,
+    {
+      status: "published",
+      reviewComment: req.body?.comment,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now(),
+      publishedAt: Date.now(),
+    },
+    { new: true, runValidators: true }
+  );
+
+  await notifyOwner(
+    bootcamp,
+    "Bootcamp Published",
+    `Your bootcamp ${bootcamp.name} has been approved and is now published.${
+      bootcamp.reviewComment ? ` \n\n ${bootcamp.reviewComment}` : ""
+    }`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: bootcamp,
+  });
+});
+
+/**
+ * @desc    Reject a bootcamp waiting for review and move it back to draft
+ * @route   PUT /api/v1/bootcamps/:bootcampId/reject
+ * @access  Private/Admin
+ */
+export const rejectBootcamp = asyncHandler(async (req, res, next) => {
+  const comment = req.body?.comment?.trim();
+
+  if (!comment) {
+    return next(
+      new ErrorResponse("Please add a comment for the rejection!", 400)
+    );
+  }
+
+  if (!checkStatus(req.resource, ["pending"], "rejected", next)) {
+    return;
+  }
+
+  const bootcamp = await Bootcamp.findByIdAndUpdate(
+    req.params.bootcampId,
+    {
+      status: "draft",
+      reviewComment: comment,
+      reviewedBy: req.user.id,
+      reviewedAt: Date.now(),
+    },
+    { new: true, runValidators: true }
+  );
+
+  await notifyOwner(
+    bootcamp,
+    "Bootcamp Rejected",
+    `Your bootcamp ${bootcamp.name} has not been published for the following reason: \n\n ${comment} \n\n Please update the bootcamp and submit it again.`
+  );
+
+  res.status(200).json({
+    success: true,
+    data: bootcamp,
+  });
+});
+
+/**
+ * @desc    Archive a published bootcamp
+ * @route   PUT /api/v1/bootcamps/:bootcampId/archive
+ * @access  Private
+ */
+export const archiveBootcamp = asyncHandler(async (req, res, next) => {
+  // Bootcamp is loaded and ownership checked by the authorize middleware
+  if (!checkStatus(req.resource, ["published"], "archived", next)) {
+    return;
+  }
+
+  const bootcamp = await Bootcamp.findByIdAndUpdate(
+    req.params.bootcampId,
+    { status: "archived" },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: bootcamp,
+  });
+});
@@ -2,6 +2,18 @@ import Course from "../models/CourseModel.js";
 import Bootcamp from "../models/BootcampModel.js";
 import asyncHandler from "../middlewares/asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
+import pickFields from "../utils/pickFields.js";
+
+// Fields of a course that can be set, it can not be moved to another bootcamp
+// or given to another user, and only goes to the trash when deleted
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "weeks",
+  "tuition",
+  "minimumSkill",
+  "scholarshipAvailable",
+];
 
 /**
  * @desc    Get courses
@@ -11,7 +23,24 @@ import ErrorResponse from "../utils/ErrorResponse.js";
  */
 export const getCourses = asyncHandler(async (req, res, next) => {
   if (req.params.bootcampId) {
-    const courses = await Course.find({ bootcamp: req.params.bootcampId });
+    // Unpublished bootcamps are only found by their team and admins
+    const bootcamp = await Bootcamp.findOne({
+      $and: [
+        { _id: req.params.bootcampId },
+        Bootcamp.getVisibilityFilter(req.user),
+      ],
+    });
+
+    if (!bootcamp) {
+      return next(
+        new ErrorResponse(
+          `Bootcamp not found with id of ${req.params.bootcampId}!`,
+          404
+        )
+      );
+    }
+
+    const courses = await Course.find({ bootcamp: bootcamp._id });
 
     return res.status(200).json({
       success: true,
@@ -29,17 +58,19 @@ export const getCourses = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 export const getCourse = asyncHandler(async (req, res, next) => {
+  // The bootcamp is not populated when the user can not see it
   const course = await Course.findById(req.params.courseId).populate({
     path: "bootcamp",
     select: "name description",
+    match: Bootcamp.getVisibilityFilter(req.user),
   });
 
-  if (!course) {
+  if (!course?.bootcamp) {
     return next(
       new ErrorResponse(
-        `No course with the id of ${req.params.courseId} found!`
-      ),
-      404
+        `No course with the id of ${req.params.courseId} found!`,
+        404
+      )
     );
   }
 
@@ -55,31 +86,12 @@ export const getCourse = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const createCourse = asyncHandler(async (req, res, next) => {
-  req.body.bootcamp = req.params.bootcampId;
-  req.body.user = req.user.id;
-
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
-
-  if (!bootcamp) {
-    return next(
-      new ErrorResponse(
-        `No bootcamp with the id of ${req.params.bootcampId} found!`
-      ),
-      404
-    );
-  }
-
-  // Make sure the user is bootcamp owner
-  if (bootcamp.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to add a course to bootcamp ${bootcamp._id}!`,
-        401
-      )
-    );
-  }
-
-  const course = await Course.create(req.body);
+  // Bootcamp is loaded and ownership checked by the authorize middleware
+  const course = await Course.create({
+    ...pickFields(req.body, EDITABLE_FIELDS),
+    bootcamp: req.resource._id,
+    user: req.user.id,
+  });
 
   res.status(201).json({
     success: true,
@@ -93,31 +105,14 @@ export const createCourse = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const updateCourse = asyncHandler(async (req, res, next) => {
-  let course = await Course.findById(req.params.courseId);
-
-  if (!course) {
-    return next(
-      new ErrorResponse(
-        `No course with the id of ${req.params.courseId} found!`
-      ),
-      404
-    );
-  }
-
-  // Make sure the user is course owner
-  if (course.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to update course to course ${course._id}!`,
-        401
-      )
-    );
-  }
-
-  course = await Course.findByIdAndUpdate(req.params.courseId, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const course = await Course.findByIdAndUpdate(
+    req.params.courseId,
+    pickFields(req.body, EDITABLE_FIELDS),
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
 
   res.status(200).json({
     success: true,
@@ -131,28 +126,10 @@ export const updateCourse = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const deleteCourse = asyncHandler(async (req, res, next) => {
-  const course = await Course.findById(req.params.courseId);
-
-  if (!course) {
-    return next(
-      new ErrorResponse(
-        `No course with the id of ${req.params.courseId} found!`
-      ),
-      404
-    );
-  }
-
-  // Make sure the user is course owner
-  if (course.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(
-      new ErrorResponse(
-        `User with the ID ${req.user.id} is not authorized to delete course to course ${course._id}!`,
-        401
-      )
-    );
-  }
+  // Course is loaded and ownership checked by the authorize middleware
+  const course = req.resource;
 
-  await course.deleteOne();
+  await course.softDelete();
 
   res.status(200).json({
     success: true,
@@ -2,6 +2,11 @@ import Review from "../models/ReviewModel.js";
 import Bootcamp from "../models/BootcampModel.js";
 import asyncHandler from "../middlewares/asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
+import pickFields from "../utils/pickFields.js";
+
+// Fields of a review that can be set, it can not be moved to another bootcamp
+// or given to another user, and only goes to the trash when deleted
+const EDITABLE_FIELDS = ["title", "text", "rating"];
 
 /**
  * @desc    Get reviews
@@ -11,7 +16,24 @@ import ErrorResponse from "../utils/ErrorResponse.js";
  */
 export const getReviews = asyncHandler(async (req, res, next) => {
   if (req.params.bootcampId) {
-    const reviews = await Review.find({ bootcamp: req.params.bootcampId });
+    // Unpublished bootcamps are only found by their team and admins
+    const bootcamp = await Bootcamp.findOne({
+      $and: [
+        { _id: req.params.bootcampId },
+        Bootcamp.getVisibilityFilter(req.user),
+      ],
+    });
+
+    if (!bootcamp) {
+      return next(
+        new ErrorResponse(
+          `Bootcamp not found with id of ${req.params.bootcampId}!`,
+          404
+        )
+      );
+    }
+
+    const reviews = await Review.find({ bootcamp: bootcamp._id });
 
     return res.status(200).json({
       success: true,
@@ -29,12 +51,14 @@ export const getReviews = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 export const getReview = asyncHandler(async (req, res, next) => {
+  // The bootcamp is not populated when the user can not see it
   const review = await Review.findById(req.params.reviewId).populate({
     path: "bootcamp",
     select: "name description",
+    match: Bootcamp.getVisibilityFilter(req.user),
   });
 
-  if (!review) {
+  if (!review?.bootcamp) {
     return next(
       new ErrorResponse(
         `No review found with the id of ${req.params.reviewId}`,
@@ -55,10 +79,11 @@ export const getReview = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const createReview = asyncHandler(async (req, res, next) => {
-  req.body.bootcamp = req.params.bootcampId;
-  req.body.user = req.user.id;
-
-  const bootcamp = await Bootcamp.findById(req.params.bootcampId);
+  // Only published bootcamps can be reviewed
+  const bootcamp = await Bootcamp.findOne({
+    _id: req.params.bootcampId,
+    status: "published",
+  });
 
   if (!bootcamp) {
     return next(
@@ -69,7 +94,18 @@ export const createReview = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const review = await Review.create(req.body);
+  // A review in the trash is replaced, a user can only review a bootcamp once
+  await Review.deleteOne({
+    bootcamp: bootcamp._id,
+    user: req.user.id,
+    deletedAt: { $ne: null },
+  });
+
+  const review = await Review.create({
+    ...pickFields(req.body, EDITABLE_FIELDS),
+    bootcamp: bootcamp._id,
+    user: req.user.id,
+  });
 
   res.status(201).json({
     success: true,
@@ -83,25 +119,9 @@ export const createReview = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const updateReview = asyncHandler(async (req, res, next) => {
-  const review = await Review.findById(req.params.reviewId);
-
-  if (!review) {
-    return next(
-      new ErrorResponse(
-        `No review found with the id of ${req.params.reviewId}`,
-        404
-      )
-    );
-  }
-
-  // Make sure review belongs to user or user is admin
-  if (review.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(new ErrorResponse("Not authorized to update the review!", 401));
-  }
-
   const updatedReview = await Review.findByIdAndUpdate(
     req.params.reviewId,
-    req.body,
+    pickFields(req.body, EDITABLE_FIELDS),
     {
       new: true,
       runValidators: true,
@@ -120,23 +140,10 @@ export const updateReview = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const deleteReview = asyncHandler(async (req, res, next) => {
-  const review = await Review.findById(req.params.reviewId);
-
-  if (!review) {
-    return next(
-      new ErrorResponse(
-        `No review found with the id of ${req.params.reviewId}`,
-        404
-      )
-    );
-  }
-
-  // Make sure review belongs to user or user is admin
-  if (review.user.toString() !== req.user.id && req.user.role !== "admin") {
-    return next(new ErrorResponse("Not authorized to update the review!", 401));
-  }
+  // Review is loaded and ownership checked by the authorize middleware
+  const review = req.resource;
 
-  await review.deleteOne();
+  await review.softDelete();
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,170 @@
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Revision from "../models/RevisionModel.js";
+import asyncHandler from "../middlewares/asyncMiddleware.js";
+import ErrorResponse from "../utils/ErrorResponse.js";
+import getChanges from "../utils/getChanges.js";
+import { getRequestContext } from "../utils/requestContext.js";
+
+const models = { Bootcamp, Course };
+
+// Fields that are not restored, they are managed by the review workflow or
+// computed from other documents
+const NOT_RESTORED_FIELDS = [
+  "_id",
+  "__v",
+  "user",
+  "members",
+  "bootcamp",
+  "createdAt",
+  "status",
+  "reviewComment",
+  "reviewedBy",
+  "reviewedAt",
+  "submittedAt",
+  "publishedAt",
+  "averageRating",
+  "averageCost",
+  "photo",
+  "location",
+  "geocode",
+  "deletedAt",
+  "deletedBy",
+  "deletedWith",
+  "bootcampStatus",
+];
+
+// Find a revision of the bootcamp or one of its courses
+const findRevision = async (revisionId, bootcampId, next) => {
+  const revision = await Revision.findOne({
+    _id: revisionId,
+    bootcamp: bootcampId,
+  });
+
+  if (!revision) {
+    next(new ErrorResponse(`No revision with the id of ${revisionId}!`, 404));
+  }
+
+  return revision;
+};
+
+/**
+ * @desc    Get revisions of a bootcamp and its courses
+ * @route   GET /api/v1/bootcamps/:bootcampId/revisions
+ * @access  Private
+ */
+export const getRevisions = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get the changed fields between two revisions
+ * @route   GET /api/v1/bootcamps/:bootcampId/revisions/diff
+ * @access  Private
+ */
+export const getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const { from: fromId, to: toId } = req.query;
+
+  if (!fromId || !toId) {
+    return next(
+      new ErrorResponse("Please add the from and to revisions to compare!", 400)
+    );
+  }
+
+  const from = await findRevision(fromId, req.params.bootcampId, next);
+  const to = from && (await findRevision(toId, req.params.bootcampId, next));
+
+  if (!from || !to) {
+    return;
+  }
+
+  if (!from.resource.equals(to.resource)) {
+    return next(
+      new ErrorResponse(
+        "Only revisions of the same bootcamp or course can be compared!",
+        400
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      resourceType: from.resourceType,
+      resource: from.resource,
+      from: from.version,
+      to: to.version,
+      changes: getChanges(from.snapshot, to.snapshot),
+    },
+  });
+});
+
+/**
+ * @desc    Restore a bootcamp or course to an earlier revision
+ * @route   PUT /api/v1/bootcamps/:bootcampId/revisions/:revisionId/restore
+ * @access  Private
+ */
+export const restoreRevision = asyncHandler(async (req, res, next) => {
+  const revision = await findRevision(
+    req.params.revisionId,
+    req.params.bootcampId,
+    next
+  );
+
+  if (!revision) {
+    return;
+  }
+
+  const model = models[revision.resourceType];
+  const current = await model.findById(revision.resource).lean();
+
+  if (!current) {
+    return next(
+      new ErrorResponse(
+        `${revision.resourceType} ${revision.resource} no longer exists!`,
+        404
+      )
+    );
+  }
+
+  // Set the fields of the revision and remove fields added since
+  const update = { $set: {}, $unset: {} };
+
+  for (const [field, value] of Object.entries(revision.snapshot)) {
+    if (!NOT_RESTORED_FIELDS.includes(field)) {
+      update.$set[field] = value;
+    }
+  }
+
+  // Required fields missing from older revisions are kept
+  for (const field of Object.keys(current)) {
+    if (
+      !NOT_RESTORED_FIELDS.includes(field) &&
+      !(field in update.$set) &&
+      !model.schema.path(field)?.isRequired
+    ) {
+      update.$unset[field] = "";
+    }
+  }
+
+  if (!Object.keys(update.$unset).length) {
+    delete update.$unset;
+  }
+
+  // Mark the new revision as a restore
+  const context = getRequestContext();
+
+  if (context) {
+    context.restoredRevision = revision.version;
+  }
+
+  const restored = await model.findByIdAndUpdate(revision.resource, update, {
+    new: true,
+    runValidators: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: restored,
+  });
+});
@@ -0,0 +1,301 @@
+import Bootcamp from "../models/BootcampModel.js";
+import BootcampInvitation from "../models/BootcampInvitationModel.js";
+import User from "../models/UserModel.js";
+import asyncHandler from "../middlewares/asyncMiddleware.js";
+import ErrorResponse from "../utils/ErrorResponse.js";
+import sendEmail from "../utils/sendEmail.js";
+import { getPermissionScope } from "../utils/permissions.js";
+import { checkQuota } from "../utils/quotas.js";
+
+const TEAM_ROLES = ["editor", "viewer"];
+
+// Reject team roles other than editor and viewer, there is only one owner
+const checkTeamRole = (role, next) => {
+  if (TEAM_ROLES.includes(role)) {
+    return true;
+  }
+
+  next(
+    new ErrorResponse(
+      `Please add a team role, one of ${TEAM_ROLES.join(", ")}!`,
+      400
+    )
+  );
+  return false;
+};
+
+/**
+ * @desc    Get the team of a bootcamp
+ * @route   GET /api/v1/bootcamps/:bootcampId/members
+ * @access  Private
+ */
+export const getMembers = asyncHandler(async (req, res, next) => {
+  const bootcamp = await Bootcamp.findById(req.params.bootcampId).populate([
+    { path: "user", select: "name email" },
+    { path: "members.user", select: "name email" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      owner: bootcamp.user,
+      members: bootcamp.members,
+    },
+  });
+});
+
+/**
+ * @desc    Invite a user to the team of a bootcamp
+ * @route   POST /api/v1/bootcamps/:bootcampId/members/invitations
+ * @access  Private
+ */
+export const inviteMember = asyncHandler(async (req, res, next) => {
+  // Bootcamp is loaded and team role checked by the authorize middleware
+  const bootcamp = req.resource;
+  const { email, role } = req.body || {};
+
+  if (!checkTeamRole(role, next)) {
+    return;
+  }
+
+  const invitedUser = email && (await User.findOne({ email }));
+
+  if (invitedUser && bootcamp.getTeamRole(invitedUser)) {
+    return next(
+      new ErrorResponse(
+        `${email} is already in the team of this bootcamp!`,
+        409
+      )
+    );
+  }
+
+  const invitation = new BootcampInvitation({
+    bootcamp: bootcamp._id,
+    email,
+    role,
+    invitedBy: req.user.id,
+  });
+
+  const token = invitation.generateToken();
+
+  await invitation.save();
+
+  const acceptUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/bootcamps/invitations/${token}/accept`;
+
+  try {
+    await sendEmail({
+      email: invitation.email,
+      subject: `Invitation to ${bootcamp.name}`,
+      message: `${req.user.name} has invited you to join the team of ${bootcamp.name} as ${role}. Log in or create an account with this email address and make a POST request to accept the invitation: \n\n ${acceptUrl} \n\n The invitation expires in 7 days.`,
+    });
+  } catch (error) {
+    console.log(error);
+    await invitation.deleteOne();
+
+    return next(new ErrorResponse("Email could not be sent!", 500));
+  }
+
+  res.status(201).json({ success: true, data: invitation });
+});
+
+/**
+ * @desc    Get the pending invitations of a bootcamp
+ * @route   GET /api/v1/bootcamps/:bootcampId/members/invitations
+ * @access  Private
+ */
+export const getInvitations = asyncHandler(async (req, res, next) => {
+  const invitations = await BootcampInvitation.find({
+    bootcamp: req.params.bootcampId,
+    expiresAt: { $gt: Date.now() },
+  }).populate({ path: "invitedBy", select: "name email" });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations,
+  });
+});
+
+/**
+ * @desc    Revoke an invitation to the team of a bootcamp
+ * @route   DELETE /api/v1/bootcamps/:bootcampId/members/invitations/:invitationId
+ * @access  Private
+ */
+export const revokeInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await BootcampInvitation.findOneAndDelete({
+    _id: req.params.invitationId,
+    bootcamp: req.params.bootcampId,
+  });
+
+  if (!invitation) {
+    return next(
+      new ErrorResponse(
+        `No invitation with the id of ${req.params.invitationId}!`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Accept an invitation to the team of a bootcamp
+ * @route   POST /api/v1/bootcamps/invitations/:invitationToken/accept
+ * @access  Private
+ */
+export const acceptInvitation = asyncHandler(async (req, res, next) => {
+  // Invitations can only be used once and by the invited email address
+  const invitation = await BootcampInvitation.findOneAndDelete({
+    tokenHash: BootcampInvitation.hashToken(req.params.invitationToken),
+    email: req.user.email.toLowerCase(),
+    expiresAt: { $gt: Date.now() },
+  });
+
+  if (!invitation) {
+    return next(new ErrorResponse("Invalid or expired invitation!", 400));
+  }
+
+  const bootcamp = await Bootcamp.findById(invitation.bootcamp);
+
+  if (!bootcamp) {
+    return next(new ErrorResponse("Invalid or expired invitation!", 400));
+  }
+
+  if (!bootcamp.getTeamRole(req.user)) {
+    await Bootcamp.updateOne(
+      { _id: bootcamp._id },
+      {
+        $push: {
+          members: { user: req.user._id, role: invitation.role },
+        },
+      }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { bootcamp: bootcamp._id, role: invitation.role },
+  });
+});
+
+/**
+ * @desc    Change the role of a team member
+ * @route   PUT /api/v1/bootcamps/:bootcampId/members/:userId
+ * @access  Private
+ */
+export const updateMember = asyncHandler(async (req, res, next) => {
+  const role = req.body?.role;
+
+  if (!checkTeamRole(role, next)) {
+    return;
+  }
+
+  const bootcamp = await Bootcamp.findOneAndUpdate(
+    { _id: req.params.bootcampId, "members.user": req.params.userId },
+    { $set: { "members.$.role": role } },
+    { new: true, runValidators: true }
+  );
+
+  if (!bootcamp) {
+    return next(
+      new ErrorResponse(
+        `No team member with the id of ${req.params.userId}!`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: bootcamp.members });
+});
+
+/**
+ * @desc    Remove a member from the team of a bootcamp
+ * @route   DELETE /api/v1/bootcamps/:bootcampId/members/:userId
+ * @access  Private
+ */
+export const removeMember = asyncHandler(async (req, res, next) => {
+  const bootcamp = await Bootcamp.findOneAndUpdate(
+    { _id: req.params.bootcampId, "members.user": req.params.userId },
+    { $pull: { members: { user: req.params.userId } } },
+    { new: true }
+  );
+
+  if (!bootcamp) {
+    return next(
+      new ErrorResponse(
+        `No team member with the id of ${req.params.userId}!`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: bootcamp.members });
+});
+
+/**
+ * @desc    Transfer the ownership of a bootcamp
+ * @route   PUT /api/v1/bootcamps/:bootcampId/transfer
+ * @access  Private
+ */
+export const transferBootcamp = asyncHandler(async (req, res, next) => {
+  // Bootcamp is loaded and team role checked by the authorize middleware
+  const bootcamp = req.resource;
+  const email = req.body?.email;
+
+  const newOwner = email && (await User.findOne({ email }));
+
+  if (!newOwner) {
+    return next(new ErrorResponse(`No user with the email ${email}!`, 404));
+  }
+
+  if (bootcamp.user.equals(newOwner._id)) {
+    return next(new ErrorResponse(`${email} already owns this bootcamp!`, 400));
+  }
+
+  // The new owner must be allowed to publish bootcamps
+  if (!getPermissionScope(newOwner.role, "bootcamp:update")) {
+    return next(
+      new ErrorResponse(
+        `User role ${newOwner.role} can not own a bootcamp!`,
+        400
+      )
+    );
+  }
+
+  // The bootcamp counts against the bootcamp quota of the new owner
+  const quotaError = await checkQuota(newOwner, "bootcamps");
+
+  if (quotaError) {
+    return next(quotaError);
+  }
+
+  const previousOwner = bootcamp.user;
+
+  // The previous owner stays in the team as an editor
+  const members = bootcamp.members.filter(
+    (member) =>
+      !member.user.equals(newOwner._id) && !member.user.equals(previousOwner)
+  );
+  members.push({ user: previousOwner, role: "editor" });
+
+  const updatedBootcamp = await Bootcamp.findByIdAndUpdate(
+    bootcamp._id,
+    { user: newOwner._id, members },
+    { new: true, runValidators: true }
+  );
+
+  try {
+    await sendEmail({
+      email: newOwner.email,
+      subject: `You Now Own ${bootcamp.name}`,
+      message: `${req.user.name} has transferred the ownership of ${bootcamp.name} to you.`,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+
+  res.status(200).json({ success: true, data: updatedBootcamp });
+});
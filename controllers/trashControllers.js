@@ -0,0 +1,87 @@
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+import User from "../models/UserModel.js";
+import asyncHandler from "../middlewares/asyncMiddleware.js";
+import ErrorResponse from "../utils/ErrorResponse.js";
+import { checkQuota } from "../utils/quotas.js";
+
+const models = { bootcamps: Bootcamp, courses: Course, reviews: Review };
+
+// Parents that have to be restored before their children
+const parents = { courses: Bootcamp, reviews: Bootcamp };
+
+// Quotas of the bootcamp owner that restored items count against
+const quotas = { bootcamps: "bootcamps", courses: "coursesPerBootcamp" };
+
+/**
+ * @desc    Get deleted bootcamps, courses or reviews
+ * @route   GET /api/v1/trash/bootcamps
+ * @route   GET /api/v1/trash/courses
+ * @route   GET /api/v1/trash/reviews
+ * @access  Private/Admin
+ */
+export const getTrash = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Restore a deleted bootcamp, course or review
+ * @route   PUT /api/v1/trash/:type/:itemId/restore
+ * @access  Private/Admin
+ */
+export const restoreFromTrash = asyncHandler(async (req, res, next) => {
+  const model = models[req.params.type];
+
+  if (!model) {
+    return next(
+      new ErrorResponse(`Items of type ${req.params.type} have no trash!`, 404)
+    );
+  }
+
+  const item = await model.findOne({
+    _id: req.params.itemId,
+    deletedAt: { $ne: null },
+  });
+
+  if (!item) {
+    return next(
+      new ErrorResponse(
+        `No deleted ${model.modelName.toLowerCase()} with the id of ${req.params.itemId}!`,
+        404
+      )
+    );
+  }
+
+  // A course or review can not be restored into a deleted bootcamp
+  const parent = parents[req.params.type];
+
+  if (parent && !(await parent.exists({ _id: item.bootcamp }))) {
+    return next(
+      new ErrorResponse(
+        `Bootcamp ${item.bootcamp} is deleted, please restore it first!`,
+        400
+      )
+    );
+  }
+
+  // Restoring must not take the owner of the bootcamp over a quota
+  const quota = quotas[req.params.type];
+
+  if (quota) {
+    const bootcamp = parent ? await parent.findById(item.bootcamp) : item;
+    const owner = await User.findById(bootcamp.user);
+    const error = owner && (await checkQuota(owner, quota, bootcamp));
+
+    if (error) {
+      return next(error);
+    }
+  }
+
+  await item.restore();
+
+  res.status(200).json({
+    success: true,
+    data: item,
+  });
+});
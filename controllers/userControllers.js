@@ -1,7 +1,16 @@
 import User from "../models/UserModel.js";
+import Setting from "../models/SettingModel.js";
+import LoginAttempt from "../models/LoginAttemptModel.js";
+import Session from "../models/SessionModel.js";
+import AuditLog from "../models/AuditLogModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
 import asyncHandler from "../middlewares/asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
 import sendTokenResponse from "../utils/sendTokenResponse.js";
+import sendUserExport from "../utils/sendUserExport.js";
+import sendEmail from "../utils/sendEmail.js";
+import { hasPermission } from "../utils/permissions.js";
+import { QUOTAS, getQuotaUsage } from "../utils/quotas.js";
 
 /**
  * @desc    Get all users
@@ -46,7 +55,10 @@ export const createUser = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const updateUser = asyncHandler(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.userId, req.body, {
+  // Passwords are only changed on save, where they are checked and hashed
+  const { password, ...fieldsToUpdate } = req.body || {};
+
+  const user = await User.findByIdAndUpdate(req.params.userId, fieldsToUpdate, {
     new: true,
     runValidators: true,
   });
@@ -63,10 +75,419 @@ export const updateUser = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const deleteUser = asyncHandler(async (req, res, next) => {
-  await User.findByIdAndDelete(req.params.userId);
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+
+  // Bootcamps, reviews and sessions of the user are removed too
+  await user.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Get the roles that require two-factor authentication
+ * @route   GET /api/v1/users/twofactorpolicy
+ * @access  Private/Admin
+ */
+export const getTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const settings = await Setting.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: { twoFactorRequiredRoles: settings.twoFactorRequiredRoles },
+  });
+});
+
+/**
+ * @desc    Update the roles that require two-factor authentication
+ * @route   PUT /api/v1/users/twofactorpolicy
+ * @access  Private/Admin
+ */
+export const updateTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  if (!Array.isArray(req.body.twoFactorRequiredRoles)) {
+    return next(
+      new ErrorResponse(
+        "Please provide a list of roles that require two-factor authentication!",
+        400
+      )
+    );
+  }
+
+  const settings = await Setting.getSettings();
+
+  settings.twoFactorRequiredRoles = req.body.twoFactorRequiredRoles;
+  settings.updatedAt = Date.now();
+  settings.updatedBy = req.user.id;
+
+  await settings.save();
+
+  res.status(200).json({
+    success: true,
+    data: { twoFactorRequiredRoles: settings.twoFactorRequiredRoles },
+  });
+});
+
+/**
+ * @desc    Get the quota plans
+ * @route   GET /api/v1/users/quotaplans
+ * @access  Private/Admin
+ */
+export const getQuotaPlans = asyncHandler(async (req, res, next) => {
+  const settings = await Setting.getSettings();
+
+  res.status(200).json({
+    success: true,
+    data: { quotaPlans: settings.quotaPlans },
+  });
+});
+
+/**
+ * @desc    Update the quota plans
+ * @route   PUT /api/v1/users/quotaplans
+ * @access  Private/Admin
+ */
+export const updateQuotaPlans = asyncHandler(async (req, res, next) => {
+  const quotaPlans = req.body?.quotaPlans;
+
+  if (!quotaPlans || typeof quotaPlans !== "object") {
+    return next(
+      new ErrorResponse("Please provide the quota plans by name!", 400)
+    );
+  }
+
+  const settings = await Setting.getSettings();
+
+  // Users on a plan that is removed get the free plan
+  settings.quotaPlans = quotaPlans;
+  settings.updatedAt = Date.now();
+  settings.updatedBy = req.user.id;
+
+  await settings.save();
+
+  res.status(200).json({
+    success: true,
+    data: { quotaPlans: settings.quotaPlans },
+  });
+});
+
+/**
+ * @desc    Get the quota limits and usage of a user
+ * @route   GET /api/v1/users/:userId/quotas
+ * @access  Private/Admin
+ */
+export const getUserQuotas = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getQuotaUsage(user),
+  });
+});
+
+/**
+ * @desc    Change the quota plan and limits of a user
+ * @route   PUT /api/v1/users/:userId/quotas
+ * @access  Private/Admin
+ */
+export const updateUserQuotas = asyncHandler(async (req, res, next) => {
+  const { plan, quotas = {} } = req.body || {};
+  const update = { $set: {}, $unset: {} };
+
+  if (plan !== undefined) {
+    const settings = await Setting.getSettings();
+
+    if (!settings.quotaPlans.has(plan)) {
+      return next(
+        new ErrorResponse(
+          `Please add a quota plan, one of ${[
+            ...settings.quotaPlans.keys(),
+          ].join(", ")}!`,
+          400
+        )
+      );
+    }
+
+    update.$set.plan = plan;
+  }
+
+  // Limits set to null are removed, so the limit of the plan applies again
+  for (const quota of Object.keys(QUOTAS)) {
+    if (quotas[quota] === null) {
+      update.$unset[`quotas.${quota}`] = "";
+    } else if (quotas[quota] !== undefined) {
+      update.$set[`quotas.${quota}`] = quotas[quota];
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.userId, update, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getQuotaUsage(user),
+  });
+});
+
+/**
+ * @desc    Unlock a user account that was locked after failed logins
+ * @route   PUT /api/v1/users/:userId/unlock
+ * @access  Private/Admin
+ */
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+
+  await LoginAttempt.reset("account", user.email);
 
   res.status(200).json({
     success: true,
     data: {},
   });
 });
+
+/**
+ * @desc    Log in as a user
+ * @route   POST /api/v1/users/:userId/impersonate
+ * @access  Private/Admin
+ */
+export const impersonateUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+
+  // Admins can not impersonate themselves or other admins
+  if (user.id === req.user.id || hasPermission(user.role, "user:impersonate")) {
+    return next(
+      new ErrorResponse(`User ${user.id} can not be impersonated!`, 403)
+    );
+  }
+
+  const session = new Session({
+    user: user._id,
+    impersonator: req.user._id,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  // The refresh token is never handed out, impersonation sessions only last as
+  // long as their access token
+  session.generateRefreshToken();
+  session.expiresAt = Date.now() + User.getImpersonationLifetime();
+  await session.save();
+
+  await AuditLog.create({
+    action: "impersonation.start",
+    actor: req.user._id,
+    impersonatedUser: user._id,
+    requestId: req.id,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: 200,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  res.status(200).json({
+    success: true,
+    impersonation: true,
+    token: user.getImpersonationToken(session._id, req.user.id),
+    expiresAt: session.expiresAt,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Export the personal data of a user
+ * @route   GET /api/v1/users/:userId/export
+ * @access  Private/Admin
+ */
+export const exportUser = asyncHandler(async (req, res, next) => {
+  if (!(await sendUserExport(req.params.userId, req, res))) {
+    return next(
+      new ErrorResponse(`No user with the id of ${req.params.userId}!`, 404)
+    );
+  }
+});
+
+// Find a publisher application that is still waiting for review
+const findPendingApplication = async (req, next) => {
+  const application = await PublisherApplication.findById(
+    req.params.applicationId
+  ).populate("user");
+
+  if (!application) {
+    next(
+      new ErrorResponse(
+        `No publisher application with the id of ${req.params.applicationId}!`,
+        404
+      )
+    );
+    return null;
+  }
+
+  if (application.status !== "pending") {
+    next(
+      new ErrorResponse(
+        `Publisher application ${application.id} has already been ${application.status}!`,
+        400
+      )
+    );
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * @desc    Get publisher applications
+ * @route   GET /api/v1/users/publisherapplications
+ * @access  Private/Admin
+ */
+export const getPublisherApplications = asyncHandler(async (req, res, next) => {
+  res.status(200).json(res.advancedResults);
+});
+
+/**
+ * @desc    Get single publisher application
+ * @route   GET /api/v1/users/publisherapplications/:applicationId
+ * @access  Private/Admin
+ */
+export const getPublisherApplication = asyncHandler(async (req, res, next) => {
+  const application = await PublisherApplication.findById(
+    req.params.applicationId
+  ).populate({ path: "user reviewedBy", select: "name email role" });
+
+  if (!application) {
+    return next(
+      new ErrorResponse(
+        `No publisher application with the id of ${req.params.applicationId}!`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({ success: true, data: application });
+});
+
+/**
+ * @desc    Approve a publisher application and upgrade the user to publisher
+ * @route   PUT /api/v1/users/publisherapplications/:applicationId/approve
+ * @access  Private/Admin
+ */
+export const approvePublisherApplication = asyncHandler(
+  async (req, res, next) => {
+    const application = await findPendingApplication(req, next);
+
+    if (!application) {
+      return;
+    }
+
+    const { user } = application;
+
+    if (!user) {
+      return next(
+        new ErrorResponse(
+          `The user of publisher application ${application.id} no longer exists!`,
+          400
+        )
+      );
+    }
+
+    // Admins keep their role
+    if (user.role === "user") {
+      user.role = "publisher";
+      await user.save({ validateBeforeSave: false });
+    }
+
+    application.status = "approved";
+    application.reviewedBy = req.user._id;
+    application.reviewedAt = Date.now();
+    await application.save();
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: "Publisher Application Approved",
+        message: `Your application to become a publisher for ${application.organizationName} has been approved. You can now add bootcamps and courses.`,
+      });
+    } catch (error) {
+      console.log(error);
+    }
+
+    res.status(200).json({ success: true, data: application });
+  }
+);
+
+/**
+ * @desc    Reject a publisher application
+ * @route   PUT /api/v1/users/publisherapplications/:applicationId/reject
+ * @access  Private/Admin
+ */
+export const rejectPublisherApplication = asyncHandler(
+  async (req, res, next) => {
+    const reason = req.body?.reason?.trim();
+
+    if (!reason) {
+      return next(
+        new ErrorResponse("Please add a reason for the rejection!", 400)
+      );
+    }
+
+    const application = await findPendingApplication(req, next);
+
+    if (!application) {
+      return;
+    }
+
+    application.status = "rejected";
+    application.rejectionReason = reason;
+    application.reviewedBy = req.user._id;
+    application.reviewedAt = Date.now();
+    await application.save();
+
+    if (application.user) {
+      try {
+        await sendEmail({
+          email: application.user.email,
+          subject: "Publisher Application Rejected",
+          message: `Your application to become a publisher for ${application.organizationName} has been rejected for the following reason: \n\n ${reason} \n\n You can send a new application at any time.`,
+        });
+      } catch (error) {
+        console.log(error);
+      }
+    }
+
+    res.status(200).json({ success: true, data: application });
+  }
+);
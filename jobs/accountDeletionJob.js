@@ -0,0 +1,31 @@
+import User from "../models/UserModel.js";
+import sendEmail from "../utils/sendEmail.js";
+
+/**
+ * Delete the accounts whose deletion grace period is over.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const deleteScheduledAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: Date.now() } });
+
+  for (const user of users) {
+    await user.deleteOne();
+
+    console.log(`Account of user ${user._id} deleted`);
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: "Account Deleted",
+        message:
+          "Your account has been deleted as you requested. We are sorry to see you go!",
+      });
+    } catch (error) {
+      console.log(error);
+    }
+  }
+};
+
+export default deleteScheduledAccounts;
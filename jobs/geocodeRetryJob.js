@@ -0,0 +1,20 @@
+import Bootcamp from "../models/BootcampModel.js";
+
+/**
+ * Geocode the address of bootcamps again when the geocoding provider failed
+ * while they were saved, so they get a location once it is back.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const retryFailedGeocoding = async () => {
+  const results = await Bootcamp.regeocode({ "geocode.status": "failed" });
+
+  if (results.total) {
+    console.log(
+      `Geocoded ${results.geocoded} of ${results.total} bootcamps that failed before`
+    );
+  }
+};
+
+export default retryFailedGeocoding;
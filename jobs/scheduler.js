@@ -0,0 +1,41 @@
+import * as crypto from "node:crypto";
+import { runWithContext } from "../utils/requestContext.js";
+
+/**
+ * Run a background job at a fixed interval.
+ *
+ * A run is skipped while the previous one is still going, and errors are
+ * logged instead of crashing the server. Every run gets its own context, so
+ * the changes it makes are recorded in the audit log.
+ *
+ * @param {string} name - Name of the job, used in the logs.
+ * @param {Function} job - Async function to run.
+ * @param {number} interval - Time between runs in milliseconds.
+ * @returns {NodeJS.Timeout} The interval, so the job can be stopped.
+ */
+const scheduleJob = (name, job, interval) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await runWithContext({ requestId: crypto.randomUUID(), job: name }, job);
+    } catch (error) {
+      console.log(`Job ${name} failed: ${error.message}`.red);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  // Do not keep the process alive just for the job
+  timer.unref();
+
+  return timer;
+};
+
+export default scheduleJob;
@@ -0,0 +1,31 @@
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+
+/**
+ * Remove bootcamps, courses and reviews that have been in the trash for longer
+ * than the retention period. Children that were deleted together with their
+ * bootcamp are removed by the bootcamp's cascade.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const purgeTrash = async () => {
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+  const deletedBefore = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+  for (const model of [Bootcamp, Course, Review]) {
+    const docs = await model.find({
+      deletedAt: { $ne: null, $lte: deletedBefore },
+      deletedWith: null,
+    });
+
+    for (const doc of docs) {
+      await doc.deleteOne();
+
+      console.log(`${model.modelName} ${doc._id} purged from the trash`);
+    }
+  }
+};
+
+export default purgeTrash;
@@ -1,9 +1,99 @@
+// Links to the next and previous pages of results
+const getPagination = (page, limit, total) => {
+  const pagination = {};
+
+  if (page * limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit,
+    };
+  }
+
+  if (page > 1) {
+    pagination.previous = {
+      page: page - 1,
+      limit,
+    };
+  }
+
+  return pagination;
+};
+
+// Find a page of resources around the location in req.geoNear. $geoNear only
+// finds the ids and distances, the resources are loaded with a normal find so
+// select and populate work the same as without a location.
+const findNear = async (model, populate, conditions, req, page, limit) => {
+  const $geoNear = {
+    near: { type: "Point", coordinates: req.geoNear.coordinates },
+    distanceField: "distance",
+    distanceMultiplier: req.geoNear.distanceMultiplier,
+    // Aggregations do not cast the conditions like finds do
+    query: model.find(conditions).cast(),
+    spherical: true,
+  };
+
+  if (req.geoNear.maxDistance) {
+    $geoNear.maxDistance = req.geoNear.maxDistance;
+  }
+
+  const pipeline = [{ $geoNear }];
+
+  // $geoNear returns the nearest first
+  if (req.query.sort) {
+    pipeline.push({
+      $sort: Object.fromEntries(
+        req.query.sort
+          .split(",")
+          .map((field) =>
+            field.startsWith("-") ? [field.slice(1), -1] : [field, 1]
+          )
+      ),
+    });
+  }
+
+  const [matches, [count]] = await Promise.all([
+    model.aggregate([
+      ...pipeline,
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { distance: 1 } },
+    ]),
+    model.aggregate([{ $geoNear }, { $count: "total" }]),
+  ]);
+
+  let query = model.find({ _id: { $in: matches.map((match) => match._id) } });
+
+  if (req.query.select) {
+    query = query.select(req.query.select.split(",").join(" "));
+  }
+
+  if (populate) {
+    query = query.populate(populate);
+  }
+
+  const docs = await query;
+
+  // Keep the order of $geoNear and add the distance
+  const results = matches
+    .map((match) => {
+      const doc = docs.find((doc) => doc._id.equals(match._id));
+      doc?.set("distance", match.distance, { strict: false });
+      return doc;
+    })
+    .filter(Boolean);
+
+  return { results, total: count?.total || 0 };
+};
+
 /**
  * Middleware to provide advanced query results for Mongoose models.
  * Supports filtering, field selection, sorting, pagination, and population.
  *
  * @param {mongoose.Model} model - The Mongoose model to query.
  * @param {Object|String} [populate] - Population options for Mongoose's populate method.
+ * @param {Function} [filter] - Called with the request, returns the conditions, or a promise of them, every result must match, e.g. to hide resources the user can not see.
+ * When used after the geoNear middleware, only resources around the location
+ * are returned, nearest first unless sorted otherwise, with their distance.
  * @returns {Function} Express middleware function that attaches results to res.advancedResults.
  *
  * @example
@@ -16,8 +106,9 @@
  *  - Field selection: /api/v1/resources?select=field1,field2
  *  - Sorting: /api/v1/resources?sort=field1,-field2
  *  - Pagination: /api/v1/resources?page=2&limit=10
+ *  - Location, with geoNear: /api/v1/resources/near?lat=42.35&lng=-71.1&distance=10&unit=km
  */
-const advancedResults = (model, populate) => async (req, res, next) => {
+const advancedResults = (model, populate, filter) => async (req, res, next) => {
   let query;
 
   // Copy req.query
@@ -25,6 +116,11 @@ const advancedResults = (model, populate) => async (req, res, next) => {
   // Fields to exclude
   const removeFields = ["select", "sort", "page", "limit"];
 
+  // The location is read by the geoNear middleware
+  if (req.geoNear) {
+    removeFields.push("lat", "lng", "distance", "unit");
+  }
+
   // Loop over remove fields and delete them from req.query
   removeFields.forEach((param) => delete reqQuery[param]);
 
@@ -37,8 +133,39 @@ const advancedResults = (model, populate) => async (req, res, next) => {
     (match) => `$${match}`
   );
 
+  // Conditions from the query string and the ones every result must match
+  const conditions = filter
+    ? { $and: [JSON.parse(queryStr), await filter(req)] }
+    : JSON.parse(queryStr);
+
+  // Pagination
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+
+  // Search around a location
+  if (req.geoNear) {
+    const { results, total } = await findNear(
+      model,
+      populate,
+      conditions,
+      req,
+      page,
+      limit
+    );
+
+    res.advancedResults = {
+      success: true,
+      count: results.length,
+      unit: req.geoNear.unit,
+      pagination: getPagination(page, limit, total),
+      data: results,
+    };
+
+    return next();
+  }
+
   // Finding the resource
-  query = model.find(JSON.parse(queryStr));
+  query = model.find(conditions);
 
   // Select fields
   if (req.query.select) {
@@ -54,12 +181,8 @@ const advancedResults = (model, populate) => async (req, res, next) => {
     query = query.sort("-createdAt");
   }
 
-  // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
   const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const total = await model.countDocuments();
+  const total = await model.countDocuments(conditions);
 
   query = query.skip(startIndex).limit(limit);
 
@@ -71,21 +194,7 @@ const advancedResults = (model, populate) => async (req, res, next) => {
   const results = await query;
 
   // Pagination Result
-  const pagination = {};
-
-  if (endIndex < total) {
-    pagination.next = {
-      page: page + 1,
-      limit,
-    };
-  }
-
-  if (startIndex > 0) {
-    pagination.previous = {
-      page: page - 1,
-      limit,
-    };
-  }
+  const pagination = getPagination(page, limit, total);
 
   res.advancedResults = {
     success: true,
@@ -2,9 +2,84 @@ import jwt from "jsonwebtoken";
 import asyncHandler from "./asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
 import User from "../models/UserModel.js";
+import Session from "../models/SessionModel.js";
+import Setting from "../models/SettingModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import AuditLog from "../models/AuditLogModel.js";
+import { hasPermission } from "../utils/permissions.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { isCookieAuthEnabled, verifyCsrfToken } from "../utils/cookieAuth.js";
+
+// Let users whose role requires two-factor authentication reach a route before
+// they have enabled it, so they can set it up
+export const allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
+// Reject requests made with an API key, API keys can not manage the account
+export const rejectApiKey = (req, res, next) => {
+  if (req.headers["x-api-key"]) {
+    return next(
+      new ErrorResponse(
+        "API keys can not be used to access this resource!",
+        403
+      )
+    );
+  }
+  next();
+};
+
+// Reject requests made while impersonating a user, the account itself can only
+// be managed by its owner. Use after protectRoute.
+export const rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(
+      new ErrorResponse(
+        "This resource can not be accessed while impersonating a user!",
+        403
+      )
+    );
+  }
+  next();
+};
+
+// Make the authenticated user available to the audit log
+const setContextUser = (req) => {
+  const context = getRequestContext();
+
+  if (context) {
+    context.user = req.user._id;
+    context.impersonator = req.impersonator?._id;
+  }
+};
 
 // Protect route
 const protectRoute = asyncHandler(async (req, res, next) => {
+  // Authenticate with an API key
+  if (req.headers["x-api-key"]) {
+    const apiKey = await ApiKey.findOne({
+      keyHash: ApiKey.hashKey(req.headers["x-api-key"]),
+    });
+
+    if (!apiKey || !apiKey.isActive) {
+      return next(new ErrorResponse("Invalid or expired API key!", 401));
+    }
+
+    req.user = await User.findById(apiKey.user);
+
+    if (!req.user) {
+      return next(new ErrorResponse("Invalid or expired API key!", 401));
+    }
+
+    await apiKey.touch();
+
+    req.apiKey = apiKey;
+    setContextUser(req);
+
+    return next();
+  }
+
   let token;
 
   if (
@@ -13,13 +88,12 @@ const protectRoute = asyncHandler(async (req, res, next) => {
   ) {
     // Set token from bearer token
     token = req.headers.authorization.split(" ")[1];
+  } else if (isCookieAuthEnabled() && req.cookies.token) {
+    // Set token from cookie
+    token = req.cookies.token;
+    req.authMethod = "cookie";
   }
 
-  // Set token from cookie
-  // else if (req.cookies.token) {
-  //   token = req.cookies.token;
-  // }
-
   // Make sure token exists
   if (!token) {
     return next(
@@ -27,18 +101,119 @@ const protectRoute = asyncHandler(async (req, res, next) => {
     );
   }
 
+  let decoded;
+
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(
+      new ErrorResponse("Not authorized to access this resource!", 401)
+    );
+  }
 
-    req.user = await User.findById(decoded.id);
+  // Make sure the session has not been revoked
+  const session = decoded.sid && (await Session.findById(decoded.sid));
 
-    next();
-  } catch (error) {
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+    return next(new ErrorResponse("Session has expired or been revoked!", 401));
+  }
+
+  // Impersonation tokens carry the admin, who must still be allowed to impersonate
+  if (session.impersonator || decoded.imp) {
+    req.impersonator = await User.findById(session.impersonator);
+
+    if (
+      !req.impersonator ||
+      session.impersonator.toString() !== decoded.imp ||
+      !hasPermission(req.impersonator.role, "user:impersonate")
+    ) {
+      return next(
+        new ErrorResponse("Session has expired or been revoked!", 401)
+      );
+    }
+  }
+
+  // Cookies are sent by the browser on cross-site requests too, so
+  // state-changing requests must prove they come from our client
+  if (req.authMethod === "cookie" && !verifyCsrfToken(req, session._id)) {
+    return next(new ErrorResponse("Invalid or missing CSRF token!", 403));
+  }
+
+  req.user = await User.findById(decoded.id);
+
+  if (!req.user) {
     return next(
       new ErrorResponse("Not authorized to access this resource!", 401)
     );
   }
+
+  // Make sure two-factor authentication is enabled if the role requires it
+  if (
+    !req.user.twoFactorEnabled &&
+    !req.allowTwoFactorSetup &&
+    !req.impersonator
+  ) {
+    const settings = await Setting.getSettings();
+
+    if (settings.twoFactorRequiredRoles.includes(req.user.role)) {
+      return next(
+        new ErrorResponse(
+          `Two-factor authentication is required for the ${req.user.role} role, please enable it!`,
+          403
+        )
+      );
+    }
+  }
+
+  await session.touch();
+
+  req.session = session;
+  setContextUser(req);
+
+  // Record every request made while impersonating
+  if (req.impersonator) {
+    res.on("finish", () => {
+      AuditLog.create({
+        action: "impersonation.request",
+        actor: req.impersonator._id,
+        impersonatedUser: req.user._id,
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      }).catch((error) => console.log(error));
+    });
+  }
+
+  next();
 });
 
+// Authenticate the user on public routes when credentials are sent, so the
+// response can include resources only they can see. Requests whose
+// credentials are rejected, e.g. an expired token, are handled as anonymous.
+export const optionalAuth = (req, res, next) => {
+  if (
+    req.headers["x-api-key"] ||
+    req.headers.authorization?.startsWith("Bearer") ||
+    (isCookieAuthEnabled() && req.cookies?.token)
+  ) {
+    return protectRoute(req, res, (error) => {
+      if (error?.statusCode === 401 || error?.statusCode === 403) {
+        delete req.user;
+        delete req.apiKey;
+        delete req.impersonator;
+        delete req.authMethod;
+
+        return next();
+      }
+
+      next(error);
+    });
+  }
+  next();
+};
+
 export default protectRoute;
@@ -1,17 +1,92 @@
+import asyncHandler from "./asyncMiddleware.js";
 import ErrorResponse from "../utils/ErrorResponse.js";
+import { getPermissionScope, hasTeamPermission } from "../utils/permissions.js";
 
-const authorizeRole = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Get the role of a user in the bootcamp team of a resource, for models that
+// have teams
+const getTeamRole = async (user, resource) =>
+  resource.getTeamRole ? await resource.getTeamRole(user) : null;
+
+// Check if a user owns a resource. Resources of a bootcamp team, e.g. courses,
+// belong to the owner of the bootcamp, whoever created them.
+const isOwner = (user, resource, teamRole) =>
+  resource.getTeamRole
+    ? teamRole === "owner"
+    : resource.user.toString() === user.id;
+
+/**
+ * Middleware to authorize the current user for a permission.
+ *
+ * When a model is given, the resource is loaded from the route parameter and
+ * attached to req.resource. Users that only have the permission for their own
+ * resources are rejected if they do not own it, unless their role in the team
+ * of the bootcamp grants the permission, whatever the role of their account.
+ *
+ * @param {string} permission - The permission without a scope, e.g. "bootcamp:update".
+ * @param {Object} [options]
+ * @param {mongoose.Model} [options.model] - Model of the resource the permission applies to.
+ * @param {string} [options.param] - Route parameter holding the id of the resource.
+ * @returns {Function} Express middleware function.
+ *
+ * @example
+ * router.put("/:bootcampId", protectRoute, authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }), updateBootcamp);
+ */
+const authorize = (permission, { model, param } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const scope = getPermissionScope(req.user.role, permission);
+
+    // Without a resource there is no team that could grant the permission
+    if (!scope && !model) {
+      return next(
+        new ErrorResponse(
+          `User role ${req.user.role} is not authorized to access this resource!`,
+          403
+        )
+      );
+    }
+
+    // API keys are limited to the scopes they were created with
+    if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+      return next(
+        new ErrorResponse(`API key does not have the ${permission} scope!`, 403)
+      );
+    }
+
+    if (!model) {
+      return next();
+    }
+
+    const resource = await model.findById(req.params[param]);
+
+    if (!resource) {
       return next(
         new ErrorResponse(
-          `User role ${req.user.role} is unauthorize to access this resource!`,
+          `${model.modelName} not found with id of ${req.params[param]}!`,
+          404
+        )
+      );
+    }
+
+    const teamRole =
+      scope === "any" ? null : await getTeamRole(req.user, resource);
+
+    // Make sure the user owns the resource or is allowed by its team
+    if (
+      scope !== "any" &&
+      !(scope === "own" && isOwner(req.user, resource, teamRole)) &&
+      !hasTeamPermission(teamRole, permission)
+    ) {
+      return next(
+        new ErrorResponse(
+          `User with the ID ${req.user.id} is not authorized to access this ${model.modelName.toLowerCase()}!`,
           403
         )
       );
     }
+
+    req.resource = resource;
+
     next();
-  };
-};
+  });
 
-export default authorizeRole;
+export default authorize;
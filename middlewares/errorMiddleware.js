@@ -35,12 +35,18 @@ const errorHandler = (err, req, res, next) => {
   // Mongoose validation error
   if (err.name === "ValidationError") {
     const message = Object.values(err.errors).map((val) => val.message);
-    error = new ErrorResponse(message, 400);
+    const details = Object.values(err.errors).map((val) => ({
+      field: val.path,
+      rule: val.kind,
+      message: val.message,
+    }));
+    error = new ErrorResponse(message, 400, details);
   }
 
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || "Internal server error!",
+    ...(error.details && { details: error.details }),
   });
 };
 
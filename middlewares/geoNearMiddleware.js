@@ -0,0 +1,66 @@
+import ErrorResponse from "../utils/ErrorResponse.js";
+
+// Meters in each distance unit
+const UNITS = {
+  km: 1000,
+  mi: 1609.344,
+};
+
+/**
+ * Middleware to search around a location with advancedResults.
+ *
+ * Reads the lat, lng, distance and unit query parameters into req.geoNear, so
+ * advancedResults only returns resources within the distance, nearest first,
+ * with their distance in the unit. Without a distance every resource with a
+ * location is returned. Must be used before advancedResults.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The next middleware function.
+ * @returns {void}
+ *
+ * @example
+ * router.get("/near", geoNear, advancedResults(Bootcamp), getBootcamps);
+ */
+const geoNear = (req, res, next) => {
+  const { lat, lng, distance, unit = "mi" } = req.query;
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (
+    !lat ||
+    !lng ||
+    !(Math.abs(latitude) <= 90) ||
+    !(Math.abs(longitude) <= 180)
+  ) {
+    return next(
+      new ErrorResponse("Please add a valid latitude and longitude!", 400)
+    );
+  }
+
+  if (!Object.hasOwn(UNITS, unit)) {
+    return next(
+      new ErrorResponse(
+        `Please add a distance unit, one of ${Object.keys(UNITS).join(", ")}!`,
+        400
+      )
+    );
+  }
+
+  if (distance !== undefined && !(Number(distance) > 0)) {
+    return next(
+      new ErrorResponse("Please add a distance greater than 0!", 400)
+    );
+  }
+
+  req.geoNear = {
+    coordinates: [longitude, latitude],
+    maxDistance: distance && Number(distance) * UNITS[unit],
+    distanceMultiplier: 1 / UNITS[unit],
+    unit,
+  };
+
+  next();
+};
+
+export default geoNear;
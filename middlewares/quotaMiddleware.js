@@ -0,0 +1,36 @@
+import asyncHandler from "./asyncMiddleware.js";
+import User from "../models/UserModel.js";
+import { checkQuota } from "../utils/quotas.js";
+
+/**
+ * Middleware to reject requests that would go over a quota.
+ *
+ * The quota of the owner of the bootcamp in req.resource is checked, so it must
+ * be used after authorize. Without a bootcamp the quota of the current user is
+ * checked.
+ *
+ * @param {string} quota - The quota, e.g. "coursesPerBootcamp".
+ * @returns {Function} Express middleware function.
+ *
+ * @example
+ * router.post("/", protectRoute, authorize("course:create", { model: Bootcamp, param: "bootcampId" }), enforceQuota("coursesPerBootcamp"), createCourse);
+ */
+const enforceQuota = (quota) =>
+  asyncHandler(async (req, res, next) => {
+    const bootcamp = req.resource;
+
+    const owner =
+      !bootcamp || bootcamp.user.equals(req.user._id)
+        ? req.user
+        : await User.findById(bootcamp.user);
+
+    const error = await checkQuota(owner, quota, bootcamp);
+
+    if (error) {
+      return next(error);
+    }
+
+    next();
+  });
+
+export default enforceQuota;
@@ -0,0 +1,25 @@
+import * as crypto from "node:crypto";
+import { runWithContext } from "../utils/requestContext.js";
+
+// Ids sent by clients or proxies are only kept when they are safe to log and
+// send back in a header
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// Give every request an id and make it, the ip and the user agent available to
+// the rest of the request through the request context. protectRoute adds the
+// authenticated user.
+const requestContext = (req, res, next) => {
+  const sentId = req.get("x-request-id");
+  const requestId =
+    sentId && REQUEST_ID_PATTERN.test(sentId) ? sentId : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  runWithContext(
+    { requestId, ip: req.ip, userAgent: req.get("user-agent") },
+    next
+  );
+};
+
+export default requestContext;
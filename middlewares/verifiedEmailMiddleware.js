@@ -0,0 +1,24 @@
+import ErrorResponse from "../utils/ErrorResponse.js";
+
+/**
+ * Middleware to only allow users with a verified email address.
+ * Must be used after protectRoute.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The next middleware function.
+ * @returns {void}
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(
+      new ErrorResponse(
+        "Please verify your email address to access this resource!",
+        403
+      )
+    );
+  }
+  next();
+};
+
+export default requireVerifiedEmail;
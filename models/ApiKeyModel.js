@@ -0,0 +1,85 @@
+import * as crypto from "node:crypto";
+import mongoose from "mongoose";
+import { getPermissionNames } from "../utils/permissions.js";
+
+const ApiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Please add a name for the API key!"],
+    trim: true,
+    maxlength: [50, "Name can not be more than 50 characters!"],
+  },
+  // First characters of the key, to tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [String],
+    enum: getPermissionNames(),
+    validate: [
+      (scopes) => scopes.length > 0,
+      "Please add at least one scope for the API key!",
+    ],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Check if the API key can still be used
+ApiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash an API key
+ApiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Generate the key, only its hash is stored
+ApiKeySchema.methods.generateKey = function () {
+  const key = `dc_${crypto.randomBytes(24).toString("hex")}`;
+
+  this.prefix = key.slice(0, 11);
+  this.keyHash = this.constructor.hashKey(key);
+
+  return key;
+};
+
+// Record that the API key has been used, at most once a minute
+ApiKeySchema.methods.touch = async function () {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) {
+    return;
+  }
+
+  this.lastUsedAt = Date.now();
+  await this.save();
+};
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// Record of a write operation or of an action taken on behalf of another user
+const AuditLogSchema = new mongoose.Schema({
+  // e.g. "bootcamp.update" or "impersonation.start"
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // The user who took the action, empty for public requests and background jobs
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    index: true,
+  },
+  // The user being impersonated, if any
+  impersonatedUser: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    index: true,
+  },
+  resourceType: {
+    type: String,
+  },
+  resourceId: {
+    type: mongoose.Schema.ObjectId,
+  },
+  // Changed fields with their value before and after the operation
+  changes: [
+    {
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  requestId: {
+    type: String,
+    index: true,
+  },
+  method: {
+    type: String,
+  },
+  path: {
+    type: String,
+  },
+  statusCode: {
+    type: Number,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,71 @@
+import * as crypto from "node:crypto";
+import mongoose from "mongoose";
+
+// An invitation to join the team of a bootcamp
+const BootcampInvitationSchema = new mongoose.Schema({
+  bootcamp: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Bootcamp",
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    required: [true, "Please add an email!"],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      "Please add a valid email!",
+    ],
+  },
+  role: {
+    type: String,
+    enum: ["editor", "viewer"],
+    required: [true, "Please add a team role!"],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove invitations that were never accepted
+BootcampInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash an invitation token
+BootcampInvitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate the invitation token, only its hash is stored
+BootcampInvitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(20).toString("hex");
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+const BootcampInvitation = mongoose.model(
+  "BootcampInvitation",
+  BootcampInvitationSchema
+);
+
+export default BootcampInvitation;
@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
 import slugify from "slugify";
-import geocoder from "../utils/geocoder.js";
+import { geocodeAddress } from "../utils/geocoder.js";
+import { hasPermission } from "../utils/permissions.js";
+import softDeletePlugin from "./plugins/softDeletePlugin.js";
+import auditPlugin from "./plugins/auditPlugin.js";
+import revisionPlugin from "./plugins/revisionPlugin.js";
 
 const BootcampSchema = new mongoose.Schema(
   {
@@ -59,6 +63,16 @@ const BootcampSchema = new mongoose.Schema(
       zipcode: String,
       country: String,
     },
+    // Result of geocoding the address into the location
+    geocode: {
+      status: {
+        type: String,
+        enum: ["success", "not_found", "failed"],
+      },
+      // Between 0 and 1, when the geocoding provider reports it
+      confidence: Number,
+      geocodedAt: Date,
+    },
     careers: {
       // Array of strings
       type: [String],
@@ -100,15 +114,61 @@ const BootcampSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Only published bootcamps are visible to the public
+    status: {
+      type: String,
+      enum: ["draft", "pending", "published", "archived"],
+      default: "draft",
+      index: true,
+    },
+    // Comment of the admin who last approved or rejected the bootcamp
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Comment can not be more than 500 characters!"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    publishedAt: {
+      type: Date,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
     },
+    // The owner of the bootcamp
     user: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
       required: true,
     },
+    // Other users working on the bootcamp, added by invitation
+    members: [
+      {
+        user: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["editor", "viewer"],
+          required: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     toJSON: { virtuals: true },
@@ -122,25 +182,56 @@ BootcampSchema.pre("save", function (next) {
   next();
 });
 
-// Geocode and create location field
+// Geocode the address into the location when it is added or changed
 BootcampSchema.pre("save", async function (next) {
-  const geocodedLocation = await geocoder.geocode(this.address);
-  this.location = {
-    type: "Point",
-    coordinates: [geocodedLocation[0].longitude, geocodedLocation[0].latitude],
-    formattedAddress: geocodedLocation[0].formattedAddress,
-    street: geocodedLocation[0].streetName,
-    city: geocodedLocation[0].city,
-    state: geocodedLocation[0].stateCode,
-    zipcode: geocodedLocation[0].zipcode,
-    country: geocodedLocation[0].countryCode,
-  };
+  if (!this.isModified("address")) {
+    return next();
+  }
+
+  const { location, geocode } = await geocodeAddress(this.address);
 
-  // Do not save address in database
-  this.address = undefined;
+  // Keep the last known location when the provider failed
+  if (geocode.status !== "failed") {
+    this.location = location;
+  }
+
+  this.geocode = geocode;
   next();
 });
 
+// Geocode the address on updates too, which skip the save hook
+BootcampSchema.pre(["findOneAndUpdate", "updateOne"], async function () {
+  const update = this.getUpdate();
+  const address = update.$set?.address ?? update.address;
+
+  if (address === undefined) {
+    return;
+  }
+
+  const { location, geocode } = await geocodeAddress(address);
+
+  this.set("geocode", geocode);
+
+  if (location) {
+    this.set("location", location);
+  } else if (geocode.status === "not_found") {
+    update.$unset = { ...update.$unset, location: "" };
+  }
+});
+
+// Copy a change of status onto the courses and reviews of the bootcamp
+BootcampSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate();
+
+  this._status = update.$set?.status ?? update.status;
+});
+
+BootcampSchema.post("findOneAndUpdate", async function (bootcamp) {
+  if (this._status && bootcamp) {
+    await this.model.syncStatus(bootcamp._id, this._status);
+  }
+});
+
 // Cascade delete courses when a bootcamp is deleted
 BootcampSchema.pre(
   "deleteOne",
@@ -148,10 +239,150 @@ BootcampSchema.pre(
   async function (next) {
     console.log(`Courses being removed from bootcamp ${this._id}`);
     await this.model("Course").deleteMany({ bootcamp: this._id });
+    await this.model("Review").deleteMany({ bootcamp: this._id });
+    await this.model("Revision").deleteMany({ bootcamp: this._id });
+    await this.model("BootcampInvitation").deleteMany({ bootcamp: this._id });
     next();
   }
 );
 
+BootcampSchema.index({ "members.user": 1 });
+
+// Static method to get the filter for the bootcamps a user can see. Drafts and
+// bootcamps waiting for review are only visible to their team and admins.
+BootcampSchema.statics.getVisibilityFilter = function (user) {
+  if (user && hasPermission(user.role, "bootcamp:moderate")) {
+    return {};
+  }
+
+  if (user) {
+    return {
+      $or: [
+        { status: "published" },
+        { user: user._id },
+        { "members.user": user._id },
+      ],
+    };
+  }
+
+  return { status: "published" };
+};
+
+// Static method to get the filter for the courses and reviews a user can see,
+// the ones of the bootcamps they can see. They carry the status of their
+// bootcamp, so only the bootcamps of the user's teams have to be loaded.
+BootcampSchema.statics.getResourceVisibilityFilter = async function (user) {
+  const filter = this.getVisibilityFilter(user);
+
+  if (!Object.keys(filter).length) {
+    return {};
+  }
+
+  if (!user) {
+    return { bootcampStatus: "published" };
+  }
+
+  const bootcamps = await this.find({
+    $or: [{ user: user._id }, { "members.user": user._id }],
+  }).select("_id");
+
+  return {
+    $or: [
+      { bootcampStatus: "published" },
+      { bootcamp: { $in: bootcamps.map((bootcamp) => bootcamp._id) } },
+    ],
+  };
+};
+
+// Static method to copy the status of a bootcamp onto its courses and
+// reviews, including the ones in the trash
+BootcampSchema.statics.syncStatus = async function (bootcampId, status) {
+  await Promise.all(
+    ["Course", "Review"].map((model) =>
+      this.model(model).updateMany(
+        { bootcamp: bootcampId },
+        { bootcampStatus: status }
+      )
+    )
+  );
+};
+
+// Static method to geocode the address of bootcamps again, one at a time to
+// stay within the rate limit of the geocoding provider
+BootcampSchema.statics.regeocode = async function (filter = {}) {
+  // Bootcamps in the trash are geocoded too, so they are right when restored
+  const bootcamps = await this.find(filter)
+    .withDeleted()
+    .select("name address location");
+
+  const results = {
+    total: bootcamps.length,
+    geocoded: 0,
+    notFound: 0,
+    failed: 0,
+    failures: [],
+  };
+
+  for (const bootcamp of bootcamps) {
+    // Addresses were not kept before, use the geocoded address instead
+    const address = bootcamp.address || bootcamp.location?.formattedAddress;
+
+    if (!address) {
+      results.failed++;
+      results.failures.push({
+        bootcamp: bootcamp._id,
+        name: bootcamp.name,
+        error: "Bootcamp has no address",
+      });
+      continue;
+    }
+
+    const updated = await this.findOneAndUpdate(
+      { _id: bootcamp._id },
+      { address },
+      { new: true }
+    ).withDeleted();
+
+    // The bootcamp was removed for good in the meantime
+    if (!updated) {
+      results.total--;
+      continue;
+    }
+
+    const { geocode } = updated;
+
+    if (geocode.status === "success") {
+      results.geocoded++;
+      continue;
+    }
+
+    results[geocode.status === "not_found" ? "notFound" : "failed"]++;
+    results.failures.push({
+      bootcamp: bootcamp._id,
+      name: bootcamp.name,
+      error:
+        geocode.status === "not_found"
+          ? `Address ${address} was not found`
+          : "Geocoding provider is not available",
+    });
+  }
+
+  return results;
+};
+
+// Get the role of a user in the team of the bootcamp
+BootcampSchema.methods.getTeamRole = function (user) {
+  if (this.user.toString() === user.id) {
+    return "owner";
+  }
+
+  const member = this.members.find(
+    (member) => member.user.toString() === user.id
+  );
+
+  return member ? member.role : null;
+};
+
 // Reverse populate with virtuals
 BootcampSchema.virtual("courses", {
   ref: "Course",
@@ -160,6 +391,32 @@ BootcampSchema.virtual("courses", {
   justOne: false,
 });
 
+// Move bootcamps to the trash together with their courses and reviews
+BootcampSchema.plugin(softDeletePlugin, {
+  children: [
+    { model: "Course", field: "bootcamp" },
+    { model: "Review", field: "bootcamp" },
+  ],
+});
+
+// Record every change in the audit log
+BootcampSchema.plugin(auditPlugin);
+
+// Keep every version, changes to the computed fields are not a new version
+BootcampSchema.plugin(revisionPlugin, {
+  bootcampField: "_id",
+  ignore: [
+    "averageRating",
+    "averageCost",
+    "members",
+    "location",
+    "geocode",
+    "deletedAt",
+    "deletedBy",
+    "deletedWith",
+  ],
+});
+
 const Bootcamp = mongoose.model("Bootcamp", BootcampSchema);
 
 export default Bootcamp;
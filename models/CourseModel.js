@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDeletePlugin.js";
+import auditPlugin from "./plugins/auditPlugin.js";
+import bootcampStatusPlugin from "./plugins/bootcampStatusPlugin.js";
+import revisionPlugin from "./plugins/revisionPlugin.js";
 
 const CourseSchema = new mongoose.Schema({
   title: {
@@ -58,14 +62,25 @@ CourseSchema.statics.getAverageCost = async function (bootcampId) {
   ]);
 
   try {
-    await this.model("Bootcamp").findByIdAndUpdate(bootcampId, {
-      averageCost: Math.ceil(obj[0].averageCost / 10) * 10,
-    });
+    // Remove the average cost when the last course is gone
+    await this.model("Bootcamp").findByIdAndUpdate(
+      bootcampId,
+      obj[0]
+        ? { averageCost: Math.ceil(obj[0].averageCost / 10) * 10 }
+        : { $unset: { averageCost: 1 } }
+    );
   } catch (error) {
     console.error(error);
   }
 };
 
+// Get the role of a user in the team of the course's bootcamp
+CourseSchema.methods.getTeamRole = async function (user) {
+  const bootcamp = await this.model("Bootcamp").findById(this.bootcamp);
+
+  return bootcamp ? bootcamp.getTeamRole(user) : null;
+};
+
 // Call getAverage cost after save
 CourseSchema.post("save", function () {
   this.constructor.getAverageCost(this.bootcamp);
@@ -76,6 +91,25 @@ CourseSchema.pre("deleteOne", { document: true, query: false }, function () {
   this.constructor.getAverageCost(this.bootcamp);
 });
 
+// Move courses to the trash and update the average cost of the bootcamp
+CourseSchema.plugin(softDeletePlugin, {
+  onChange() {
+    return this.constructor.getAverageCost(this.bootcamp);
+  },
+});
+
+// Copy the status of the bootcamp, to only show the ones of published bootcamps
+CourseSchema.plugin(bootcampStatusPlugin);
+
+// Record every change in the audit log
+CourseSchema.plugin(auditPlugin);
+
+// Keep every version of the course
+CourseSchema.plugin(revisionPlugin, {
+  bootcampField: "bootcamp",
+  ignore: ["deletedAt", "deletedBy", "deletedWith", "bootcampStatus"],
+});
+
 const Course = mongoose.model("Course", CourseSchema);
 
 export default Course;
@@ -0,0 +1,65 @@
+import * as crypto from "node:crypto";
+import mongoose from "mongoose";
+
+// A requested email change, applied once the new address is confirmed
+const EmailChangeSchema = new mongoose.Schema({
+  // A user can only have one pending email change
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  newEmail: {
+    type: String,
+    required: [true, "Please add an email!"],
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      "Please add a valid email!",
+    ],
+  },
+  // Sent to the new address
+  confirmTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Sent to the old address
+  cancelTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove email changes that were never confirmed
+EmailChangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a confirm or cancel token
+EmailChangeSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate the confirm and cancel tokens, only their hashes are stored
+EmailChangeSchema.methods.generateTokens = function () {
+  const confirmToken = crypto.randomBytes(20).toString("hex");
+  const cancelToken = crypto.randomBytes(20).toString("hex");
+
+  this.confirmTokenHash = this.constructor.hashToken(confirmToken);
+  this.cancelTokenHash = this.constructor.hashToken(cancelToken);
+  this.expiresAt = Date.now() + 24 * 60 * 60 * 1000;
+
+  return { confirmToken, cancelToken };
+};
+
+const EmailChange = mongoose.model("EmailChange", EmailChangeSchema);
+
+export default EmailChange;
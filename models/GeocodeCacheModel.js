@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A geocoding result kept so the same address is not sent to the provider again
+const GeocodeCacheSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // The address or zipcode, normalized so small differences share a result
+  query: {
+    type: String,
+    required: true,
+  },
+  // Empty when the provider did not find the query
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+GeocodeCacheSchema.index({ provider: 1, query: 1 }, { unique: true });
+
+// Remove results once they expire, so changes at the provider are picked up
+GeocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GeocodeCache = mongoose.model("GeocodeCache", GeocodeCacheSchema);
+
+export default GeocodeCache;
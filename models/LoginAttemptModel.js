@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+// Failed login attempts, tracked per account (email) and per IP address
+const LoginAttemptSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["account", "ip"],
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  // Failed attempts are forgotten after a day without new failures
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+LoginAttemptSchema.index({ type: 1, key: 1 }, { unique: true });
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MAX_LOCKOUT = 24 * 60 * 60 * 1000;
+
+// Get the number of failed attempts allowed before locking
+const getMaxAttempts = (type) =>
+  type === "ip"
+    ? Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20
+    : Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5;
+
+// Get the lockout after the first attempt over the limit
+const getLockout = () =>
+  (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Static method to get when the lock on an account or IP address ends
+LoginAttemptSchema.statics.getLockedUntil = async function (email, ip) {
+  const attempts = await this.find({
+    $or: [
+      { type: "account", key: String(email).toLowerCase() },
+      { type: "ip", key: ip },
+    ],
+    lockedUntil: { $gt: Date.now() },
+  });
+
+  if (!attempts.length) {
+    return null;
+  }
+
+  return new Date(
+    Math.max(...attempts.map((attempt) => attempt.lockedUntil.getTime()))
+  );
+};
+
+// Static method to record a failed attempt and lock with exponential backoff.
+// Returns true if the attempt caused a new lock.
+LoginAttemptSchema.statics.registerFailure = async function (type, key) {
+  const attempt = await this.findOneAndUpdate(
+    { type, key: type === "account" ? String(key).toLowerCase() : key },
+    {
+      $inc: { failedAttempts: 1 },
+      lastFailedAt: Date.now(),
+      expiresAt: Date.now() + 24 * 60 * 60 * 1000,
+    },
+    { new: true, upsert: true }
+  );
+
+  const excessAttempts = attempt.failedAttempts - getMaxAttempts(type);
+
+  if (excessAttempts < 0) {
+    return false;
+  }
+
+  // Double the lockout for every attempt after the limit
+  const lockout = Math.min(getLockout() * 2 ** excessAttempts, MAX_LOCKOUT);
+
+  attempt.lockedUntil = Date.now() + lockout;
+  attempt.expiresAt = Math.max(attempt.expiresAt, attempt.lockedUntil);
+  await attempt.save();
+
+  return true;
+};
+
+// Static method to clear the failed attempts of an account or IP address
+LoginAttemptSchema.statics.reset = async function (type, key) {
+  await this.deleteOne({
+    type,
+    key: type === "account" ? String(key).toLowerCase() : key,
+  });
+};
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+export default LoginAttempt;
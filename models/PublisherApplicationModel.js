@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+
+// A request from a user to be upgraded to the publisher role
+const PublisherApplicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  organizationName: {
+    type: String,
+    required: [true, "Please add the name of your organization!"],
+    trim: true,
+    maxlength: [100, "Organization name can not be more than 100 characters!"],
+  },
+  organizationWebsite: {
+    type: String,
+    match: [
+      /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/,
+      "Please use a valid URL with HTTP or HTTPS",
+    ],
+  },
+  // Why the user wants to publish bootcamps
+  description: {
+    type: String,
+    required: [true, "Please add a description!"],
+    trim: true,
+    maxlength: [1000, "Description can not be more than 1000 characters!"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+    index: true,
+  },
+  // Shown to the user when the application is rejected
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Reason can not be more than 500 characters!"],
+  },
+  reviewedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A user can only have one application waiting for review
+PublisherApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+// Record every change in the audit log
+PublisherApplicationSchema.plugin(auditPlugin);
+
+const PublisherApplication = mongoose.model(
+  "PublisherApplication",
+  PublisherApplicationSchema
+);
+
+export default PublisherApplication;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDeletePlugin.js";
+import auditPlugin from "./plugins/auditPlugin.js";
+import bootcampStatusPlugin from "./plugins/bootcampStatusPlugin.js";
 
 const ReviewSchema = new mongoose.Schema({
   title: {
@@ -51,9 +54,13 @@ ReviewSchema.statics.getAverageRating = async function (bootcampId) {
   ]);
 
   try {
-    await this.model("Bootcamp").findByIdAndUpdate(bootcampId, {
-      averageRating: obj[0].averageRating,
-    });
+    // Remove the average rating when the last review is gone
+    await this.model("Bootcamp").findByIdAndUpdate(
+      bootcampId,
+      obj[0]
+        ? { averageRating: obj[0].averageRating }
+        : { $unset: { averageRating: 1 } }
+    );
   } catch (error) {
     console.error(error);
   }
@@ -64,11 +71,24 @@ ReviewSchema.post("save", function () {
   this.constructor.getAverageRating(this.bootcamp);
 });
 
-// Call getAverage cost before remove
-ReviewSchema.pre("deleteOne", { document: true, query: false }, function () {
+// Call getAverageRating after remove, so the removed review is not counted
+ReviewSchema.post("deleteOne", { document: true, query: false }, function () {
   this.constructor.getAverageRating(this.bootcamp);
 });
 
+// Move reviews to the trash and update the average rating of the bootcamp
+ReviewSchema.plugin(softDeletePlugin, {
+  onChange() {
+    return this.constructor.getAverageRating(this.bootcamp);
+  },
+});
+
+// Copy the status of the bootcamp, to only show the ones of published bootcamps
+ReviewSchema.plugin(bootcampStatusPlugin);
+
+// Record every change in the audit log
+ReviewSchema.plugin(auditPlugin);
+
 const Review = mongoose.model("Review", ReviewSchema);
 
 export default Review;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// A saved version of a bootcamp or course
+const RevisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ["Bootcamp", "Course"],
+    required: true,
+  },
+  resource: {
+    type: mongoose.Schema.ObjectId,
+    required: true,
+  },
+  // The bootcamp the resource belongs to, to list all of its revisions
+  bootcamp: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Bootcamp",
+    required: true,
+    index: true,
+  },
+  // Increments with every revision of the resource, starting at 1
+  version: {
+    type: Number,
+    required: true,
+  },
+  // The whole document as it was saved
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Fields changed compared to the previous revision
+  changedFields: {
+    type: [String],
+  },
+  // The user who made the change, empty for background jobs
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  // Set when the revision was created by restoring an earlier one
+  restoredFrom: {
+    type: Number,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RevisionSchema.index({ resource: 1, version: 1 }, { unique: true });
+
+const Revision = mongoose.model("Revision", RevisionSchema);
+
+export default Revision;
@@ -0,0 +1,139 @@
+import * as crypto from "node:crypto";
+import mongoose from "mongoose";
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Hashes of refresh tokens that were already rotated out of this session
+  previousTokenHashes: {
+    type: [String],
+    index: true,
+    select: false,
+  },
+  // Admin acting as the user, set for impersonation sessions
+  impersonator: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  // How the user logged in, e.g. so users who only sign in with single sign-on
+  // can make sensitive changes right after logging in
+  loginMethod: {
+    type: String,
+    enum: ["password", "twoFactor", "magicLink", "oidc"],
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "reuse", "passwordChange", "userRevoked"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Remove expired sessions from the database
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still be used
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to hash a refresh token
+SessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Static method to revoke every active session of a user, optionally keeping
+// one session alive
+SessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason,
+  exceptSessionId
+) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  await this.updateMany(filter, {
+    revokedAt: Date.now(),
+    revokedReason: reason,
+  });
+};
+
+// Static method to get the active sessions of a user
+SessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort("-lastSeenAt");
+};
+
+// Generate a new refresh token and rotate out the previous one
+SessionSchema.methods.generateRefreshToken = function () {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes.push(this.refreshTokenHash);
+  }
+
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+
+  // Every rotation extends the session
+  this.lastSeenAt = Date.now();
+  this.expiresAt =
+    Date.now() + process.env.JWT_REFRESH_EXPIRE * 24 * 60 * 60 * 1000;
+
+  return refreshToken;
+};
+
+// Record that the session has been used, at most once a minute
+SessionSchema.methods.touch = async function () {
+  if (Date.now() - this.lastSeenAt < 60 * 1000) {
+    return;
+  }
+
+  this.lastSeenAt = Date.now();
+  await this.save();
+};
+
+// Revoke the session
+SessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+const Session = mongoose.model("Session", SessionSchema);
+
+export default Session;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// Limits of a quota plan, a missing limit means unlimited
+const QuotaPlanSchema = new mongoose.Schema(
+  {
+    bootcamps: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+    coursesPerBootcamp: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+    photos: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+  },
+  { _id: false }
+);
+
+// Application wide settings that admins can change at runtime
+const SettingSchema = new mongoose.Schema({
+  twoFactorRequiredRoles: {
+    type: [String],
+    enum: ["user", "publisher", "admin"],
+    default: [],
+  },
+  // Quota plans users can be assigned to, every user starts on the free plan
+  quotaPlans: {
+    type: Map,
+    of: QuotaPlanSchema,
+    default: () => ({
+      free: { bootcamps: 1, coursesPerBootcamp: 10, photos: 1 },
+      campus: { bootcamps: 10, coursesPerBootcamp: 50, photos: 10 },
+      unlimited: {},
+    }),
+    validate: {
+      validator: (plans) => plans.has("free"),
+      message: "The free quota plan can not be removed!",
+    },
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+});
+
+// Static method to get the settings, creating them on first use
+SettingSchema.statics.getSettings = async function () {
+  const settings = await this.findOne();
+
+  if (settings) {
+    return settings;
+  }
+
+  return await this.create({});
+};
+
+const Setting = mongoose.model("Setting", SettingSchema);
+
+export default Setting;
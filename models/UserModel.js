@@ -2,6 +2,14 @@ import * as crypto from "node:crypto";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import ErrorResponse from "../utils/ErrorResponse.js";
+import { generateSecret, verifyTotp } from "../utils/totp.js";
+import {
+  getPasswordPolicy,
+  validatePassword,
+} from "../utils/passwordPolicy.js";
+import { checkTransferQuota } from "../utils/quotas.js";
+import auditPlugin from "./plugins/auditPlugin.js";
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -19,15 +27,111 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["user", "publisher"],
+    enum: ["user", "publisher", "admin"],
     default: "user",
   },
+  // Quota plan from the settings, limits the bootcamps the user can publish
+  plan: {
+    type: String,
+    default: "free",
+  },
+  // Limits set for this user only, they replace the limits of the plan
+  quotas: {
+    bootcamps: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+    coursesPerBootcamp: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+    photos: {
+      type: Number,
+      min: [0, "Quota limits can not be negative!"],
+    },
+  },
+  // Users who only sign in with single sign-on have no password
   password: {
     type: String,
-    required: [true, "Please add a password!"],
-    minlength: 6,
+    required: [
+      function () {
+        return !this.identities?.length;
+      },
+      "Please add a password!",
+    ],
+    select: false,
+  },
+  // Hashes of the previous passwords, so they can not be reused
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Accounts at OpenID Connect providers linked to the user
+  identities: [
+    {
+      _id: false,
+      provider: {
+        type: String,
+        required: true,
+      },
+      subject: {
+        type: String,
+        required: true,
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  emailVerificationToken: {
+    type: String,
+  },
+  emailVerificationExpire: {
+    type: Date,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
     select: false,
   },
+  // Last time step a code was accepted for, so a code can only be used once
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  magicLinkToken: {
+    type: String,
+  },
+  magicLinkExpire: {
+    type: Date,
+  },
+  // Set when the user asked to delete the account, it is deleted after a
+  // grace period unless the request is cancelled
+  deletionScheduledAt: {
+    type: Date,
+    index: true,
+  },
+  // What happens to the bootcamps of the user when the account is deleted
+  deletionBootcampAction: {
+    type: String,
+    enum: ["delete", "transfer"],
+  },
+  deletionTransferTo: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
   resetPasswordToken: {
     type: String,
   },
@@ -40,25 +144,146 @@ const UserSchema = new mongoose.Schema({
   },
 });
 
-// Encrypt password using bcrypt
+// Check the password policy and history, then encrypt password using bcrypt
 UserSchema.pre("save", async function (next) {
-  if (!this.isModified("password")) {
-    next();
+  if (!this.isModified("password") || !this.password) {
+    return next();
   }
+
+  const errors = validatePassword(this.password, this);
+  const { historySize } = getPasswordPolicy();
+  let previousHashes = [];
+
+  if (!this.isNew && historySize > 0) {
+    const current = await this.constructor
+      .findById(this._id)
+      .select("+password +passwordHistory");
+
+    previousHashes = [current?.password, ...(current?.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, historySize);
+
+    for (const hash of previousHashes) {
+      if (await bcrypt.compare(this.password, hash)) {
+        errors.push({
+          rule: "history",
+          message: `Password must be different from your last ${historySize} passwords!`,
+        });
+        break;
+      }
+    }
+  }
+
+  if (errors.length) {
+    return next(
+      new ErrorResponse(
+        "Password does not meet the password policy!",
+        400,
+        errors.map((error) => ({ field: "password", ...error }))
+      )
+    );
+  }
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordHistory = previousHashes.slice(0, historySize - 1);
   next();
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+// Each identity can only be linked to one user
+UserSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+// Static method to find the user of an OpenID Connect identity. Users are
+// linked by email address, or created, only if the provider verified it.
+UserSchema.statics.findOrCreateByIdentity = async function (provider, claims) {
+  const user = await this.findOne({
+    identities: { $elemMatch: { provider, subject: claims.sub } },
+  });
+
+  if (user) {
+    return user;
+  }
+
+  if (
+    !claims.email ||
+    (claims.email_verified !== true && claims.email_verified !== "true")
+  ) {
+    return null;
+  }
+
+  const identity = { provider, subject: claims.sub };
+  const existingUser = await this.findOne({ email: claims.email });
+
+  if (!existingUser) {
+    return await this.create({
+      name: claims.name || claims.email,
+      email: claims.email,
+      emailVerified: true,
+      identities: [identity],
+    });
+  }
+
+  // Anyone could have registered an unverified account with this email, so
+  // its password and sessions can not be trusted
+  if (!existingUser.emailVerified) {
+    existingUser.password = undefined;
+    await this.model("Session").revokeAllForUser(
+      existingUser._id,
+      "passwordChange"
+    );
+  }
+
+  existingUser.emailVerified = true;
+  existingUser.identities.push(identity);
+  await existingUser.save({ validateBeforeSave: false });
+
+  return existingUser;
+};
+
+// Sign JWT for a session and return
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
   });
 };
 
+// Static method to get how long impersonation lasts in milliseconds, 15
+// minutes unless configured
+UserSchema.statics.getImpersonationLifetime = function () {
+  return (Number(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15) * 60 * 1000;
+};
+
+// Sign a short lived JWT for an admin impersonating the user
+UserSchema.methods.getImpersonationToken = function (
+  sessionId,
+  impersonatorId
+) {
+  return jwt.sign(
+    { id: this._id, sid: sessionId, imp: impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: this.constructor.getImpersonationLifetime() / 1000 }
+  );
+};
+
+// Sign a short lived JWT that can only be used to finish a two-factor login
+UserSchema.methods.getMfaPendingToken = function () {
+  return jwt.sign({ id: this._id, purpose: "mfa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) {
+    return false;
+  }
+
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
@@ -79,6 +304,200 @@ UserSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate and hash magic link login token
+UserSchema.methods.getMagicLinkToken = function () {
+  // Generate the token
+  const magicLinkToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash the token and set to magic link token field
+  this.magicLinkToken = crypto
+    .createHash("sha256")
+    .update(magicLinkToken)
+    .digest("hex");
+
+  // Set the expire
+  this.magicLinkExpire = Date.now() + 15 * 60 * 1000;
+
+  return magicLinkToken;
+};
+
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function () {
+  // Generate the token
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash the token and set to email verification token field
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  // Set the expire
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Generate a new secret for two-factor authentication
+UserSchema.methods.generateTwoFactorSecret = function () {
+  this.twoFactorSecret = generateSecret();
+  this.twoFactorLastUsedStep = undefined;
+
+  return this.twoFactorSecret;
+};
+
+// Match user entered two-factor code, each code can only be used once
+UserSchema.methods.matchTwoFactorCode = function (code) {
+  const step = verifyTotp(this.twoFactorSecret, code);
+
+  if (step === null || step <= (this.twoFactorLastUsedStep ?? -1)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+
+  return true;
+};
+
+// Generate and hash one-time recovery codes
+UserSchema.methods.generateRecoveryCodes = function () {
+  const recoveryCodes = Array.from({ length: 10 }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+
+  this.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) =>
+    crypto.createHash("sha256").update(recoveryCode).digest("hex")
+  );
+
+  return recoveryCodes;
+};
+
+// Match and use up a recovery code
+UserSchema.methods.useRecoveryCode = function (recoveryCode) {
+  const hashedCode = crypto
+    .createHash("sha256")
+    .update(String(recoveryCode).trim().toLowerCase())
+    .digest("hex");
+
+  const index = this.twoFactorRecoveryCodes.indexOf(hashedCode);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+
+  return true;
+};
+
+// Clean up everything that belongs to the user when the account is deleted
+UserSchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  async function (next) {
+    const Bootcamp = this.model("Bootcamp");
+    const Course = this.model("Course");
+    const Review = this.model("Review");
+
+    let newOwner =
+      this.deletionBootcampAction === "transfer" &&
+      (await this.constructor.findById(this.deletionTransferTo));
+
+    // The new owner may have used up their quotas during the grace period
+    const quotaError = newOwner && (await checkTransferQuota(newOwner, this));
+
+    if (quotaError) {
+      console.log(
+        `Bootcamps of user ${this._id} not transferred: ${quotaError.message}`
+      );
+      newOwner = null;
+    }
+
+    if (newOwner) {
+      console.log(
+        `Bootcamps of user ${this._id} transferred to ${newOwner._id}`
+      );
+      // Bootcamps in the trash are transferred too, so they can be restored
+      const bootcampIds = (
+        await Bootcamp.find({ user: this._id }).withDeleted().select("_id")
+      ).map((bootcamp) => bootcamp._id);
+
+      // The new owner does not stay a member of their own bootcamps
+      await Bootcamp.updateMany(
+        { _id: { $in: bootcampIds } },
+        {
+          user: newOwner._id,
+          $pull: { members: { user: newOwner._id } },
+        }
+      );
+      await Course.updateMany(
+        { bootcamp: { $in: bootcampIds } },
+        { user: newOwner._id }
+      );
+    } else {
+      console.log(`Bootcamps being removed from user ${this._id}`);
+      const bootcamps = await Bootcamp.find({ user: this._id }).withDeleted();
+
+      for (const bootcamp of bootcamps) {
+        await bootcamp.deleteOne();
+      }
+    }
+
+    // Leave the teams of other bootcamps
+    await Bootcamp.updateMany(
+      { "members.user": this._id },
+      { $pull: { members: { user: this._id } } }
+    );
+
+    // Courses the user added to bootcamps of other users stay with the bootcamp
+    const courses = await Course.find({ user: this._id })
+      .withDeleted()
+      .populate({
+        path: "bootcamp",
+        select: "user",
+      });
+
+    for (const course of courses.filter((course) => course.bootcamp)) {
+      await Course.updateOne(
+        { _id: course._id },
+        { user: course.bootcamp.user }
+      );
+    }
+
+    console.log(`Reviews being removed from user ${this._id}`);
+    const reviewedBootcampIds = await Review.distinct("bootcamp", {
+      user: this._id,
+    });
+    await Review.deleteMany({ user: this._id });
+
+    for (const bootcampId of reviewedBootcampIds) {
+      await Review.getAverageRating(bootcampId);
+    }
+
+    await this.model("Session").deleteMany({ user: this._id });
+    await this.model("ApiKey").deleteMany({ user: this._id });
+    await this.model("EmailChange").deleteMany({ user: this._id });
+    await this.model("PublisherApplication").deleteMany({ user: this._id });
+    await this.model("LoginAttempt").reset("account", this.email);
+
+    next();
+  }
+);
+
+// Record every change in the audit log, without storing secrets
+UserSchema.plugin(auditPlugin, {
+  redact: [
+    "password",
+    "passwordHistory",
+    "twoFactorSecret",
+    "twoFactorLastUsedStep",
+    "twoFactorRecoveryCodes",
+    "emailVerificationToken",
+    "magicLinkToken",
+    "resetPasswordToken",
+  ],
+});
+
 const User = mongoose.model("User", UserSchema);
 
 export default User;
@@ -0,0 +1,132 @@
+import AuditLog from "../AuditLogModel.js";
+import findChanged from "../../utils/findChanged.js";
+import getChanges from "../../utils/getChanges.js";
+import { getRequestContext } from "../../utils/requestContext.js";
+
+const UPDATE_QUERIES = ["findOneAndUpdate", "updateOne", "updateMany"];
+const DELETE_QUERIES = ["findOneAndDelete", "deleteOne", "deleteMany"];
+
+// Write an audit log entry for the current request or job. Writes outside of
+// one, e.g. from the seeder, are not recorded. Failures are only logged so they
+// never break the operation being audited.
+const writeAuditLog = async (resourceType, operation, resourceId, changes) => {
+  const context = getRequestContext();
+
+  if (!context) {
+    return;
+  }
+
+  try {
+    await AuditLog.create({
+      action: `${resourceType.toLowerCase()}.${operation}`,
+      actor: context.impersonator || context.user,
+      impersonatedUser: context.impersonator && context.user,
+      resourceType,
+      resourceId,
+      changes,
+      requestId: context.requestId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    });
+  } catch (error) {
+    console.log(error);
+  }
+};
+
+/**
+ * Mongoose plugin that writes an audit log entry for every create, update and
+ * delete, with a before/after diff of the changed fields.
+ *
+ * @param {mongoose.Schema} schema - The schema to audit.
+ * @param {Object} [options]
+ * @param {string[]} [options.redact] - Fields whose values must not be stored, only that they changed.
+ */
+const auditPlugin = (schema, { redact = [] } = {}) => {
+  // Load the stored version of a document about to be updated, to diff it on
+  // save. Only documents that are saved are loaded again, not every document
+  // that is read.
+  schema.pre("save", async function () {
+    this.$locals.auditOperation = this.isNew ? "create" : "update";
+    this.$locals.auditBefore = undefined;
+
+    if (this.isNew || !getRequestContext()) {
+      return;
+    }
+
+    [this.$locals.auditBefore] = await findChanged(this.constructor, {
+      _id: this._id,
+    }).limit(1);
+  });
+
+  schema.post("save", async function () {
+    if (!getRequestContext()) {
+      return;
+    }
+
+    const changes = getChanges(
+      this.$locals.auditBefore,
+      this.toObject({ depopulate: true }),
+      { redact }
+    );
+
+    if (changes.length) {
+      await writeAuditLog(
+        this.constructor.modelName,
+        this.$locals.auditOperation,
+        this._id,
+        changes
+      );
+    }
+  });
+
+  // Load the documents a query is about to change, as the query only returns
+  // a count or a single document
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function () {
+    if (!getRequestContext()) {
+      return;
+    }
+
+    const query = findChanged(this.model, this.getFilter());
+
+    this._auditBefore = await (this.op.endsWith("Many")
+      ? query
+      : query.limit(1));
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    if (!this._auditBefore?.length) {
+      return;
+    }
+
+    const afterDocs = await findChanged(this.model, {
+      _id: { $in: this._auditBefore.map((doc) => doc._id) },
+    });
+
+    for (const before of this._auditBefore) {
+      const after = afterDocs.find((doc) => doc._id.equals(before._id));
+      const changes = getChanges(before, after, { redact });
+
+      if (changes.length) {
+        await writeAuditLog(
+          this.model.modelName,
+          "update",
+          before._id,
+          changes
+        );
+      }
+    }
+  });
+
+  schema.post(DELETE_QUERIES, async function () {
+    for (const before of this._auditBefore || []) {
+      await writeAuditLog(
+        this.model.modelName,
+        "delete",
+        before._id,
+        getChanges(before, {}, { redact })
+      );
+    }
+  });
+};
+
+export default auditPlugin;
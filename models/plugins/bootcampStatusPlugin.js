@@ -0,0 +1,35 @@
+/**
+ * Mongoose plugin to copy the status of the bootcamp onto the documents that
+ * belong to it, e.g. courses and reviews, so the ones of published bootcamps
+ * can be found without loading the bootcamps first.
+ *
+ * The status is set when a document is created. The bootcamp model updates it
+ * with syncStatus when its own status changes.
+ *
+ * @param {mongoose.Schema} schema - The schema of documents with a bootcamp field.
+ */
+const bootcampStatusPlugin = (schema) => {
+  schema.add({
+    // Copy of the status of the bootcamp
+    bootcampStatus: {
+      type: String,
+      enum: ["draft", "pending", "published", "archived"],
+      index: true,
+    },
+  });
+
+  schema.pre("validate", async function () {
+    if (!this.isNew || this.bootcampStatus) {
+      return;
+    }
+
+    const bootcamp = await this.model("Bootcamp")
+      .findById(this.bootcamp)
+      .withDeleted()
+      .select("status");
+
+    this.bootcampStatus = bootcamp?.status;
+  });
+};
+
+export default bootcampStatusPlugin;
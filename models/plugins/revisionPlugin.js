@@ -0,0 +1,77 @@
+import Revision from "../RevisionModel.js";
+import findChanged from "../../utils/findChanged.js";
+import getChanges from "../../utils/getChanges.js";
+import { getRequestContext } from "../../utils/requestContext.js";
+
+const UPDATE_QUERIES = ["findOneAndUpdate", "updateOne", "updateMany"];
+
+/**
+ * Mongoose plugin that stores a revision with a snapshot of the document every
+ * time it is created or changed.
+ *
+ * @param {mongoose.Schema} schema - The schema to keep revisions of.
+ * @param {Object} options
+ * @param {string} options.bootcampField - Field holding the id of the bootcamp the document belongs to.
+ * @param {string[]} [options.ignore] - Computed fields, changes to only these fields do not create a revision.
+ */
+const revisionPlugin = (schema, { bootcampField, ignore = [] }) => {
+  // Store a revision unless nothing but ignored fields changed
+  const saveRevision = async (model, doc) => {
+    const previous = await Revision.findOne({ resource: doc._id }).sort(
+      "-version"
+    );
+
+    const changedFields = getChanges(previous?.snapshot, doc, {
+      ignore: ["createdAt", ...ignore],
+    }).map((change) => change.field);
+
+    if (previous && !changedFields.length) {
+      return;
+    }
+
+    const context = getRequestContext();
+
+    await Revision.create({
+      resourceType: model.modelName,
+      resource: doc._id,
+      bootcamp: doc[bootcampField],
+      version: (previous?.version || 0) + 1,
+      snapshot: doc,
+      changedFields: previous ? changedFields : [],
+      user: context?.user,
+      restoredFrom: context?.restoredRevision,
+    });
+  };
+
+  schema.post("save", async function () {
+    await saveRevision(
+      this.constructor,
+      this.toObject({ depopulate: true, virtuals: false })
+    );
+  });
+
+  // Remember the documents a query is about to change
+  schema.pre(UPDATE_QUERIES, async function () {
+    const query = findChanged(this.model, this.getFilter()).select("_id");
+
+    this._revisionIds = (
+      await (this.op.endsWith("Many") ? query : query.limit(1))
+    ).map((doc) => doc._id);
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    if (!this._revisionIds?.length) {
+      return;
+    }
+
+    const docs = await findChanged(this.model, {
+      _id: { $in: this._revisionIds },
+    });
+
+    for (const doc of docs) {
+      await saveRevision(this.model, doc);
+    }
+  });
+};
+
+export default revisionPlugin;
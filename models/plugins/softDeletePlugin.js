@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import { getRequestContext } from "../../utils/requestContext.js";
+
+const READ_QUERIES = ["find", "findOne", "countDocuments", "findOneAndUpdate"];
+
+// Check if a query asks for deleted documents with { deletedAt: { $ne: null } },
+// at the top level or inside $and. Query strings can not express a null value,
+// so requests can not reach the trash through filters.
+const queriesTrash = (filter) =>
+  filter.deletedAt?.$ne === null ||
+  (filter.$and || []).some((condition) => queriesTrash(condition));
+
+/**
+ * Mongoose plugin to move documents to the trash instead of deleting them.
+ *
+ * Deleted documents are hidden from finds, counts and aggregations unless the
+ * query asks for them with { deletedAt: { $ne: null } }, e.g. to list the
+ * trash, or uses the withDeleted query helper. Deleting a document
+ * also moves its children to the trash, and restoring it brings them back.
+ * Delete queries are not changed, they still remove documents for good.
+ *
+ * @param {mongoose.Schema} schema - The schema to soft delete.
+ * @param {Object} [options]
+ * @param {{model: string, field: string}[]} [options.children] - Models whose documents reference this one in the given field.
+ * @param {Function} [options.onChange] - Called with the document as `this` after it was deleted or restored, e.g. to update computed fields.
+ */
+const softDeletePlugin = (schema, { children = [], onChange } = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    // The parent document whose deletion moved this one to the trash
+    deletedWith: {
+      type: mongoose.Schema.ObjectId,
+    },
+  });
+
+  // Include deleted documents in the query results
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.pre(READ_QUERIES, function () {
+    if (!this._withDeleted && !queriesTrash(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const match = { $match: { deletedAt: null } };
+
+    // $geoNear has to stay the first stage
+    if (pipeline[0]?.$geoNear) {
+      pipeline.splice(1, 0, match);
+    } else {
+      pipeline.unshift(match);
+    }
+  });
+
+  // Move the document and its children to the trash
+  schema.methods.softDelete = async function () {
+    const deletedAt = Date.now();
+    const deletedBy = getRequestContext()?.user;
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { deletedAt, deletedBy }
+    );
+
+    for (const child of children) {
+      await this.model(child.model).updateMany(
+        { [child.field]: this._id, deletedAt: null },
+        { deletedAt, deletedBy, deletedWith: this._id }
+      );
+    }
+
+    this.deletedAt = deletedAt;
+    this.deletedBy = deletedBy;
+
+    await onChange?.call(this);
+  };
+
+  // Restore the document and the children that were deleted with it
+  schema.methods.restore = async function () {
+    const update = {
+      $unset: { deletedAt: "", deletedBy: "", deletedWith: "" },
+    };
+
+    await this.constructor.updateOne({ _id: this._id }, update);
+
+    for (const child of children) {
+      await this.model(child.model).updateMany(
+        { [child.field]: this._id, deletedWith: this._id },
+        update
+      );
+    }
+
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+    this.deletedWith = undefined;
+
+    await onChange?.call(this);
+  };
+};
+
+export default softDeletePlugin;
@@ -0,0 +1,207 @@
+import express from "express";
+import { getAuditLogs } from "../controllers/auditControllers.js";
+import AuditLog from "../models/AuditLogModel.js";
+import advancedResults from "../middlewares/advancedResultsMiddleware.js";
+import protectRoute from "../middlewares/authMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
+
+const router = express.Router();
+
+router.use(protectRoute);
+router.use(authorize("audit:read"));
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     summary: Get audit log (Admin only)
+ *     description: Retrieve the audit log of every create, update and delete of bootcamps, courses, reviews, users and publisher applications, and of actions taken while impersonating a user (requires admin role). Any field can be used as a filter, e.g. ?resourceType=Bootcamp&action=bootcamp.delete or ?createdAt[gte]=2025-05-01
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action (e.g., "review.delete")
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Filter by the ID of the user who took the action
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *         description: Filter by resource type (e.g., "Bootcamp")
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         description: Filter by the ID of the changed resource
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *         description: Filter by request ID, sent in the X-Request-Id response header
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: Fields to select (e.g., "action,actor,createdAt")
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort by field (prefix with - for descending order)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *         description: Maximum number of entries per page
+ *     responses:
+ *       200:
+ *         description: List of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                           example: 2
+ *                         limit:
+ *                           type: integer
+ *                           example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 6650a1f2c1a2b3c4d5e6f701
+ *                       action:
+ *                         type: string
+ *                         description: Resource type and operation, or impersonation.start / impersonation.request
+ *                         example: bootcamp.update
+ *                       actor:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 5c8a1d5b0190b214360dc033
+ *                           name:
+ *                             type: string
+ *                             example: Admin Account
+ *                           email:
+ *                             type: string
+ *                             format: email
+ *                             example: admin@gmail.com
+ *                       impersonatedUser:
+ *                         type: string
+ *                         description: User being impersonated by the actor, if any
+ *                         example: 5d7a514b5d2c12c7449be045
+ *                       resourceType:
+ *                         type: string
+ *                         example: Bootcamp
+ *                       resourceId:
+ *                         type: string
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                               example: averageCost
+ *                             before:
+ *                               example: 10000
+ *                             after:
+ *                               example: 12000
+ *                         description: Changed fields, secrets are stored as [redacted]
+ *                       requestId:
+ *                         type: string
+ *                         example: 1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed
+ *                       ip:
+ *                         type: string
+ *                         example: ::1
+ *                       userAgent:
+ *                         type: string
+ *                         example: PostmanRuntime/7.43.0
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2025-05-15T07:27:14.484Z
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+router
+  .route("/")
+  .get(
+    advancedResults(AuditLog, { path: "actor", select: "name email" }),
+    getAuditLogs
+  );
+
+export default router;
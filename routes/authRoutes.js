@@ -6,20 +6,56 @@ import {
   forgotPassword,
   resetPassword,
   updateDetails,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
   updatePassword,
   logoutUser,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  loginWithTwoFactor,
+  sendMagicLink,
+  loginWithMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  finishOidcLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  deleteAccount,
+  cancelAccountDeletion,
+  exportAccount,
+  applyForPublisher,
+  getMyPublisherApplications,
+  getMyQuotas,
 } from "../controllers/authController.js";
-import protectRoute from "../middlewares/authMiddleware.js";
+import protectRoute, {
+  allowTwoFactorSetup,
+  rejectApiKey,
+  rejectImpersonation,
+} from "../middlewares/authMiddleware.js";
+import requireVerifiedEmail from "../middlewares/verifiedEmailMiddleware.js";
 
 const router = express.Router();
 
+// Accounts can only be managed with a login, not with an API key
+router.use(rejectApiKey);
+
 /**
  * @swagger
  * /api/v1/auth/register:
  *  post:
  *    summary: Register user
  *    tags: [Authentication]
- *    description: Add user to the database with encrypted password and send JWT authentication token in http-only cookie.
+ *    description: Add user to the database with encrypted password, send an email verification link and send JWT authentication token in http-only cookie. New accounts always get the user role, publishers have to apply at /api/v1/auth/publisherapplication.
  *    responses:
  *      200:
  *        description: User registered successfully
@@ -35,6 +71,41 @@ const router = express.Router();
  *                  type: string
  *                  description: JWT authentication token
  *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *      400:
+ *        description: Bad request - Password does not meet the password policy
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the password was rejected
+ *                  example: Password does not meet the password policy!
+ *                details:
+ *                  type: array
+ *                  description: The password policy rules that failed
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      field:
+ *                        type: string
+ *                        example: password
+ *                      rule:
+ *                        type: string
+ *                        enum: [minLength, maxLength, uppercase, lowercase, number, symbol, personalInfo, common, history]
+ *                        example: common
+ *                      message:
+ *                        type: string
+ *                        example: Password is too common or has appeared in a data breach, please choose another one!
+ *        x-error: true
  *      409:
  *        description: Conflict error - duplicate field value
  *        content:
@@ -77,7 +148,6 @@ const router = express.Router();
  *              - name
  *              - email
  *              - password
- *              - role
  *            properties:
  *              name:
  *                type: string
@@ -91,13 +161,8 @@ const router = express.Router();
  *              password:
  *                type: string
  *                format: password
- *                description: User's password
- *                example: 123456
- *              role:
- *                type: string
- *                enum: [user, admin]
- *                description: User's role
- *                example: user
+ *                description: User's password, must meet the password policy
+ *                example: Devcamper-2024
  */
 router.route("/register").post(registerUser);
 /**
@@ -106,7 +171,7 @@ router.route("/register").post(registerUser);
  *  post:
  *    summary: Login user
  *    tags: [Authentication]
- *    description: Authenticate user and return JWT token with password and email and send JWT authentication token in http-only cookie.
+ *    description: Authenticate user and return JWT token with password and email and send JWT authentication token in http-only cookie. If two-factor authentication is enabled a short lived login challenge is returned instead. Accounts that only use single sign-on have no password, logging in to them with a password fails like a wrong password and counts as a failed attempt.
  *    responses:
  *      200:
  *        description: User logged in successfully
@@ -122,6 +187,18 @@ router.route("/register").post(registerUser);
  *                  type: string
  *                  description: JWT authentication token
  *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *                mfaRequired:
+ *                  type: boolean
+ *                  description: Only returned when two-factor authentication is enabled, the login has to be finished at /api/v1/auth/login/mfa
+ *                  example: true
+ *                mfaToken:
+ *                  type: string
+ *                  description: Short lived login challenge, returned instead of the tokens when two-factor authentication is enabled
+ *                  example: mfa token
  *      401:
  *        description: Unauthorized - Invalid credentials
  *        content:
@@ -137,6 +214,27 @@ router.route("/register").post(registerUser);
  *                  description: Error message indicating invalid credentials
  *                  example: Invalid credentials!
  *        x-error: true
+ *      429:
+ *        description: Too many failed login attempts - account or IP address is temporarily locked
+ *        headers:
+ *          Retry-After:
+ *            description: Seconds until the lock expires
+ *            schema:
+ *              type: integer
+ *              example: 900
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the login is locked
+ *                  example: Too many failed login attempts, please try again in 15 minutes!
+ *        x-error: true
  *      500:
  *        description: Internal Server Error
  *        content:
@@ -178,11 +276,32 @@ router.route("/register").post(registerUser);
 router.route("/login").post(loginUser);
 /**
  * @swagger
- * /api/v1/auth/logout:
+ * /api/v1/auth/login/mfa:
  *  post:
- *    summary: Logout user
+ *    summary: Finish login with two-factor authentication
  *    tags: [Authentication]
- *    description: Logout user and clear the cookie from the server.
+ *    description: Exchange the login challenge returned by the login endpoint for a JWT authentication token using a code from the authenticator app or a recovery code.
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - mfaToken
+ *            properties:
+ *              mfaToken:
+ *                type: string
+ *                description: Login challenge returned by the login endpoint
+ *                example: mfa token
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app
+ *                example: "123456"
+ *              recoveryCode:
+ *                type: string
+ *                description: One of the one-time recovery codes
+ *                example: a1b2c3d4e5
  *    responses:
  *      200:
  *        description: User logged in successfully
@@ -194,12 +313,31 @@ router.route("/login").post(loginUser);
  *                success:
  *                  type: boolean
  *                  example: true
- *                data:
- *                  type: object
- *                  description: Empty user data
- *                  example: {}
+ *                token:
+ *                  type: string
+ *                  description: JWT authentication token
+ *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *      400:
+ *        description: Challenge or code missing
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing fields
+ *                  example: Please provide the login challenge and a two-factor code or recovery code!
+ *        x-error: true
  *      401:
- *        description: Unauthorized - Invalid credentials
+ *        description: Unauthorized - Invalid or expired challenge or code
  *        content:
  *          application/json:
  *            schema:
@@ -210,8 +348,8 @@ router.route("/login").post(loginUser);
  *                  example: false
  *                error:
  *                  type: string
- *                  description: Error message indicating invalid credentials
- *                  example: Invalid credentials!
+ *                  description: Error message indicating invalid challenge or code
+ *                  example: Invalid two-factor code!
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -229,7 +367,16 @@ router.route("/login").post(loginUser);
  *                  example: Internal Server Error!
  *        x-error: true
  *    headers:
- *      Content-Type:  application/json
+ *      Content-Type: application/json
+ */
+router.route("/login/mfa").post(loginWithTwoFactor);
+/**
+ * @swagger
+ * /api/v1/auth/magiclink:
+ *  post:
+ *    summary: Send magic login link
+ *    tags: [Authentication]
+ *    description: Send a single-use login link to the user's registered email address, so the user can log in without a password. The link expires after 15 minutes.
  *    requestBody:
  *      required: true
  *      content:
@@ -238,41 +385,15 @@ router.route("/login").post(loginUser);
  *            type: object
  *            required:
  *              - email
- *              - password
  *            properties:
  *              email:
  *                type: string
  *                format: email
- *                description: User's email address
- *                example: john@gmail.com
- *              password:
- *                type: string
- *                format: password
- *                description: User's password
- *                example: 123456
- */
-router.route("/logout").get(logoutUser);
-/**
- * @swagger
- * components:
- *   securitySchemes:
- *     bearerAuth:
- *       type: http
- *       scheme: bearer
- *       bearerFormat: JWT
- *       in: header
- *       name: Authorization
- *
- * /api/v1/auth/currentUser:
- *  get:
- *    summary: Get Current Logged In User
- *    tags: [Authentication]
- *    description: Get the current logged in user via authorization token.
- *    security:
- *      - bearerAuth: []
+ *                description: User's registered email address
+ *                example: "john@gmail.com"
  *    responses:
  *      200:
- *        description: Current user data retrieved successfully
+ *        description: Magic login link sent successfully
  *        content:
  *          application/json:
  *            schema:
@@ -282,38 +403,10 @@ router.route("/logout").get(logoutUser);
  *                  type: boolean
  *                  example: true
  *                data:
- *                  type: object
- *                  description: User data
- *                  properties:
- *                    _id:
- *                      type: string
- *                      description: User's unique identifier
- *                      example: 5d7a514b5d2c12c7449be045
- *                    name:
- *                      type: string
- *                      description: User's full name
- *                      example: John Doe
- *                    email:
- *                      type: string
- *                      format: email
- *                      description: User's email address
- *                      example: john@gmail.com
- *                    role:
- *                      type: string
- *                      enum: [user, admin, publisher]
- *                      description: User's role
- *                      example: publisher
- *                    createdAt:
- *                      type: string
- *                      format: date-time
- *                      description: Timestamp when user was created
- *                      example: 2025-05-15T07:27:14.484Z
- *                    __v:
- *                      type: integer
- *                      description: MongoDB version number
- *                      example: 0
- *      401:
- *        description: Unauthorized - Invalid credentials
+ *                  type: string
+ *                  example: "Email Sent!"
+ *      404:
+ *        description: User not found
  *        content:
  *          application/json:
  *            schema:
@@ -324,8 +417,8 @@ router.route("/logout").get(logoutUser);
  *                  example: false
  *                error:
  *                  type: string
- *                  description: Error message indicating invalid credentials
- *                  example: Not authorized to access this resource!
+ *                  description: Error message indicating user not found
+ *                  example: "There is no user with that email!"
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -340,30 +433,27 @@ router.route("/logout").get(logoutUser);
  *                error:
  *                  type: string
  *                  description: Error message indicating internal server error
- *                  example: Internal Server Error!
+ *                  example: "Internal Server Error!"
  *        x-error: true
- *
- *    headers:
- *      Content-Type:  application/json
- *      Authorization:
- *        description: Bearer token
- *        schema:
- *          type: string
- *          example: Bearer your-jwt-token-here
  */
-router.route("/currentUser").get(protectRoute, getCurrentUser);
+router.route("/magiclink").post(sendMagicLink);
 /**
  * @swagger
- * /api/v1/auth/updatedetails:
- *  put:
- *    summary: Update user details
+ * /api/v1/auth/magiclink/{magicLinkToken}:
+ *  post:
+ *    summary: Login with magic link
  *    tags: [Authentication]
- *    description: Update user details such as name and email.
- *    security:
- *      - bearerAuth: []
+ *    description: Exchange a magic login link for a JWT authentication token. The link can only be used once and also verifies the user's email address. Users with two-factor authentication enabled get an MFA token to finish the login at /api/v1/auth/login/mfa.
+ *    parameters:
+ *      - in: path
+ *        name: magicLinkToken
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: Token from the magic login link
  *    responses:
  *      200:
- *        description: User details updated successfully
+ *        description: User logged in successfully, or a two-factor code is required
  *        content:
  *          application/json:
  *            schema:
@@ -372,30 +462,24 @@ router.route("/currentUser").get(protectRoute, getCurrentUser);
  *                success:
  *                  type: boolean
  *                  example: true
- *                data:
- *                  type: object
- *                  properties:
- *                    _id:
- *                      type: string
- *                      example: "5d7a514b5d2c12c7449be045"
- *                    name:
- *                      type: string
- *                      example: "John Doe One"
- *                    email:
- *                      type: string
- *                      example: "john@gmail.com"
- *                    role:
- *                      type: string
- *                      example: "publisher"
- *                    createdAt:
- *                      type: string
- *                      format: date-time
- *                      example: "2025-05-15T07:27:14.484Z"
- *                    __v:
- *                      type: integer
- *                      example: 0
- *      401:
- *        description: Unauthorized - Invalid credentials
+ *                token:
+ *                  type: string
+ *                  description: JWT authentication token
+ *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *                mfaRequired:
+ *                  type: boolean
+ *                  description: Only present when a two-factor code is required
+ *                  example: true
+ *                mfaToken:
+ *                  type: string
+ *                  description: Short lived token to finish the login with a two-factor code
+ *                  example: mfa token
+ *      400:
+ *        description: Invalid, expired or already used magic link
  *        content:
  *          application/json:
  *            schema:
@@ -406,8 +490,8 @@ router.route("/currentUser").get(protectRoute, getCurrentUser);
  *                  example: false
  *                error:
  *                  type: string
- *                  description: Error message indicating invalid credentials
- *                  example: Not authorized to access this resource!
+ *                  description: Error message indicating invalid magic link
+ *                  example: "Invalid or expired magic link!"
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -422,45 +506,20 @@ router.route("/currentUser").get(protectRoute, getCurrentUser);
  *                error:
  *                  type: string
  *                  description: Error message indicating internal server error
- *                  example: Internal Server Error!
+ *                  example: "Internal Server Error!"
  *        x-error: true
- *    headers:
- *      Content-Type:  application/json
- *      Authorization:
- *        description: Bearer token
- *        schema:
- *          type: string
- *          example: Bearer your-jwt-token-here
- *    requestBody:
- *      required: true
- *      content:
- *        application/json:
- *          schema:
- *            type: object
- *            properties:
- *              name:
- *                type: string
- *                description: User's full name
- *                example: John Doe One
- *              email:
- *                type: string
- *                format: email
- *                description: User's email address
- *                example: john@gmail.com
  */
-router.route("/updatedetails").put(protectRoute, updateDetails);
+router.route("/magiclink/:magicLinkToken").post(loginWithMagicLink);
 /**
  * @swagger
- * /api/v1/auth/updatepassword:
- *  put:
- *    summary: Update user password
+ * /api/v1/auth/oidc:
+ *  get:
+ *    summary: Get single sign-on providers
  *    tags: [Authentication]
- *    description: Update user password.
- *    security:
- *      - bearerAuth: []
+ *    description: Get the names of the OpenID Connect providers users can log in with.
  *    responses:
  *      200:
- *        description: User password updated successfully
+ *        description: Single sign-on providers
  *        content:
  *          application/json:
  *            schema:
@@ -469,25 +528,11 @@ router.route("/updatedetails").put(protectRoute, updateDetails);
  *                success:
  *                  type: boolean
  *                  example: true
- *                token:
- *                  type: string
- *                  description: JWT authentication token
- *                  example: jwt token
- *      401:
- *        description: Unauthorized - Invalid credentials
- *        content:
- *          application/json:
- *            schema:
- *              type: object
- *              properties:
- *                success:
- *                  type: boolean
- *                  example: false
- *                error:
- *                  type: string
- *                  description: Error message indicating invalid credentials
- *                  example: Current password is incorrect
- *        x-error: true
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: string
+ *                  example: [company]
  *      500:
  *        description: Internal Server Error
  *        content:
@@ -503,57 +548,84 @@ router.route("/updatedetails").put(protectRoute, updateDetails);
  *                  description: Error message indicating internal server error
  *                  example: Internal Server Error!
  *        x-error: true
- *    headers:
- *      Content-Type:  application/json
- *      Authorization:
- *        description: Bearer token
+ */
+router.route("/oidc").get(getOidcProviders);
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}:
+ *  get:
+ *    summary: Start single sign-on login
+ *    tags: [Authentication]
+ *    description: Start an OpenID Connect authorization code login with PKCE. Redirects the browser to the identity provider, which sends the user back to the callback url /api/v1/auth/oidc/{provider}/callback.
+ *    parameters:
+ *      - in: path
+ *        name: provider
+ *        required: true
  *        schema:
  *          type: string
- *          example: Bearer your-jwt-token-here
- *    requestBody:
- *      required: true
- *      content:
- *        application/json:
- *          schema:
- *            type: object
- *            required:
- *              - currentPassword
- *              - newPassword
- *            properties:
- *              currentPassword:
- *                type: string
- *                description: User's current password
- *                example: "1234567"
- *              newPassword:
- *                type: string
- *                description: User's new password
- *                example: "12345678"
+ *        description: Name of the provider, as configured in OIDC_PROVIDERS
+ *    responses:
+ *      302:
+ *        description: Redirect to the identity provider
+ *      404:
+ *        description: Provider not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating unknown provider
+ *                  example: No single sign-on provider named company!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
  */
-router.route("/updatepassword").put(protectRoute, updatePassword);
+router.route("/oidc/:provider").get(startOidcLogin);
 /**
  * @swagger
- * /api/v1/auth/forgotpassword:
- *  post:
- *    summary: Send password reset email
+ * /api/v1/auth/oidc/{provider}/callback:
+ *  get:
+ *    summary: Finish single sign-on login
  *    tags: [Authentication]
- *    description: Generate password token and send a password reset email to the user's registered email address.
- *    requestBody:
- *      required: true
- *      content:
- *        application/json:
- *          schema:
- *            type: object
- *            required:
- *              - email
- *            properties:
- *              email:
- *                type: string
- *                format: email
- *                description: User's registered email address
- *                example: "john@gmail.com"
+ *    description: Callback the identity provider redirects to. The authorization code is exchanged for a verified ID token. The identity is linked to the user with the same email address, or a new user without a password is created, but only if the provider verified the email address. Users with two-factor authentication enabled get an MFA token to finish the login at /api/v1/auth/login/mfa.
+ *    parameters:
+ *      - in: path
+ *        name: provider
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: Name of the provider, as configured in OIDC_PROVIDERS
+ *      - in: query
+ *        name: code
+ *        schema:
+ *          type: string
+ *        description: Authorization code from the identity provider
+ *      - in: query
+ *        name: state
+ *        schema:
+ *          type: string
+ *        description: State sent when the login was started
  *    responses:
  *      200:
- *        description: Password reset email sent successfully
+ *        description: User logged in successfully, or a two-factor code is required
  *        content:
  *          application/json:
  *            schema:
@@ -562,11 +634,24 @@ router.route("/updatepassword").put(protectRoute, updatePassword);
  *                success:
  *                  type: boolean
  *                  example: true
- *                data:
+ *                token:
  *                  type: string
- *                  example: "Email Sent!"
- *      404:
- *        description: User not found
+ *                  description: JWT authentication token
+ *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *                mfaRequired:
+ *                  type: boolean
+ *                  description: Only present when a two-factor code is required
+ *                  example: true
+ *                mfaToken:
+ *                  type: string
+ *                  description: Short lived token to finish the login with a two-factor code
+ *                  example: mfa token
+ *      400:
+ *        description: Invalid, expired or tampered login state
  *        content:
  *          application/json:
  *            schema:
@@ -577,8 +662,38 @@ router.route("/updatepassword").put(protectRoute, updatePassword);
  *                  example: false
  *                error:
  *                  type: string
- *                  description: Error message indicating user not found
- *                  example: "There is no user with that email!"
+ *                  description: Error message indicating invalid login state
+ *                  example: Invalid or expired single sign-on login, please try again!
+ *        x-error: true
+ *      401:
+ *        description: The identity provider rejected the login or returned an invalid ID token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating failed single sign-on
+ *                  example: Single sign-on failed, please try again!
+ *        x-error: true
+ *      403:
+ *        description: The identity provider has not verified the email address
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating unverified email
+ *                  example: Your identity provider has not verified your email address!
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -593,24 +708,67 @@ router.route("/updatepassword").put(protectRoute, updatePassword);
  *                error:
  *                  type: string
  *                  description: Error message indicating internal server error
- *                  example: "Internal Server Error!"
+ *                  example: Internal Server Error!
  *        x-error: true
  */
-router.route("/forgotpassword").post(forgotPassword);
+router.route("/oidc/:provider/callback").get(finishOidcLogin);
 /**
  * @swagger
- * /api/v1/auth/resetpassword/{resetToken}:
- *  put:
- *    summary: Reset user password using reset token
+ * /api/v1/auth/logout:
+ *  post:
+ *    summary: Logout user
  *    tags: [Authentication]
- *    description: Reset user password using the provided reset token from the password reset email.
- *    parameters:
- *      - in: path
- *        name: resetToken
- *        schema:
- *          type: string
- *        required: true
- *        description: The password reset token received via email
+ *    description: Logout user, revoke the current session so its tokens can not be used again and clear the cookies from the server. The GET method is still accepted but only POST is protected against CSRF when authenticated by cookie.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: User logged in successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  description: Empty user data
+ *                  example: {}
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Invalid credentials!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
  *    requestBody:
  *      required: true
  *      content:
@@ -618,15 +776,45 @@ router.route("/forgotpassword").post(forgotPassword);
  *          schema:
  *            type: object
  *            required:
+ *              - email
  *              - password
  *            properties:
+ *              email:
+ *                type: string
+ *                format: email
+ *                description: User's email address
+ *                example: john@gmail.com
  *              password:
  *                type: string
- *                description: New password for the user
- *                example: "1234567"
+ *                format: password
+ *                description: User's password
+ *                example: 123456
+ */
+router
+  .route("/logout")
+  .get(allowTwoFactorSetup, protectRoute, logoutUser)
+  .post(allowTwoFactorSetup, protectRoute, logoutUser);
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *  post:
+ *    summary: Refresh authentication token
+ *    tags: [Authentication]
+ *    description: Exchange a refresh token (from the request body, or the http-only cookie when cookie authentication is enabled) for a new JWT authentication token. The refresh token is rotated on every use, and reusing an old refresh token revokes the whole session. A refresh token sent as a cookie requires the X-CSRF-Token header.
+ *    requestBody:
+ *      required: false
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              refreshToken:
+ *                type: string
+ *                description: Refresh token received on login
+ *                example: refresh token
  *    responses:
  *      200:
- *        description: Password reset successfully
+ *        description: Token refreshed successfully
  *        content:
  *          application/json:
  *            schema:
@@ -638,9 +826,17 @@ router.route("/forgotpassword").post(forgotPassword);
  *                token:
  *                  type: string
  *                  description: JWT authentication token
- *                  example: "JWT token"
+ *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: New refresh token, the previous one can not be used again
+ *                  example: refresh token
+ *                csrfToken:
+ *                  type: string
+ *                  description: CSRF token to send in the X-CSRF-Token header, only returned when cookie authentication is enabled
+ *                  example: csrf token
  *      400:
- *        description: Invalid reset token or password reset failed
+ *        description: Refresh token is missing
  *        content:
  *          application/json:
  *            schema:
@@ -651,8 +847,38 @@ router.route("/forgotpassword").post(forgotPassword);
  *                  example: false
  *                error:
  *                  type: string
- *                  description: Error message indicating invalid token or password reset failure
- *                  example: "Invalid or expired token!"
+ *                  description: Error message indicating missing refresh token
+ *                  example: Please provide a refresh token!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid, expired, revoked or reused refresh token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid refresh token
+ *                  example: Refresh token has already been used, please log in again!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Refresh token sent as a cookie without a valid CSRF token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid CSRF token
+ *                  example: Invalid or missing CSRF token!
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -667,9 +893,2540 @@ router.route("/forgotpassword").post(forgotPassword);
  *                error:
  *                  type: string
  *                  description: Error message indicating internal server error
- *                  example: "Internal Server Error!"
+ *                  example: Internal Server Error!
  *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
  */
-router.route("/resetpassword/:resetToken").put(resetPassword);
+router.route("/refresh").post(refreshToken);
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       in: header
+ *       name: Authorization
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *     cookieAuth:
+ *       type: apiKey
+ *       in: cookie
+ *       name: token
+ *       description: Only available when AUTH_COOKIE_ENABLED is true. State-changing requests must send the csrfToken cookie value in the X-CSRF-Token header.
+ *
+ * /api/v1/auth/currentUser:
+ *  get:
+ *    summary: Get Current Logged In User
+ *    tags: [Authentication]
+ *    description: Get the current logged in user via authorization token.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Current user data retrieved successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  description: User data
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      description: User's unique identifier
+ *                      example: 5d7a514b5d2c12c7449be045
+ *                    name:
+ *                      type: string
+ *                      description: User's full name
+ *                      example: John Doe
+ *                    email:
+ *                      type: string
+ *                      format: email
+ *                      description: User's email address
+ *                      example: john@gmail.com
+ *                    role:
+ *                      type: string
+ *                      enum: [user, admin, publisher]
+ *                      description: User's role
+ *                      example: publisher
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      description: Timestamp when user was created
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    __v:
+ *                      type: integer
+ *                      description: MongoDB version number
+ *                      example: 0
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/currentUser")
+  .get(allowTwoFactorSetup, protectRoute, getCurrentUser);
+/**
+ * @swagger
+ * /api/v1/auth/updatedetails:
+ *  put:
+ *    summary: Update user details
+ *    tags: [Authentication]
+ *    description: Update user details such as name. The email address can only be changed through /api/v1/auth/emailchange.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: User details updated successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: "5d7a514b5d2c12c7449be045"
+ *                    name:
+ *                      type: string
+ *                      example: "John Doe One"
+ *                    email:
+ *                      type: string
+ *                      example: "john@gmail.com"
+ *                    role:
+ *                      type: string
+ *                      example: "publisher"
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: "2025-05-15T07:27:14.484Z"
+ *                    __v:
+ *                      type: integer
+ *                      example: 0
+ *      400:
+ *        description: Bad request - Email can not be changed here
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the email can not be updated
+ *                  example: Please use /api/v1/auth/emailchange to change your email!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: User's full name
+ *                example: John Doe One
+ */
+router
+  .route("/updatedetails")
+  .put(protectRoute, rejectImpersonation, updateDetails);
+/**
+ * @swagger
+ * /api/v1/auth/emailchange:
+ *  post:
+ *    summary: Request email change
+ *    tags: [Authentication]
+ *    description: Start changing the email address of the current user. A confirmation link is sent to the new address and a cancel link to the current one. The email address only changes once the new address is confirmed, within 24 hours. Users with a password confirm the change with it, users who only sign in with single sign-on with a two-factor code or within 10 minutes of logging in with their identity provider.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *            properties:
+ *              email:
+ *                type: string
+ *                format: email
+ *                description: New email address
+ *                example: jane@gmail.com
+ *              password:
+ *                type: string
+ *                format: password
+ *                description: Current password of the user, required for users with a password
+ *                example: Devcamper-2024
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app, confirms the change for users without a password
+ *                example: "123456"
+ *    responses:
+ *      200:
+ *        description: Confirmation email sent successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: Please confirm the change from your new email address!
+ *      400:
+ *        description: Bad request - Missing fields or unchanged email
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid input
+ *                  example: Please provide the new email!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Incorrect password or code, or no recent single sign-on login
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating incorrect password
+ *                  example: Password is incorrect!
+ *        x-error: true
+ *      409:
+ *        description: Conflict - Email already in use
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the email is taken
+ *                  example: Email is already in use!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/emailchange")
+  .post(protectRoute, rejectImpersonation, requestEmailChange);
+/**
+ * @swagger
+ * /api/v1/auth/emailchange/confirm/{confirmToken}:
+ *  get:
+ *    summary: Confirm email change
+ *    tags: [Authentication]
+ *    description: Confirm a pending email change with the link sent to the new address. The new address becomes the verified email address of the user.
+ *    parameters:
+ *      - in: path
+ *        name: confirmToken
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: Token from the confirmation link
+ *    responses:
+ *      200:
+ *        description: Email changed successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: Email Changed!
+ *      400:
+ *        description: Invalid, expired or already used token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid token
+ *                  example: Invalid or expired token!
+ *        x-error: true
+ *      409:
+ *        description: Conflict - Email already in use
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the email is taken
+ *                  example: Duplicate field value entered!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router.route("/emailchange/confirm/:confirmToken").get(confirmEmailChange);
+/**
+ * @swagger
+ * /api/v1/auth/emailchange/cancel/{cancelToken}:
+ *  get:
+ *    summary: Cancel email change
+ *    tags: [Authentication]
+ *    description: Cancel a pending email change with the link sent to the current address.
+ *    parameters:
+ *      - in: path
+ *        name: cancelToken
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: Token from the cancel link
+ *    responses:
+ *      200:
+ *        description: Email change cancelled successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: Email Change Cancelled!
+ *      400:
+ *        description: Invalid or already used token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid token
+ *                  example: Invalid or expired token!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router.route("/emailchange/cancel/:cancelToken").get(cancelEmailChange);
+/**
+ * @swagger
+ * /api/v1/auth/updatepassword:
+ *  put:
+ *    summary: Update user password
+ *    tags: [Authentication]
+ *    description: Update user password. Users who only sign in with single sign-on can set a password with a two-factor code or within 10 minutes of logging in with their identity provider.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: User password updated successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                token:
+ *                  type: string
+ *                  description: JWT authentication token
+ *                  example: jwt token
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: refresh token
+ *      400:
+ *        description: Bad request - New password does not meet the password policy or was used before
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the password was rejected
+ *                  example: Password does not meet the password policy!
+ *                details:
+ *                  type: array
+ *                  description: The password policy rules that failed
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      field:
+ *                        type: string
+ *                        example: password
+ *                      rule:
+ *                        type: string
+ *                        enum: [minLength, maxLength, uppercase, lowercase, number, symbol, personalInfo, common, history]
+ *                        example: common
+ *                      message:
+ *                        type: string
+ *                        example: Password is too common or has appeared in a data breach, please choose another one!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Current password is incorrect
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - newPassword
+ *            properties:
+ *              currentPassword:
+ *                type: string
+ *                description: User's current password, required for users with a password
+ *                example: "Devcamper-2024"
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app, confirms the change for users without a password
+ *                example: "123456"
+ *              newPassword:
+ *                type: string
+ *                description: User's new password, must meet the password policy and differ from the previous passwords
+ *                example: "Devcamper-2025"
+ */
+router
+  .route("/updatepassword")
+  .put(protectRoute, rejectImpersonation, updatePassword);
+/**
+ * @swagger
+ * /api/v1/auth/forgotpassword:
+ *  post:
+ *    summary: Send password reset email
+ *    tags: [Authentication]
+ *    description: Generate password token and send a password reset email to the user's registered email address.
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *            properties:
+ *              email:
+ *                type: string
+ *                format: email
+ *                description: User's registered email address
+ *                example: "john@gmail.com"
+ *    responses:
+ *      200:
+ *        description: Password reset email sent successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: "Email Sent!"
+ *      404:
+ *        description: User not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating user not found
+ *                  example: "There is no user with that email!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: "Internal Server Error!"
+ *        x-error: true
+ */
+router.route("/forgotpassword").post(forgotPassword);
+/**
+ * @swagger
+ * /api/v1/auth/resetpassword/{resetToken}:
+ *  put:
+ *    summary: Reset user password using reset token
+ *    tags: [Authentication]
+ *    description: Reset user password using the provided reset token from the password reset email.
+ *    parameters:
+ *      - in: path
+ *        name: resetToken
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: The password reset token received via email
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - password
+ *            properties:
+ *              password:
+ *                type: string
+ *                description: New password for the user, must meet the password policy and differ from the previous passwords
+ *                example: "Devcamper-2025"
+ *    responses:
+ *      200:
+ *        description: Password reset successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                token:
+ *                  type: string
+ *                  description: JWT authentication token
+ *                  example: "JWT token"
+ *                refreshToken:
+ *                  type: string
+ *                  description: Refresh token used to get a new JWT authentication token
+ *                  example: "refresh token"
+ *      400:
+ *        description: Invalid reset token or password reset failed
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid token or password reset failure
+ *                  example: "Invalid or expired token!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: "Internal Server Error!"
+ *        x-error: true
+ */
+router.route("/resetpassword/:resetToken").put(resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/verifyemail:
+ *  post:
+ *    summary: Resend email verification
+ *    tags: [Authentication]
+ *    description: Generate a new email verification token and send it to the current user's email address.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Verification email sent successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: "Email Sent!"
+ *      400:
+ *        description: Email is already verified
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the email is already verified
+ *                  example: "Email is already verified!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: "Internal Server Error!"
+ *        x-error: true
+ */
+router
+  .route("/verifyemail")
+  .post(protectRoute, rejectImpersonation, resendVerificationEmail);
+/**
+ * @swagger
+ * /api/v1/auth/verifyemail/{verificationToken}:
+ *  get:
+ *    summary: Verify email address
+ *    tags: [Authentication]
+ *    description: Mark the user's email address as verified using the token from the verification email.
+ *    parameters:
+ *      - in: path
+ *        name: verificationToken
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: The email verification token received via email
+ *    responses:
+ *      200:
+ *        description: Email verified successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: string
+ *                  example: "Email Verified!"
+ *      400:
+ *        description: Invalid or expired verification token
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid token
+ *                  example: "Invalid Token!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: "Internal Server Error!"
+ *        x-error: true
+ */
+router.route("/verifyemail/:verificationToken").get(verifyEmail);
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *  get:
+ *    summary: Get active sessions
+ *    tags: [Authentication]
+ *    description: Get every active login of the current user with the user agent, IP address and the time it was last used.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Active sessions retrieved successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
+ *                        type: string
+ *                        description: Session's unique identifier
+ *                        example: 6826e2c07b5f0b1f2c4a9d11
+ *                      user:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be045
+ *                      userAgent:
+ *                        type: string
+ *                        example: Mozilla/5.0 (X11; Linux x86_64)
+ *                      ip:
+ *                        type: string
+ *                        example: 127.0.0.1
+ *                      lastSeenAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-16T07:27:14.484Z
+ *                      expiresAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-06-15T07:27:14.484Z
+ *                      createdAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *                      current:
+ *                        type: boolean
+ *                        description: Whether this is the session making the request
+ *                        example: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ *  delete:
+ *    summary: Log out everywhere else
+ *    tags: [Authentication]
+ *    description: Revoke every session of the current user except the one making the request.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Other sessions revoked successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  example: {}
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/sessions")
+  .get(protectRoute, rejectImpersonation, getSessions)
+  .delete(protectRoute, rejectImpersonation, revokeOtherSessions);
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *  delete:
+ *    summary: Revoke a session
+ *    tags: [Authentication]
+ *    description: Log out one of the current user's sessions, for example an old laptop.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: sessionId
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: The id of the session to revoke
+ *    responses:
+ *      200:
+ *        description: Session revoked successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  example: {}
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      404:
+ *        description: Session not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating session not found
+ *                  example: No active session found with the id of 6826e2c07b5f0b1f2c4a9d11!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type:  application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/sessions/:sessionId")
+  .delete(protectRoute, rejectImpersonation, revokeSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/twofactor/setup:
+ *  post:
+ *    summary: Start two-factor authentication setup
+ *    tags: [Authentication]
+ *    description: Generate a new secret for the current user and return it with an otpauth URI that can be shown as a QR code in an authenticator app. Two-factor authentication is only enabled after it has been confirmed with a code.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Secret generated successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    secret:
+ *                      type: string
+ *                      description: Base32 encoded secret
+ *                      example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                    otpauthUri:
+ *                      type: string
+ *                      description: URI for authenticator apps
+ *                      example: otpauth://totp/DevCamper:john@gmail.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=DevCamper
+ *      400:
+ *        description: Two-factor authentication is already enabled
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating two-factor authentication is already enabled
+ *                  example: Two-factor authentication is already enabled!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/twofactor/setup")
+  .post(allowTwoFactorSetup, protectRoute, rejectImpersonation, setupTwoFactor);
+/**
+ * @swagger
+ * /api/v1/auth/twofactor/enable:
+ *  post:
+ *    summary: Enable two-factor authentication
+ *    tags: [Authentication]
+ *    description: Confirm the two-factor authentication setup with a code from the authenticator app and get one-time recovery codes.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - code
+ *            properties:
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app
+ *                example: "123456"
+ *    responses:
+ *      200:
+ *        description: Recovery codes generated successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    recoveryCodes:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *                      description: One-time recovery codes, they are only shown once
+ *                      example: [a1b2c3d4e5, f6a7b8c9d0]
+ *      400:
+ *        description: Invalid code or setup not started
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid code
+ *                  example: Invalid two-factor code!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/twofactor/enable")
+  .post(
+    allowTwoFactorSetup,
+    protectRoute,
+    rejectImpersonation,
+    enableTwoFactor
+  );
+/**
+ * @swagger
+ * /api/v1/auth/twofactor/disable:
+ *  post:
+ *    summary: Disable two-factor authentication
+ *    tags: [Authentication]
+ *    description: Disable two-factor authentication after confirming the password and a code or recovery code. Users who only sign in with single sign-on confirm with the code alone. Not allowed when two-factor authentication is required for the user's role.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              password:
+ *                type: string
+ *                format: password
+ *                description: User's current password, required for users with a password
+ *                example: "123456"
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app
+ *                example: "123456"
+ *              recoveryCode:
+ *                type: string
+ *                description: One of the one-time recovery codes
+ *                example: a1b2c3d4e5
+ *    responses:
+ *      200:
+ *        description: Two-factor authentication disabled successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  example: {}
+ *      400:
+ *        description: Two-factor authentication is not enabled
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating two-factor authentication is not enabled
+ *                  example: Two-factor authentication is not enabled!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid password or code
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid password or code
+ *                  example: Invalid two-factor code!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Two-factor authentication is required for the role
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating two-factor authentication is required
+ *                  example: Two-factor authentication is required for the publisher role!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/twofactor/disable")
+  .post(protectRoute, rejectImpersonation, disableTwoFactor);
+/**
+ * @swagger
+ * /api/v1/auth/twofactor/recoverycodes:
+ *  post:
+ *    summary: Regenerate recovery codes
+ *    tags: [Authentication]
+ *    description: Replace the current user's recovery codes with new ones after confirming a code from the authenticator app.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - code
+ *            properties:
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app
+ *                example: "123456"
+ *    responses:
+ *      200:
+ *        description: Recovery codes generated successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    recoveryCodes:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *                      description: One-time recovery codes, they are only shown once
+ *                      example: [a1b2c3d4e5, f6a7b8c9d0]
+ *      400:
+ *        description: Two-factor authentication is not enabled
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating two-factor authentication is not enabled
+ *                  example: Two-factor authentication is not enabled!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid code
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid code
+ *                  example: Invalid two-factor code!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/twofactor/recoverycodes")
+  .post(protectRoute, rejectImpersonation, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/v1/auth/apikeys:
+ *  get:
+ *    summary: Get API keys
+ *    tags: [Authentication]
+ *    description: Get the API keys of the current user that have not been revoked.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: API keys retrieved successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
+ *                        type: string
+ *                        description: API key's unique identifier
+ *                        example: 6826e2c07b5f0b1f2c4a9d12
+ *                      user:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be045
+ *                      name:
+ *                        type: string
+ *                        description: Name of the API key
+ *                        example: Bootcamp sync
+ *                      prefix:
+ *                        type: string
+ *                        description: First characters of the key
+ *                        example: dc_3f9a1c2b
+ *                      scopes:
+ *                        type: array
+ *                        items:
+ *                          type: string
+ *                          enum: [bootcamp:create, bootcamp:update, bootcamp:delete, course:create, course:update, course:delete, review:create, review:update, review:delete, user:manage]
+ *                        example: [bootcamp:update, course:create]
+ *                      expiresAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-08-13T07:27:14.484Z
+ *                      lastUsedAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-16T07:27:14.484Z
+ *                      createdAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ *  post:
+ *    summary: Create API key
+ *    tags: [Authentication]
+ *    description: Create a personal API key for server-to-server integrations. The key is limited to the given scopes, which must be permissions of the user's role, and is only returned in this response. Send it in the X-API-Key header instead of a bearer token.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - name
+ *              - scopes
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: Name of the API key
+ *                example: Bootcamp sync
+ *              scopes:
+ *                type: array
+ *                items:
+ *                  type: string
+ *                  enum: [bootcamp:create, bootcamp:update, bootcamp:delete, course:create, course:update, course:delete, review:create, review:update, review:delete, user:manage]
+ *                description: Permissions the API key is allowed to use
+ *                example: [bootcamp:update, course:create]
+ *              expiresInDays:
+ *                type: integer
+ *                minimum: 1
+ *                maximum: 365
+ *                default: 90
+ *                description: Number of days until the API key expires
+ *                example: 90
+ *    responses:
+ *      201:
+ *        description: API key created successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      description: API key's unique identifier
+ *                      example: 6826e2c07b5f0b1f2c4a9d12
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *                    name:
+ *                      type: string
+ *                      description: Name of the API key
+ *                      example: Bootcamp sync
+ *                    prefix:
+ *                      type: string
+ *                      description: First characters of the key
+ *                      example: dc_3f9a1c2b
+ *                    scopes:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *                        enum: [bootcamp:create, bootcamp:update, bootcamp:delete, course:create, course:update, course:delete, review:create, review:update, review:delete, user:manage]
+ *                      example: [bootcamp:update, course:create]
+ *                    expiresAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-08-13T07:27:14.484Z
+ *                    lastUsedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T07:27:14.484Z
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    key:
+ *                      type: string
+ *                      description: The API key, send it in the X-API-Key header. It is only shown once.
+ *                      example: dc_3f9a1c2b...
+ *      400:
+ *        description: Bad request - Invalid name, scopes or expiry
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid input
+ *                  example: API keys must expire in 1 to 365 days!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Scope not granted to the user's role
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating denied scopes
+ *                  example: "User role user can not grant the scopes: bootcamp:update!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/apikeys")
+  .get(protectRoute, rejectImpersonation, getApiKeys)
+  .post(protectRoute, rejectImpersonation, createApiKey);
+/**
+ * @swagger
+ * /api/v1/auth/apikeys/{apiKeyId}:
+ *  delete:
+ *    summary: Revoke API key
+ *    tags: [Authentication]
+ *    description: Revoke one of the current user's API keys so it can not be used again.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: apiKeyId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: The id of the API key to revoke
+ *    responses:
+ *      200:
+ *        description: API key revoked successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  example: {}
+ *      401:
+ *        description: Unauthorized - Invalid credentials
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      404:
+ *        description: API key not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating API key not found
+ *                  example: No API key found with the id of 6826e2c07b5f0b1f2c4a9d12!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    headers:
+ *      Content-Type: application/json
+ *      Authorization:
+ *        description: Bearer token
+ *        schema:
+ *          type: string
+ *          example: Bearer your-jwt-token-here
+ */
+router
+  .route("/apikeys/:apiKeyId")
+  .delete(protectRoute, rejectImpersonation, revokeApiKey);
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *  delete:
+ *    summary: Delete account
+ *    tags: [Authentication]
+ *    description: Schedule the deletion of the current user's account after re-confirming the password. Users who only sign in with single sign-on confirm with a two-factor code or within 10 minutes of logging in with their identity provider. The account is deleted after a grace period (ACCOUNT_DELETION_GRACE_DAYS) unless the deletion is cancelled. Bootcamps of the user are deleted or transferred to another publisher. The publisher needs enough of their bootcamp and photo quotas left, otherwise the bootcamps are deleted with the account. The reviews of the user are removed so the average rating of the bootcamps is recomputed.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              password:
+ *                type: string
+ *                format: password
+ *                description: Current password of the user, required for users with a password
+ *                example: Devcamper-2024
+ *              code:
+ *                type: string
+ *                description: Six digit code from the authenticator app, confirms the change for users without a password
+ *                example: "123456"
+ *              bootcamps:
+ *                type: string
+ *                enum: [delete, transfer]
+ *                description: What happens to the bootcamps of the user
+ *                example: transfer
+ *                default: delete
+ *              transferTo:
+ *                type: string
+ *                format: email
+ *                description: Email of the publisher the bootcamps are transferred to, required to transfer
+ *                example: publisher@gmail.com
+ *    responses:
+ *      200:
+ *        description: Account deletion scheduled successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    deletionScheduledAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-29T07:27:14.484Z
+ *      400:
+ *        description: Bad request - Missing password or invalid bootcamp option
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid input
+ *                  example: Bootcamps can only be transferred to the email of another publisher!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Not logged in, incorrect password or code, or no recent single sign-on login
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating invalid credentials
+ *                  example: Password is incorrect!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The new owner does not have enough quota left to take over the bootcamps
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message naming the quota that would be exceeded
+ *                  example: The new owner does not have enough of the bootcamps quota left to take over the bootcamps!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router.route("/me").delete(protectRoute, rejectImpersonation, deleteAccount);
+/**
+ * @swagger
+ * /api/v1/auth/me/deletion:
+ *  delete:
+ *    summary: Cancel account deletion
+ *    tags: [Authentication]
+ *    description: Cancel the scheduled deletion of the current user's account during the grace period.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Account deletion cancelled successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  description: The user
+ *      400:
+ *        description: Bad request - Account is not scheduled for deletion
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating no deletion is scheduled
+ *                  example: Your account is not scheduled for deletion!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Not logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing authentication
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/me/deletion")
+  .delete(protectRoute, rejectImpersonation, cancelAccountDeletion);
+
+/**
+ * @swagger
+ * /api/v1/auth/me/export:
+ *  get:
+ *    summary: Export personal data
+ *    tags: [Authentication]
+ *    description: "Download a machine-readable export of all personal data stored about the current user: profile, bootcamps, courses, reviews, uploaded photos, sessions and audit records."
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    parameters:
+ *      - in: query
+ *        name: format
+ *        schema:
+ *          type: string
+ *          enum: [json, zip]
+ *          default: json
+ *        description: Download a JSON file or a zip archive including the uploaded photos
+ *    responses:
+ *      200:
+ *        description: Personal data export, sent as a file download
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    exportedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    profile:
+ *                      type: object
+ *                      description: The user
+ *                    bootcamps:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Bootcamps owned by the user
+ *                    teams:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Bootcamps the user is a team member of
+ *                    courses:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Courses added by the user
+ *                    reviews:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Reviews written by the user
+ *                    sessions:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Login sessions of the user
+ *                    apiKeys:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: API keys of the user, without the keys
+ *                    pendingEmailChanges:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Email changes waiting for confirmation
+ *                    publisherApplications:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Applications of the user to become a publisher
+ *                    auditLogs:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                      description: Audit records of actions taken by or on behalf of the user, with the names of the changed fields but not their values. Records of actions taken on behalf of the user do not include who took them, their ip or user agent.
+ *                    photos:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *                      description: Uploaded photos, included as files in the zip archive
+ *                      example: [photo_5d713995b721c3bb38c1f5d0.jpg]
+ *          application/zip:
+ *            schema:
+ *              type: string
+ *              format: binary
+ *              description: Zip archive with data.json and the uploaded photos
+ *      401:
+ *        description: Unauthorized - Not logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing authentication
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/me/export")
+  .get(protectRoute, rejectImpersonation, exportAccount);
+
+/**
+ * @swagger
+ * /api/v1/auth/publisherapplication:
+ *  post:
+ *    summary: Apply to become a publisher
+ *    tags: [Authentication]
+ *    description: Send an application to be upgraded to the publisher role, with details about the organization. New accounts always start with the user role. The admins are notified by email and the user gets an email once the application is approved or rejected. Requires a verified email address.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      201:
+ *        description: Application sent successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 6650a1f2c1a2b3c4d5e6f710
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *                    organizationName:
+ *                      type: string
+ *                      example: Devworks Academy
+ *                    organizationWebsite:
+ *                      type: string
+ *                      example: https://devworks.com
+ *                    description:
+ *                      type: string
+ *                      example: We have been running web development courses for five years and want to list our bootcamps.
+ *                    status:
+ *                      type: string
+ *                      enum: [pending, approved, rejected]
+ *                      example: pending
+ *                    rejectionReason:
+ *                      type: string
+ *                      description: Only set when the application is rejected
+ *                      example: Please add a website for your organization
+ *                    reviewedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *      400:
+ *        description: Bad request - Invalid organization details or the user is already a publisher
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the application is invalid
+ *                  example: User role publisher can not apply to become a publisher!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - Not logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing authentication
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Email address not verified
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating the email address must be verified
+ *                  example: Please verify your email address to access this resource!
+ *        x-error: true
+ *      409:
+ *        description: Conflict - An application is already waiting for review
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating a pending application
+ *                  example: You already have a publisher application waiting for review!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - organizationName
+ *              - description
+ *            properties:
+ *              organizationName:
+ *                type: string
+ *                description: Name of the organization publishing the bootcamps
+ *                example: Devworks Academy
+ *              organizationWebsite:
+ *                type: string
+ *                description: Website of the organization
+ *                example: https://devworks.com
+ *              description:
+ *                type: string
+ *                description: Why the user wants to become a publisher
+ *                example: We have been running web development courses for five years and want to list our bootcamps.
+ *  get:
+ *    summary: Get publisher applications
+ *    tags: [Authentication]
+ *    description: Get the current user's applications to become a publisher, newest first, including the reason of rejected applications.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Publisher applications of the current user
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
+ *                        type: string
+ *                        example: 6650a1f2c1a2b3c4d5e6f710
+ *                      user:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be045
+ *                      organizationName:
+ *                        type: string
+ *                        example: Devworks Academy
+ *                      organizationWebsite:
+ *                        type: string
+ *                        example: https://devworks.com
+ *                      description:
+ *                        type: string
+ *                        example: We have been running web development courses for five years and want to list our bootcamps.
+ *                      status:
+ *                        type: string
+ *                        enum: [pending, approved, rejected]
+ *                        example: pending
+ *                      rejectionReason:
+ *                        type: string
+ *                        description: Only set when the application is rejected
+ *                        example: Please add a website for your organization
+ *                      reviewedAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-16T09:12:41.201Z
+ *                      createdAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - Not logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing authentication
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/publisherapplication")
+  .post(
+    protectRoute,
+    rejectImpersonation,
+    requireVerifiedEmail,
+    applyForPublisher
+  )
+  .get(protectRoute, getMyPublisherApplications);
+
+/**
+ * @swagger
+ * /api/v1/auth/quotas:
+ *  get:
+ *    summary: Get quota usage
+ *    tags: [Authentication]
+ *    description: Get the quota plan of the current user, the limits of the bootcamps, courses per bootcamp and bootcamp photos they can add, and how much of each they use. Courses added by team members count against the owner of the bootcamp.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *    responses:
+ *      200:
+ *        description: Quota limits and usage of the current user
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    plan:
+ *                      type: string
+ *                      example: free
+ *                    quotas:
+ *                      type: object
+ *                      properties:
+ *                        bootcamps:
+ *                          type: object
+ *                          properties:
+ *                            limit:
+ *                              type: integer
+ *                              nullable: true
+ *                              description: Limit, null when unlimited
+ *                              example: 1
+ *                            used:
+ *                              type: integer
+ *                              example: 1
+ *                        coursesPerBootcamp:
+ *                          type: object
+ *                          properties:
+ *                            limit:
+ *                              type: integer
+ *                              nullable: true
+ *                              description: Limit, null when unlimited
+ *                              example: 10
+ *                            bootcamps:
+ *                              type: array
+ *                              items:
+ *                                type: object
+ *                                properties:
+ *                                  bootcamp:
+ *                                    type: string
+ *                                    example: 5d713995b721c3bb38c1f5d0
+ *                                  name:
+ *                                    type: string
+ *                                    example: Devworks Bootcamp
+ *                                  used:
+ *                                    type: integer
+ *                                    example: 4
+ *                        photos:
+ *                          type: object
+ *                          properties:
+ *                            limit:
+ *                              type: integer
+ *                              nullable: true
+ *                              description: Limit, null when unlimited
+ *                              example: 1
+ *                            used:
+ *                              type: integer
+ *                              example: 0
+ *      401:
+ *        description: Unauthorized - Not logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating missing authentication
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message indicating internal server error
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router.route("/quotas").get(protectRoute, getMyQuotas);
 
 export default router;
@@ -7,11 +7,35 @@ import {
   updateBootcamp,
   getBootcampsInRadius,
   uploadBootcampPhoto,
+  submitBootcamp,
+  approveBootcamp,
+  rejectBootcamp,
+  archiveBootcamp,
+  geocodeBootcamps,
 } from "../controllers/bootcampControllers.js";
+import {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+} from "../controllers/revisionControllers.js";
+import {
+  getMembers,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+  transferBootcamp,
+} from "../controllers/teamControllers.js";
 import Bootcamp from "../models/BootcampModel.js";
+import Revision from "../models/RevisionModel.js";
 import advancedResults from "../middlewares/advancedResultsMiddleware.js";
-import protectRoute from "../middlewares/authMiddleware.js";
-import authorizeRole from "../middlewares/authorizeMiddleware.js";
+import protectRoute, { optionalAuth } from "../middlewares/authMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
+import requireVerifiedEmail from "../middlewares/verifiedEmailMiddleware.js";
+import enforceQuota from "../middlewares/quotaMiddleware.js";
+import geoNear from "../middlewares/geoNearMiddleware.js";
 // Include other resource routers
 import courseRouter from "./courseRoutes.js";
 import reviewRouter from "./reviewRoutes.js";
@@ -28,7 +52,7 @@ router.use("/:bootcampId/reviews", reviewRouter);
  *  get:
  *    summary: Get bootcamps within a specified radius.
  *    tags: [Bootcamps]
- *    description: Get all bootcamps within a specified distance from a given zipcode
+ *    description: Get all bootcamps within a specified distance from a given zipcode. The zipcode is geocoded with the configured provider, results of online providers are cached.
  *    parameters:
  *      - in: path
  *        name: zipcode
@@ -90,6 +114,26 @@ router.use("/:bootcampId/reviews", reviewRouter);
  *                          country:
  *                            type: string
  *                            example: "US"
+ *                      address:
+ *                        type: string
+ *                        example: "220 Pawtucket St, Lowell, MA 01854"
+ *                      geocode:
+ *                        type: object
+ *                        description: Result of geocoding the address into the location
+ *                        properties:
+ *                          status:
+ *                            type: string
+ *                            enum: [success, not_found, failed]
+ *                            example: "success"
+ *                          confidence:
+ *                            type: number
+ *                            nullable: true
+ *                            description: Between 0 and 1, when the geocoding provider reports it
+ *                            example: 0.9
+ *                          geocodedAt:
+ *                            type: string
+ *                            format: date-time
+ *                            example: "2025-05-21T16:11:03.924Z"
  *                      _id:
  *                        type: string
  *                      name:
@@ -116,6 +160,10 @@ router.use("/:bootcampId/reviews", reviewRouter);
  *                        type: boolean
  *                      acceptGi:
  *                        type: boolean
+ *                      status:
+ *                        type: string
+ *                        enum: [draft, pending, published, archived]
+ *                        example: published
  *                      user:
  *                        type: string
  *                      createdAt:
@@ -144,6 +192,21 @@ router.use("/:bootcampId/reviews", reviewRouter);
  *                  description: Error message
  *                  example: "Invalid zipcode or distance"
  *        x-error: true
+ *      404:
+ *        description: Zipcode not found by the geocoding provider
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: "Zipcode 99999 was not found!"
+ *        x-error: true
  *      500:
  *        description: Internal Server Error
  *        content:
@@ -161,7 +224,9 @@ router.use("/:bootcampId/reviews", reviewRouter);
  *        x-error: true
  */
 
-router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
+router
+  .route("/radius/:zipcode/:distance")
+  .get(optionalAuth, getBootcampsInRadius);
 
 /**
  * @swagger
@@ -172,6 +237,8 @@ router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
  *    description: Upload a photo for the bootcamp.
  *    security:
  *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
  *    parameters:
  *      - in: path
  *        name: bootcampId
@@ -237,7 +304,7 @@ router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
  *                  example: "Not authorized to access this route!"
  *        x-error: true
  *      403:
- *        description: Forbidden - User is not the owner of the bootcamp
+ *        description: Forbidden - User is not in the team of the bootcamp or the photo quota of the owner is reached
  *        content:
  *          application/json:
  *            schema:
@@ -249,7 +316,33 @@ router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
  *                error:
  *                  type: string
  *                  description: Error message
- *                  example: "User is not authorized to update this bootcamp!"
+ *                  example: The bootcamp photos quota of 1 has been reached!
+ *                details:
+ *                  type: array
+ *                  description: The quota that was reached
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      field:
+ *                        type: string
+ *                        enum: [bootcamps, coursesPerBootcamp, photos]
+ *                        description: The quota
+ *                        example: photos
+ *                      rule:
+ *                        type: string
+ *                        example: quota
+ *                      message:
+ *                        type: string
+ *                        example: The bootcamp photos quota of 1 has been reached!
+ *                      limit:
+ *                        type: integer
+ *                        example: 1
+ *                      used:
+ *                        type: integer
+ *                        example: 1
+ *                      plan:
+ *                        type: string
+ *                        example: free
  *        x-error: true
  *      404:
  *        description: Bootcamp not found
@@ -285,14 +378,19 @@ router.route("/radius/:zipcode/:distance").get(getBootcampsInRadius);
 
 router
   .route("/:bootcampId/photo")
-  .put(protectRoute, authorizeRole("publisher", "admin"), uploadBootcampPhoto);
+  .put(
+    protectRoute,
+    authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }),
+    enforceQuota("photos"),
+    uploadBootcampPhoto
+  );
 /**
  * @swagger
  * /api/v1/bootcamps:
  *  get:
  *    summary: Get all bootcamps
  *    tags: [Bootcamps]
- *    description: Get all bootcamps with pagination and filtering options
+ *    description: Get all bootcamps with pagination and filtering options. Only published bootcamps are returned, unless the caller is logged in, then their own drafts are included too. Admins get every bootcamp, e.g. ?status=pending for the review queue.
  *    parameters:
  *      - in: query
  *        name: field
@@ -313,6 +411,13 @@ router
  *        description: Filter bootcamps where field is less than the specified value
  *        example: averageCost[lt]=10000
  *      - in: query
+ *        name: status
+ *        schema:
+ *          type: string
+ *          enum: [draft, pending, published, archived]
+ *        description: Filter bootcamps by status, only useful for owners and admins
+ *        example: pending
+ *      - in: query
  *        name: select
  *        schema:
  *          type: string
@@ -401,6 +506,26 @@ router
  *                          country:
  *                            type: string
  *                            example: "US"
+ *                      address:
+ *                        type: string
+ *                        example: "220 Pawtucket St, Lowell, MA 01854"
+ *                      geocode:
+ *                        type: object
+ *                        description: Result of geocoding the address into the location
+ *                        properties:
+ *                          status:
+ *                            type: string
+ *                            enum: [success, not_found, failed]
+ *                            example: "success"
+ *                          confidence:
+ *                            type: number
+ *                            nullable: true
+ *                            description: Between 0 and 1, when the geocoding provider reports it
+ *                            example: 0.9
+ *                          geocodedAt:
+ *                            type: string
+ *                            format: date-time
+ *                            example: "2025-05-21T16:11:03.924Z"
  *                      _id:
  *                        type: string
  *                        example: "5d725a1b7b292f5f8ceff788"
@@ -439,6 +564,10 @@ router
  *                      acceptGi:
  *                        type: boolean
  *                        example: true
+ *                      status:
+ *                        type: string
+ *                        enum: [draft, pending, published, archived]
+ *                        example: published
  *                      user:
  *                        type: string
  *                        example: "5c8a1d5b0190b214360dc032"
@@ -534,9 +663,11 @@ router
  *  post:
  *    summary: Create a new bootcamp
  *    tags: [Bootcamps]
- *    description: Create a new bootcamp with the provided information
+ *    description: Create a new bootcamp with the provided information (requires a verified email address). New bootcamps are saved as a draft, only visible to the owner until they are submitted for review and approved by an admin. The address is geocoded into the location, when the geocoding provider is not available the bootcamp is saved without a location and geocoded again later.
  *    security:
  *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
  *    requestBody:
  *      content:
  *        application/json:
@@ -579,7 +710,7 @@ router
  *                example: "enroll@moderntech.com"
  *              address:
  *                type: string
- *                description: Physical address that will be geocoded
+ *                description: Physical address that will be geocoded, it is kept as entered
  *                example: "220 Pawtucket St, Lowell, MA 01854"
  *              careers:
  *                type: array
@@ -661,6 +792,26 @@ router
  *                        country:
  *                          type: string
  *                          example: "US"
+ *                    address:
+ *                      type: string
+ *                      example: "220 Pawtucket St, Lowell, MA 01854"
+ *                    geocode:
+ *                      type: object
+ *                      description: Result of geocoding the address into the location
+ *                      properties:
+ *                        status:
+ *                          type: string
+ *                          enum: [success, not_found, failed]
+ *                          example: "success"
+ *                        confidence:
+ *                          type: number
+ *                          nullable: true
+ *                          description: Between 0 and 1, when the geocoding provider reports it
+ *                          example: 0.9
+ *                        geocodedAt:
+ *                          type: string
+ *                          format: date-time
+ *                          example: "2025-05-21T16:11:03.924Z"
  *                    careers:
  *                      type: array
  *                      items:
@@ -681,6 +832,10 @@ router
  *                    acceptGi:
  *                      type: boolean
  *                      example: true
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: published
  *                    user:
  *                      type: string
  *                      example: "5d7a514b5d2c12c7449be045"
@@ -713,7 +868,7 @@ router
  *                error:
  *                  type: string
  *                  description: Error message
- *                  example: "The user with ID 5d7a514b5d2c12c7449be045 has already published a bootcamp!"
+ *                  example: "Please add a name!"
  *        x-error: true
  *      401:
  *        description: Unauthorized - User must be logged in
@@ -730,6 +885,47 @@ router
  *                  description: Error message
  *                  example: "Not authorized to access this route"
  *        x-error: true
+ *      403:
+ *        description: Forbidden - Email address not verified or bootcamp quota reached
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: The bootcamps quota of 1 has been reached!
+ *                details:
+ *                  type: array
+ *                  description: The quota that was reached
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      field:
+ *                        type: string
+ *                        enum: [bootcamps, coursesPerBootcamp, photos]
+ *                        description: The quota
+ *                        example: bootcamps
+ *                      rule:
+ *                        type: string
+ *                        example: quota
+ *                      message:
+ *                        type: string
+ *                        example: The bootcamps quota of 1 has been reached!
+ *                      limit:
+ *                        type: integer
+ *                        example: 1
+ *                      used:
+ *                        type: integer
+ *                        example: 1
+ *                      plan:
+ *                        type: string
+ *                        example: free
+ *        x-error: true
  *      409:
  *        description: Duplicate name or description
  *        content:
@@ -764,25 +960,85 @@ router
 
 router
   .route("/")
-  .get(advancedResults(Bootcamp, "courses"), getBootcamps)
-  .post(protectRoute, authorizeRole("publisher", "admin"), createBootcamp);
+  .get(
+    optionalAuth,
+    advancedResults(Bootcamp, "courses", (req) =>
+      Bootcamp.getVisibilityFilter(req.user)
+    ),
+    getBootcamps
+  )
+  .post(
+    protectRoute,
+    authorize("bootcamp:create"),
+    requireVerifiedEmail,
+    enforceQuota("bootcamps"),
+    createBootcamp
+  );
 /**
  * @swagger
- * /api/v1/bootcamps/{bootcampId}:
+ * /api/v1/bootcamps/near:
  *  get:
- *    summary: Get a single bootcamp by ID
+ *    summary: Get bootcamps near a location
  *    tags: [Bootcamps]
- *    description: Get single bootcamp by bootcampId.
+ *    description: Get the bootcamps around a latitude and longitude, nearest first, with the distance to each one in kilometers or miles. Without a distance every bootcamp with a location is returned. Works with the same filtering, select, sort and pagination options as getting all bootcamps, e.g. ?lat=42.35&lng=-71.1&distance=10&unit=km&housing=true&sort=averageCost. Only published bootcamps are returned, unless the caller is logged in, then the bootcamps of their teams are included too.
  *    parameters:
- *      - in: path
- *        name: bootcampId
+ *      - in: query
+ *        name: lat
  *        required: true
  *        schema:
+ *          type: number
+ *          minimum: -90
+ *          maximum: 90
+ *        description: Latitude of the location
+ *        example: 42.35
+ *      - in: query
+ *        name: lng
+ *        required: true
+ *        schema:
+ *          type: number
+ *          minimum: -180
+ *          maximum: 180
+ *        description: Longitude of the location
+ *        example: -71.1
+ *      - in: query
+ *        name: distance
+ *        schema:
+ *          type: number
+ *          minimum: 0
+ *        description: Maximum distance from the location in the unit
+ *        example: 10
+ *      - in: query
+ *        name: unit
+ *        schema:
  *          type: string
- *        description: ID of the bootcamp to retrieve
+ *          enum: [km, mi]
+ *          default: mi
+ *        description: Unit of the distance
+ *      - in: query
+ *        name: select
+ *        schema:
+ *          type: string
+ *        description: Fields to select (e.g., "name,averageCost"), the distance is always included
+ *      - in: query
+ *        name: sort
+ *        schema:
+ *          type: string
+ *        description: Sort by field (prefix with - for descending order), nearest first by default
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *          default: 1
+ *        description: Page number
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *          default: 25
+ *        description: Maximum number of bootcamps per page
  *    responses:
  *      200:
- *        description: Bootcamp retrieved successfully
+ *        description: Bootcamps near the location
  *        content:
  *          application/json:
  *            schema:
@@ -791,94 +1047,83 @@ router
  *                success:
  *                  type: boolean
  *                  example: true
- *                data:
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                unit:
+ *                  type: string
+ *                  enum: [km, mi]
+ *                  example: km
+ *                pagination:
  *                  type: object
  *                  properties:
- *                    location:
+ *                    next:
  *                      type: object
  *                      properties:
- *                        type:
- *                          type: string
- *                          example: "Point"
- *                        coordinates:
- *                          type: array
- *                          items:
- *                            type: number
- *                          example: [-71.3232, 42.64981]
- *                        formattedAddress:
- *                          type: string
- *                          example: "220 Pawtucket St, Lowell, MA 01854-3558, US"
- *                        street:
- *                          type: string
- *                          example: "220 Pawtucket St"
- *                        city:
- *                          type: string
- *                          example: "Lowell"
- *                        state:
- *                          type: string
- *                          example: "MA"
- *                        zipcode:
- *                          type: string
- *                          example: "01854-3558"
- *                        country:
- *                          type: string
- *                          example: "US"
- *                    _id:
- *                      type: string
- *                      example: "682dfb17f89c16f97a1eca52"
- *                    name:
- *                      type: string
- *                      example: "ModernTech Bootcamp One"
- *                    description:
- *                      type: string
- *                      example: "ModernTech has one goal, and that is to make you a rockstar developer and/or designer with a six figure salary. We teach both development and UI/UX"
- *                    website:
- *                      type: string
- *                      example: "https://moderntech.com"
- *                    phone:
- *                      type: string
- *                      example: "(222) 222-2222"
- *                    email:
- *                      type: string
- *                      example: "enroll@moderntech.com"
- *                    careers:
- *                      type: array
- *                      items:
+ *                        page:
+ *                          type: integer
+ *                          example: 2
+ *                        limit:
+ *                          type: integer
+ *                          example: 25
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
  *                        type: string
- *                      example: ["Web Development", "UI/UX", "Mobile Development"]
- *                    photo:
- *                      type: string
- *                      example: "no-photo.jpg"
- *                    housing:
- *                      type: boolean
- *                      example: false
- *                    jobAssistance:
- *                      type: boolean
- *                      example: true
- *                    jobGuarantee:
- *                      type: boolean
- *                      example: false
- *                    acceptGi:
- *                      type: boolean
- *                      example: true
- *                    user:
- *                      type: string
- *                      example: "5d7a514b5d2c12c7449be045"
- *                    createdAt:
- *                      type: string
- *                      format: date-time
- *                      example: "2025-05-21T16:11:03.924Z"
- *                    slug:
- *                      type: string
- *                      example: "moderntech-bootcamp-one"
- *                    __v:
- *                      type: integer
- *                      example: 0
- *                    id:
- *                      type: string
- *                      example: "682dfb17f89c16f97a1eca52"
- *      404:
- *        description: Bootcamp not found
+ *                        example: 5d713995b721c3bb38c1f5d0
+ *                      name:
+ *                        type: string
+ *                        example: Devworks Bootcamp
+ *                      slug:
+ *                        type: string
+ *                        example: devworks-bootcamp
+ *                      address:
+ *                        type: string
+ *                        example: 233 Bay State Rd Boston MA 02215
+ *                      location:
+ *                        type: object
+ *                        properties:
+ *                          type:
+ *                            type: string
+ *                            example: Point
+ *                          coordinates:
+ *                            type: array
+ *                            items:
+ *                              type: number
+ *                            example: [-71.1027, 42.3471]
+ *                          formattedAddress:
+ *                            type: string
+ *                            example: Boston, MA 02215
+ *                          city:
+ *                            type: string
+ *                            example: Boston
+ *                          state:
+ *                            type: string
+ *                            example: MA
+ *                          zipcode:
+ *                            type: string
+ *                            example: "02215"
+ *                          country:
+ *                            type: string
+ *                            example: US
+ *                      averageCost:
+ *                        type: number
+ *                        example: 10000
+ *                      averageRating:
+ *                        type: number
+ *                        example: 8
+ *                      status:
+ *                        type: string
+ *                        example: published
+ *                      distance:
+ *                        type: number
+ *                        description: Distance to the location in the requested unit
+ *                        example: 1.84
+ *      400:
+ *        description: Invalid location, distance or unit
  *        content:
  *          application/json:
  *            schema:
@@ -890,7 +1135,7 @@ router
  *                error:
  *                  type: string
  *                  description: Error message
- *                  example: "No bootcamp with ID `bootcampId` was found!"
+ *                  example: Please add a valid latitude and longitude!
  *        x-error: true
  *      500:
  *        description: Internal Server Error
@@ -905,30 +1150,306 @@ router
  *                error:
  *                  type: string
  *                  description: Error message
- *                  example: "Internal Server Error!"
+ *                  example: Internal Server Error!
  *        x-error: true
- *  put:
- *    summary: Update a bootcamp
+ */
+router.route("/near").get(
+  optionalAuth,
+  geoNear,
+  advancedResults(Bootcamp, undefined, (req) =>
+    Bootcamp.getVisibilityFilter(req.user)
+  ),
+  getBootcamps
+);
+/**
+ * @swagger
+ * /api/v1/bootcamps/geocode:
+ *  post:
+ *    summary: Geocode all bootcamps again
  *    tags: [Bootcamps]
- *    description: Update bootcamp information by ID
+ *    description: Geocode the address of every bootcamp again, including bootcamps in the trash, e.g. after changing the geocoding provider. Bootcamps whose geocoding failed are also retried every hour. Bootcamps saved before addresses were kept are geocoded from their formatted address, which is then kept as their address. Bootcamps are geocoded one at a time, so this can take a while. Only available to admins.
  *    security:
  *      - bearerAuth: []
- *    parameters:
- *      - in: path
- *        name: bootcampId
- *        required: true
- *        schema:
- *          type: string
- *        description: ID of the bootcamp to update
- *    requestBody:
- *      content:
- *        application/json:
- *          schema:
- *            type: object
- *            properties:
- *              name:
- *                type: string
- *                description: Name of the bootcamp
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    responses:
+ *      200:
+ *        description: Geocoding results
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    total:
+ *                      type: integer
+ *                      example: 4
+ *                    geocoded:
+ *                      type: integer
+ *                      example: 3
+ *                    notFound:
+ *                      type: integer
+ *                      example: 1
+ *                    failed:
+ *                      type: integer
+ *                      example: 0
+ *                    failures:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                        properties:
+ *                          bootcamp:
+ *                            type: string
+ *                            example: 5d725a1b7b292f5f8ceff788
+ *                          name:
+ *                            type: string
+ *                            example: Devcentral Bootcamp
+ *                          error:
+ *                            type: string
+ *                            example: Address 45 Upper College Rd Kingston RI 02881 was not found
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not an admin
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User role publisher is not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/geocode")
+  .post(protectRoute, authorize("bootcamp:geocode"), geocodeBootcamps);
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}:
+ *  get:
+ *    summary: Get a single bootcamp by ID
+ *    tags: [Bootcamps]
+ *    description: Get single bootcamp by bootcampId. Bootcamps that are not published can only be retrieved by their owner and admins.
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp to retrieve
+ *    responses:
+ *      200:
+ *        description: Bootcamp retrieved successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    location:
+ *                      type: object
+ *                      properties:
+ *                        type:
+ *                          type: string
+ *                          example: "Point"
+ *                        coordinates:
+ *                          type: array
+ *                          items:
+ *                            type: number
+ *                          example: [-71.3232, 42.64981]
+ *                        formattedAddress:
+ *                          type: string
+ *                          example: "220 Pawtucket St, Lowell, MA 01854-3558, US"
+ *                        street:
+ *                          type: string
+ *                          example: "220 Pawtucket St"
+ *                        city:
+ *                          type: string
+ *                          example: "Lowell"
+ *                        state:
+ *                          type: string
+ *                          example: "MA"
+ *                        zipcode:
+ *                          type: string
+ *                          example: "01854-3558"
+ *                        country:
+ *                          type: string
+ *                          example: "US"
+ *                    address:
+ *                      type: string
+ *                      example: "220 Pawtucket St, Lowell, MA 01854"
+ *                    geocode:
+ *                      type: object
+ *                      description: Result of geocoding the address into the location
+ *                      properties:
+ *                        status:
+ *                          type: string
+ *                          enum: [success, not_found, failed]
+ *                          example: "success"
+ *                        confidence:
+ *                          type: number
+ *                          nullable: true
+ *                          description: Between 0 and 1, when the geocoding provider reports it
+ *                          example: 0.9
+ *                        geocodedAt:
+ *                          type: string
+ *                          format: date-time
+ *                          example: "2025-05-21T16:11:03.924Z"
+ *                    _id:
+ *                      type: string
+ *                      example: "682dfb17f89c16f97a1eca52"
+ *                    name:
+ *                      type: string
+ *                      example: "ModernTech Bootcamp One"
+ *                    description:
+ *                      type: string
+ *                      example: "ModernTech has one goal, and that is to make you a rockstar developer and/or designer with a six figure salary. We teach both development and UI/UX"
+ *                    website:
+ *                      type: string
+ *                      example: "https://moderntech.com"
+ *                    phone:
+ *                      type: string
+ *                      example: "(222) 222-2222"
+ *                    email:
+ *                      type: string
+ *                      example: "enroll@moderntech.com"
+ *                    careers:
+ *                      type: array
+ *                      items:
+ *                        type: string
+ *                      example: ["Web Development", "UI/UX", "Mobile Development"]
+ *                    photo:
+ *                      type: string
+ *                      example: "no-photo.jpg"
+ *                    housing:
+ *                      type: boolean
+ *                      example: false
+ *                    jobAssistance:
+ *                      type: boolean
+ *                      example: true
+ *                    jobGuarantee:
+ *                      type: boolean
+ *                      example: false
+ *                    acceptGi:
+ *                      type: boolean
+ *                      example: true
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: published
+ *                    user:
+ *                      type: string
+ *                      example: "5d7a514b5d2c12c7449be045"
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: "2025-05-21T16:11:03.924Z"
+ *                    slug:
+ *                      type: string
+ *                      example: "moderntech-bootcamp-one"
+ *                    __v:
+ *                      type: integer
+ *                      example: 0
+ *                    id:
+ *                      type: string
+ *                      example: "682dfb17f89c16f97a1eca52"
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: "No bootcamp with ID `bootcampId` was found!"
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: "Internal Server Error!"
+ *        x-error: true
+ *  put:
+ *    summary: Update a bootcamp
+ *    tags: [Bootcamps]
+ *    description: Update bootcamp information by ID. When the address changes it is geocoded again, so the location of the bootcamp moves with it. Changes to a published bootcamp send it back to pending until an admin approves them again, unless an admin makes them. The user, team, photo, status, location and computed fields can not be set.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp to update
+ *    requestBody:
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              name:
+ *                type: string
+ *                description: Name of the bootcamp
  *              description:
  *                type: string
  *                description: Detailed description of the bootcamp
@@ -941,6 +1462,9 @@ router
  *              email:
  *                type: string
  *                description: Contact email address
+ *              address:
+ *                type: string
+ *                description: Physical address that will be geocoded
  *              careers:
  *                type: array
  *                items:
@@ -1001,6 +1525,26 @@ router
  *                        country:
  *                          type: string
  *                          example: "US"
+ *                    address:
+ *                      type: string
+ *                      example: "220 Pawtucket St, Lowell, MA 01854"
+ *                    geocode:
+ *                      type: object
+ *                      description: Result of geocoding the address into the location
+ *                      properties:
+ *                        status:
+ *                          type: string
+ *                          enum: [success, not_found, failed]
+ *                          example: "success"
+ *                        confidence:
+ *                          type: number
+ *                          nullable: true
+ *                          description: Between 0 and 1, when the geocoding provider reports it
+ *                          example: 0.9
+ *                        geocodedAt:
+ *                          type: string
+ *                          format: date-time
+ *                          example: "2025-05-21T16:11:03.924Z"
  *                    _id:
  *                      type: string
  *                      example: "682dfb17f89c16f97a1eca52"
@@ -1039,6 +1583,10 @@ router
  *                    acceptGi:
  *                      type: boolean
  *                      example: true
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: published
  *                    user:
  *                      type: string
  *                      example: "5d7a514b5d2c12c7449be045"
@@ -1086,7 +1634,7 @@ router
  *                  example: "Not authorized to access this route!"
  *        x-error: true
  *      403:
- *        description: Forbidden - User is not the owner of the bootcamp
+ *        description: Forbidden - User is not the owner or an editor of the bootcamp
  *        content:
  *          application/json:
  *            schema:
@@ -1133,9 +1681,11 @@ router
  *  delete:
  *    summary: Delete a bootcamp
  *    tags: [Bootcamps]
- *    description: Delete a bootcamp by ID
+ *    description: Delete a bootcamp by ID. The bootcamp is moved to the trash together with its courses and reviews, and can be restored by an admin until it is removed for good after TRASH_RETENTION_DAYS.
  *    security:
  *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
  *    parameters:
  *      - in: path
  *        name: bootcampId
@@ -1221,8 +1771,2145 @@ router
 
 router
   .route("/:bootcampId")
-  .get(getBootcamp)
-  .put(protectRoute, authorizeRole("publisher", "admin"), updateBootcamp)
-  .delete(protectRoute, authorizeRole("publisher", "admin"), deleteBootcamp);
+  .get(optionalAuth, getBootcamp)
+  .put(
+    protectRoute,
+    authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }),
+    updateBootcamp
+  )
+  .delete(
+    protectRoute,
+    authorize("bootcamp:delete", { model: Bootcamp, param: "bootcampId" }),
+    deleteBootcamp
+  );
+
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/submit:
+ *  put:
+ *    summary: Submit a bootcamp for review
+ *    tags: [Bootcamps]
+ *    description: Submit a draft or archived bootcamp for review by an admin (requires a verified email address). The bootcamp stays hidden from the public until it is approved.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    responses:
+ *      200:
+ *        description: Bootcamp submitted for review
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    name:
+ *                      type: string
+ *                      example: Devworks Bootcamp
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: pending
+ *                    reviewComment:
+ *                      type: string
+ *                      description: Comment of the admin who last approved or rejected the bootcamp
+ *                      example: Please add the prices of the courses
+ *                    reviewedBy:
+ *                      type: string
+ *                      example: 5c8a1d5b0190b214360dc033
+ *                    reviewedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    submittedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    publishedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *      400:
+ *        description: Bad request - Bootcamp status does not allow this change
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp 5d713995b721c3bb38c1f5d0 can not be submitted while it is pending!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/submit")
+  .put(
+    protectRoute,
+    authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }),
+    requireVerifiedEmail,
+    submitBootcamp
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/approve:
+ *  put:
+ *    summary: Approve a bootcamp (Admin only)
+ *    tags: [Bootcamps]
+ *    description: Publish a bootcamp waiting for review, with an optional comment. The owner is notified by email.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    requestBody:
+ *      required: false
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              comment:
+ *                type: string
+ *                description: Comment for the owner of the bootcamp
+ *                example: Please add the prices of the courses
+ *    responses:
+ *      200:
+ *        description: Bootcamp published
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    name:
+ *                      type: string
+ *                      example: Devworks Bootcamp
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: pending
+ *                    reviewComment:
+ *                      type: string
+ *                      description: Comment of the admin who last approved or rejected the bootcamp
+ *                      example: Please add the prices of the courses
+ *                    reviewedBy:
+ *                      type: string
+ *                      example: 5c8a1d5b0190b214360dc033
+ *                    reviewedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    submittedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    publishedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *      400:
+ *        description: Bad request - Bootcamp status does not allow this change
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp 5d713995b721c3bb38c1f5d0 can not be approved while it is draft!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Admin access required
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User role publisher is not authorized to access this resource!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/approve")
+  .put(
+    protectRoute,
+    authorize("bootcamp:moderate", { model: Bootcamp, param: "bootcampId" }),
+    approveBootcamp
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/reject:
+ *  put:
+ *    summary: Reject a bootcamp (Admin only)
+ *    tags: [Bootcamps]
+ *    description: Move a bootcamp waiting for review back to draft, with a comment explaining what has to change. The owner is notified by email and can submit the bootcamp again.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - comment
+ *            properties:
+ *              comment:
+ *                type: string
+ *                description: Reason for the rejection, sent to the owner of the bootcamp
+ *                example: Please add the prices of the courses
+ *    responses:
+ *      200:
+ *        description: Bootcamp moved back to draft
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    name:
+ *                      type: string
+ *                      example: Devworks Bootcamp
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: pending
+ *                    reviewComment:
+ *                      type: string
+ *                      description: Comment of the admin who last approved or rejected the bootcamp
+ *                      example: Please add the prices of the courses
+ *                    reviewedBy:
+ *                      type: string
+ *                      example: 5c8a1d5b0190b214360dc033
+ *                    reviewedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    submittedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    publishedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *      400:
+ *        description: Bad request - Missing comment or bootcamp is not waiting for review
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Please add a comment for the rejection!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - Admin access required
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User role publisher is not authorized to access this resource!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/reject")
+  .put(
+    protectRoute,
+    authorize("bootcamp:moderate", { model: Bootcamp, param: "bootcampId" }),
+    rejectBootcamp
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/archive:
+ *  put:
+ *    summary: Archive a bootcamp
+ *    tags: [Bootcamps]
+ *    description: Hide a published bootcamp from the public without deleting it. Archived bootcamps can be submitted for review again.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    responses:
+ *      200:
+ *        description: Bootcamp archived
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    name:
+ *                      type: string
+ *                      example: Devworks Bootcamp
+ *                    status:
+ *                      type: string
+ *                      enum: [draft, pending, published, archived]
+ *                      example: pending
+ *                    reviewComment:
+ *                      type: string
+ *                      description: Comment of the admin who last approved or rejected the bootcamp
+ *                      example: Please add the prices of the courses
+ *                    reviewedBy:
+ *                      type: string
+ *                      example: 5c8a1d5b0190b214360dc033
+ *                    reviewedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    submittedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *                    publishedAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-16T09:12:41.201Z
+ *                    user:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *      400:
+ *        description: Bad request - Bootcamp status does not allow this change
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp 5d713995b721c3bb38c1f5d0 can not be archived while it is draft!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/archive")
+  .put(
+    protectRoute,
+    authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }),
+    archiveBootcamp
+  );
+
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/revisions:
+ *  get:
+ *    summary: Get bootcamp revisions
+ *    tags: [Bootcamps]
+ *    description: Get every saved version of the bootcamp and its courses, with who changed them and when, newest first. Only available to the team of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: query
+ *        name: resourceType
+ *        schema:
+ *          type: string
+ *          enum: [Bootcamp, Course]
+ *        description: Only get the revisions of the bootcamp or of its courses
+ *      - in: query
+ *        name: resource
+ *        schema:
+ *          type: string
+ *        description: Only get the revisions of one course
+ *      - in: query
+ *        name: select
+ *        schema:
+ *          type: string
+ *        description: Select specific fields to return (comma-separated)
+ *      - in: query
+ *        name: page
+ *        schema:
+ *          type: integer
+ *          default: 1
+ *        description: Page number for pagination
+ *      - in: query
+ *        name: limit
+ *        schema:
+ *          type: integer
+ *          default: 25
+ *        description: Number of items per page
+ *    responses:
+ *      200:
+ *        description: Successfully retrieved revisions
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                pagination:
+ *                  type: object
+ *                  properties:
+ *                    next:
+ *                      type: object
+ *                      properties:
+ *                        page:
+ *                          type: integer
+ *                          example: 2
+ *                        limit:
+ *                          type: integer
+ *                          example: 25
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
+ *                        type: string
+ *                        example: 6650a1f2c1a2b3c4d5e6f720
+ *                      resourceType:
+ *                        type: string
+ *                        enum: [Bootcamp, Course]
+ *                        example: Bootcamp
+ *                      resource:
+ *                        type: string
+ *                        description: ID of the bootcamp or course
+ *                        example: 5d713995b721c3bb38c1f5d0
+ *                      bootcamp:
+ *                        type: string
+ *                        example: 5d713995b721c3bb38c1f5d0
+ *                      version:
+ *                        type: integer
+ *                        example: 2
+ *                      snapshot:
+ *                        type: object
+ *                        description: The bootcamp or course as it was saved
+ *                      changedFields:
+ *                        type: array
+ *                        items:
+ *                          type: string
+ *                        description: Fields changed compared to the previous revision
+ *                        example: [description, website]
+ *                      user:
+ *                        type: object
+ *                        properties:
+ *                          _id:
+ *                            type: string
+ *                            example: 5d7a514b5d2c12c7449be045
+ *                          name:
+ *                            type: string
+ *                            example: John Doe
+ *                          email:
+ *                            type: string
+ *                            format: email
+ *                            example: john@gmail.com
+ *                      restoredFrom:
+ *                        type: integer
+ *                        example: 1
+ *                        description: Version that was restored, only set for restores
+ *                      createdAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router.route("/:bootcampId/revisions").get(
+  protectRoute,
+  authorize("bootcamp:view", { model: Bootcamp, param: "bootcampId" }),
+  advancedResults(Revision, { path: "user", select: "name email" }, (req) => ({
+    bootcamp: req.params.bootcampId,
+  })),
+  getRevisions
+);
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/revisions/diff:
+ *  get:
+ *    summary: Compare two revisions
+ *    tags: [Bootcamps]
+ *    description: Get the fields that changed between two revisions of the bootcamp or of one of its courses, with their values in both revisions.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: query
+ *        name: from
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the older revision
+ *      - in: query
+ *        name: to
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the newer revision
+ *    responses:
+ *      200:
+ *        description: Field-level diff between the revisions
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    resourceType:
+ *                      type: string
+ *                      example: Bootcamp
+ *                    resource:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    from:
+ *                      type: integer
+ *                      example: 1
+ *                    to:
+ *                      type: integer
+ *                      example: 3
+ *                    changes:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                        properties:
+ *                          field:
+ *                            type: string
+ *                            example: website
+ *                          before:
+ *                            example: https://devworks.com
+ *                          after:
+ *                            example: https://devworks.io
+ *      400:
+ *        description: Bad request - Missing revisions or revisions of different resources
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Only revisions of the same bootcamp or course can be compared!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or revision not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No revision with the id of 6650a1f2c1a2b3c4d5e6f720!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/revisions/diff")
+  .get(
+    protectRoute,
+    authorize("bootcamp:view", { model: Bootcamp, param: "bootcampId" }),
+    getRevisionDiff
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/revisions/{revisionId}/restore:
+ *  put:
+ *    summary: Restore a revision
+ *    tags: [Bootcamps]
+ *    description: Restore the bootcamp, or one of its courses, to the values of an earlier revision. The status, owner, photo and computed averages are kept. The restore is saved as a new revision.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: path
+ *        name: revisionId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the revision to restore
+ *    responses:
+ *      200:
+ *        description: Revision restored successfully
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  description: The restored bootcamp or course
+ *      400:
+ *        description: Bad request - Restored values are invalid
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Duplicate field value entered!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or revision not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No revision with the id of 6650a1f2c1a2b3c4d5e6f720!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/revisions/:revisionId/restore")
+  .put(
+    protectRoute,
+    authorize("bootcamp:update", { model: Bootcamp, param: "bootcampId" }),
+    restoreRevision
+  );
+
+/**
+ * @swagger
+ * /api/v1/bootcamps/invitations/{invitationToken}/accept:
+ *  post:
+ *    summary: Accept a team invitation
+ *    tags: [Bootcamps]
+ *    description: Join the team of a bootcamp with the role of the invitation. The invitation can only be accepted once, before it expires, by the user with the invited email address.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: invitationToken
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: Token from the invitation email
+ *    responses:
+ *      200:
+ *        description: Invitation accepted
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    bootcamp:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    role:
+ *                      type: string
+ *                      enum: [editor, viewer]
+ *                      example: editor
+ *      400:
+ *        description: Bad request - Invalid, expired or already used invitation
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Invalid or expired invitation!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/invitations/:invitationToken/accept")
+  .post(protectRoute, acceptInvitation);
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/members:
+ *  get:
+ *    summary: Get bootcamp team
+ *    tags: [Bootcamps]
+ *    description: Get the owner and the members of the bootcamp team. Owners and editors can change the bootcamp and its courses, viewers can see it before it is published. Only available to the team and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    responses:
+ *      200:
+ *        description: Bootcamp team
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    owner:
+ *                      type: object
+ *                      properties:
+ *                        _id:
+ *                          type: string
+ *                          example: 5d7a514b5d2c12c7449be045
+ *                        name:
+ *                          type: string
+ *                          example: John Doe
+ *                        email:
+ *                          type: string
+ *                          format: email
+ *                          example: john@gmail.com
+ *                    members:
+ *                      type: array
+ *                      items:
+ *                        type: object
+ *                        properties:
+ *                          user:
+ *                            type: object
+ *                            properties:
+ *                              _id:
+ *                                type: string
+ *                                example: 5d7a514b5d2c12c7449be046
+ *                              name:
+ *                                type: string
+ *                                example: Jane Doe
+ *                              email:
+ *                                type: string
+ *                                format: email
+ *                                example: jane@gmail.com
+ *                          role:
+ *                            type: string
+ *                            enum: [editor, viewer]
+ *                            example: editor
+ *                          addedAt:
+ *                            type: string
+ *                            format: date-time
+ *                            example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/members")
+  .get(
+    protectRoute,
+    authorize("bootcamp:view", { model: Bootcamp, param: "bootcampId" }),
+    getMembers
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/members/invitations:
+ *  get:
+ *    summary: Get pending team invitations
+ *    tags: [Bootcamps]
+ *    description: Get the invitations to the bootcamp team that have not been accepted yet. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    responses:
+ *      200:
+ *        description: Pending invitations
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                count:
+ *                  type: integer
+ *                  example: 1
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      _id:
+ *                        type: string
+ *                        example: 6650a1f2c1a2b3c4d5e6f730
+ *                      bootcamp:
+ *                        type: string
+ *                        example: 5d713995b721c3bb38c1f5d0
+ *                      email:
+ *                        type: string
+ *                        format: email
+ *                        example: jane@gmail.com
+ *                      role:
+ *                        type: string
+ *                        enum: [editor, viewer]
+ *                        example: editor
+ *                      invitedBy:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be045
+ *                      expiresAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-22T07:27:14.484Z
+ *                      createdAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *  post:
+ *    summary: Invite a team member
+ *    tags: [Bootcamps]
+ *    description: Send an email invitation to join the bootcamp team as editor or viewer. The invited user does not need the publisher role. The invitation expires after 7 days. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *              - role
+ *            properties:
+ *              email:
+ *                type: string
+ *                format: email
+ *                description: Email address to invite
+ *                example: jane@gmail.com
+ *              role:
+ *                type: string
+ *                enum: [editor, viewer]
+ *                description: Role in the team
+ *                example: editor
+ *    responses:
+ *      201:
+ *        description: Invitation sent
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  properties:
+ *                    _id:
+ *                      type: string
+ *                      example: 6650a1f2c1a2b3c4d5e6f730
+ *                    bootcamp:
+ *                      type: string
+ *                      example: 5d713995b721c3bb38c1f5d0
+ *                    email:
+ *                      type: string
+ *                      format: email
+ *                      example: jane@gmail.com
+ *                    role:
+ *                      type: string
+ *                      enum: [editor, viewer]
+ *                      example: editor
+ *                    invitedBy:
+ *                      type: string
+ *                      example: 5d7a514b5d2c12c7449be045
+ *                    expiresAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-22T07:27:14.484Z
+ *                    createdAt:
+ *                      type: string
+ *                      format: date-time
+ *                      example: 2025-05-15T07:27:14.484Z
+ *      400:
+ *        description: Bad request - Invalid team role
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Please add a team role, one of editor, viewer!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Bootcamp not found with id of 5d713995b721c3bb38c1f5d0!
+ *        x-error: true
+ *      409:
+ *        description: Conflict - The user is already in the team
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: jane@gmail.com is already in the team of this bootcamp!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error - Email could not be sent
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Email could not be sent!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/members/invitations")
+  .get(
+    protectRoute,
+    authorize("bootcamp:team", { model: Bootcamp, param: "bootcampId" }),
+    getInvitations
+  )
+  .post(
+    protectRoute,
+    authorize("bootcamp:team", { model: Bootcamp, param: "bootcampId" }),
+    inviteMember
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/members/invitations/{invitationId}:
+ *  delete:
+ *    summary: Revoke a team invitation
+ *    tags: [Bootcamps]
+ *    description: Delete an invitation so it can no longer be accepted. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: path
+ *        name: invitationId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the invitation
+ *    responses:
+ *      200:
+ *        description: Invitation revoked
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  example: {}
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or invitation not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No invitation with the id of 6650a1f2c1a2b3c4d5e6f730!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/members/invitations/:invitationId")
+  .delete(
+    protectRoute,
+    authorize("bootcamp:team", { model: Bootcamp, param: "bootcampId" }),
+    revokeInvitation
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/members/{userId}:
+ *  put:
+ *    summary: Change the role of a team member
+ *    tags: [Bootcamps]
+ *    description: Change a team member to editor or viewer. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: path
+ *        name: userId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the team member
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - role
+ *            properties:
+ *              role:
+ *                type: string
+ *                enum: [editor, viewer]
+ *                description: New role in the team
+ *                example: editor
+ *    responses:
+ *      200:
+ *        description: Team member updated
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      user:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be046
+ *                      role:
+ *                        type: string
+ *                        enum: [editor, viewer]
+ *                        example: editor
+ *                      addedAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      400:
+ *        description: Bad request - Invalid team role
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Please add a team role, one of editor, viewer!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or team member not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No team member with the id of 5d7a514b5d2c12c7449be046!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ *  delete:
+ *    summary: Remove a team member
+ *    tags: [Bootcamps]
+ *    description: Remove a member from the bootcamp team. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *      - in: path
+ *        name: userId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the team member
+ *    responses:
+ *      200:
+ *        description: Team member removed
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: array
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      user:
+ *                        type: string
+ *                        example: 5d7a514b5d2c12c7449be046
+ *                      role:
+ *                        type: string
+ *                        enum: [editor, viewer]
+ *                        example: editor
+ *                      addedAt:
+ *                        type: string
+ *                        format: date-time
+ *                        example: 2025-05-15T07:27:14.484Z
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - The team role of the user does not allow this
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User with the ID 5d7a514b5d2c12c7449be045 is not authorized to access this bootcamp!
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or team member not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No team member with the id of 5d7a514b5d2c12c7449be046!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/members/:userId")
+  .put(
+    protectRoute,
+    authorize("bootcamp:team", { model: Bootcamp, param: "bootcampId" }),
+    updateMember
+  )
+  .delete(
+    protectRoute,
+    authorize("bootcamp:team", { model: Bootcamp, param: "bootcampId" }),
+    removeMember
+  );
+/**
+ * @swagger
+ * /api/v1/bootcamps/{bootcampId}/transfer:
+ *  put:
+ *    summary: Transfer bootcamp ownership
+ *    tags: [Bootcamps]
+ *    description: Make another publisher the owner of the bootcamp. The previous owner stays in the team as an editor. The bootcamp counts against the bootcamp quota of the new owner. Only available to the owner of the bootcamp and admins.
+ *    security:
+ *      - bearerAuth: []
+ *      - cookieAuth: []
+ *      - apiKeyAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: bootcampId
+ *        required: true
+ *        schema:
+ *          type: string
+ *        description: ID of the bootcamp
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - email
+ *            properties:
+ *              email:
+ *                type: string
+ *                format: email
+ *                description: Email address of the new owner
+ *                example: jane@gmail.com
+ *    responses:
+ *      200:
+ *        description: Ownership transferred
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: true
+ *                data:
+ *                  type: object
+ *                  description: The bootcamp
+ *      400:
+ *        description: Bad request - The user can not own the bootcamp
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: User role user can not own a bootcamp!
+ *        x-error: true
+ *      401:
+ *        description: Unauthorized - User must be logged in
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Not authorized to access this resource!
+ *        x-error: true
+ *      403:
+ *        description: Forbidden - User is not the owner of the bootcamp or the bootcamp quota of the new owner is reached
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: The bootcamps quota of 1 has been reached!
+ *                details:
+ *                  type: array
+ *                  description: The quota that was reached
+ *                  items:
+ *                    type: object
+ *                    properties:
+ *                      field:
+ *                        type: string
+ *                        enum: [bootcamps, coursesPerBootcamp, photos]
+ *                        description: The quota
+ *                        example: bootcamps
+ *                      rule:
+ *                        type: string
+ *                        example: quota
+ *                      message:
+ *                        type: string
+ *                        example: The bootcamps quota of 1 has been reached!
+ *                      limit:
+ *                        type: integer
+ *                        example: 1
+ *                      used:
+ *                        type: integer
+ *                        example: 1
+ *                      plan:
+ *                        type: string
+ *                        example: free
+ *        x-error: true
+ *      404:
+ *        description: Bootcamp or new owner not found
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: No user with the email jane@gmail.com!
+ *        x-error: true
+ *      500:
+ *        description: Internal Server Error
+ *        content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *                success:
+ *                  type: boolean
+ *                  example: false
+ *                error:
+ *                  type: string
+ *                  description: Error message
+ *                  example: Internal Server Error!
+ *        x-error: true
+ */
+router
+  .route("/:bootcampId/transfer")
+  .put(
+    protectRoute,
+    authorize("bootcamp:transfer", { model: Bootcamp, param: "bootcampId" }),
+    transferBootcamp
+  );
 
 export default router;
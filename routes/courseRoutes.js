@@ -7,9 +7,11 @@ import {
   deleteCourse,
 } from "../controllers/courseControllers.js";
 import Course from "../models/CourseModel.js";
+import Bootcamp from "../models/BootcampModel.js";
 import advancedResults from "../middlewares/advancedResultsMiddleware.js";
-import protectRoute from "../middlewares/authMiddleware.js";
-import authorizeRole from "../middlewares/authorizeMiddleware.js";
+import protectRoute, { optionalAuth } from "../middlewares/authMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
+import enforceQuota from "../middlewares/quotaMiddleware.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -238,7 +240,7 @@ Body
  *                         type: integer
  *                         example: 0
  *       404:
- *         description: Bootcamp not found
+ *         description: Bootcamp not found, or unpublished and not visible to the user
  *         content:
  *           application/json:
  *             schema:
@@ -274,6 +276,8 @@ Body
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: bootcampId
@@ -347,12 +351,19 @@ Body
  *               success: false
  *               error: "Not authorized to access this route"
  *       403:
- *         description: Forbidden - User is not authorized to add a course to this bootcamp
+ *         description: Forbidden - User is not authorized to add a course to this bootcamp or the course quota of the owner is reached
  *         content:
  *           application/json:
  *             example:
  *               success: false
- *               error: "User is not authorized to add a course to this bootcamp"
+ *               error: "The courses per bootcamp quota of 10 has been reached!"
+ *               details:
+ *                 - field: coursesPerBootcamp
+ *                   rule: quota
+ *                   message: "The courses per bootcamp quota of 10 has been reached!"
+ *                   limit: 10
+ *                   used: 10
+ *                   plan: free
  *       404:
  *         description: Bootcamp not found
  *         content:
@@ -378,6 +389,8 @@ Body
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: bootcampId
@@ -598,7 +611,7 @@ Body
  *                       type: integer
  *                       example: 0
  *       404:
- *         description: Course not found
+ *         description: Course not found, or its bootcamp is not visible to the user
  *         content:
  *           application/json:
  *             schema:
@@ -634,6 +647,8 @@ Body
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: courseId
@@ -792,10 +807,12 @@ Body
  * /api/v1/courses/{courseId}:
  *   delete:
  *     summary: Delete a course
- *     description: Delete an existing course (requires authentication and publisher/admin role)
+ *     description: Delete an existing course (requires authentication and publisher/admin role). The course is moved to the trash and can be restored by an admin.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: courseId
@@ -874,17 +891,35 @@ Body
 router
   .route("/")
   .get(
-    advancedResults(Course, {
-      path: "bootcamp",
-      select: "name description",
-    }),
+    optionalAuth,
+    advancedResults(
+      Course,
+      {
+        path: "bootcamp",
+        select: "name description",
+      },
+      (req) => Bootcamp.getResourceVisibilityFilter(req.user),
+    ),
     getCourses,
   )
-  .post(protectRoute, authorizeRole("publisher", "admin"), createCourse);
+  .post(
+    protectRoute,
+    authorize("course:create", { model: Bootcamp, param: "bootcampId" }),
+    enforceQuota("coursesPerBootcamp"),
+    createCourse,
+  );
 router
   .route("/:courseId")
-  .get(getCourse)
-  .put(protectRoute, authorizeRole("publisher", "admin"), updateCourse)
-  .delete(protectRoute, authorizeRole("publisher", "admin"), deleteCourse);
+  .get(optionalAuth, getCourse)
+  .put(
+    protectRoute,
+    authorize("course:update", { model: Course, param: "courseId" }),
+    updateCourse,
+  )
+  .delete(
+    protectRoute,
+    authorize("course:delete", { model: Course, param: "courseId" }),
+    deleteCourse,
+  );
 
 export default router;
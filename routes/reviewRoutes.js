@@ -7,9 +7,11 @@ import {
   deleteReview,
 } from "../controllers/reviewController.js";
 import Review from "../models/ReviewModel.js";
+import Bootcamp from "../models/BootcampModel.js";
 import advancedResults from "../middlewares/advancedResultsMiddleware.js";
-import protectRoute from "../middlewares/authMiddleware.js";
-import authorizeRole from "../middlewares/authorizeMiddleware.js";
+import protectRoute, { optionalAuth } from "../middlewares/authMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
+import requireVerifiedEmail from "../middlewares/verifiedEmailMiddleware.js";
 
 const router = express.Router({ mergeParams: true });
 
@@ -193,7 +195,7 @@ const router = express.Router({ mergeParams: true });
  *                         type: integer
  *                         example: 0
  *       404:
- *         description: Bootcamp not found
+ *         description: Bootcamp not found, or unpublished and not visible to the user
  *         content:
  *           application/json:
  *             schema:
@@ -288,7 +290,7 @@ const router = express.Router({ mergeParams: true });
  *                       type: integer
  *                       example: 0
  *       404:
- *         description: Review not found
+ *         description: Review not found, or its bootcamp is not visible to the user
  *         content:
  *           application/json:
  *             schema:
@@ -320,10 +322,12 @@ const router = express.Router({ mergeParams: true });
  * /api/v1/bootcamps/{bootcampId}/reviews:
  *   post:
  *     summary: Create a new review for a bootcamp
- *     description: Create a new review for the specified bootcamp (requires user or admin role)
+ *     description: Create a new review for the specified bootcamp (requires user or admin role and a verified email address). Only published bootcamps can be reviewed.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: bootcampId
@@ -467,10 +471,12 @@ const router = express.Router({ mergeParams: true });
  * /api/v1/reviews/{reviewId}:
  *   put:
  *     summary: Update a review
- *     description: Update an existing review (requires user or admin role)
+ *     description: Update an existing review (requires user or admin role and a verified email address)
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: reviewId
@@ -608,10 +614,12 @@ const router = express.Router({ mergeParams: true });
  * /api/v1/reviews/{reviewId}:
  *   delete:
  *     summary: Delete a review
- *     description: Delete an existing review (requires user or admin role)
+ *     description: Delete an existing review (requires user or admin role). The review is moved to the trash and can be restored by an admin.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: reviewId
@@ -690,18 +698,37 @@ const router = express.Router({ mergeParams: true });
 router
   .route("/")
   .get(
-    advancedResults(Review, {
-      path: "bootcamp",
-      select: "name description",
-    }),
+    optionalAuth,
+    advancedResults(
+      Review,
+      {
+        path: "bootcamp",
+        select: "name description",
+      },
+      (req) => Bootcamp.getResourceVisibilityFilter(req.user),
+    ),
     getReviews,
   )
-  .post(protectRoute, authorizeRole("user", "admin"), createReview);
+  .post(
+    protectRoute,
+    authorize("review:create"),
+    requireVerifiedEmail,
+    createReview,
+  );
 
 router
   .route("/:reviewId")
-  .get(getReview)
-  .put(protectRoute, authorizeRole("user", "admin"), updateReview)
-  .delete(protectRoute, authorizeRole("user", "admin"), deleteReview);
+  .get(optionalAuth, getReview)
+  .put(
+    protectRoute,
+    authorize("review:update", { model: Review, param: "reviewId" }),
+    requireVerifiedEmail,
+    updateReview,
+  )
+  .delete(
+    protectRoute,
+    authorize("review:delete", { model: Review, param: "reviewId" }),
+    deleteReview,
+  );
 
 export default router;
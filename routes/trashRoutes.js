@@ -0,0 +1,570 @@
+import express from "express";
+import { getTrash, restoreFromTrash } from "../controllers/trashControllers.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+import advancedResults from "../middlewares/advancedResultsMiddleware.js";
+import protectRoute from "../middlewares/authMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
+
+const router = express.Router();
+
+router.use(protectRoute);
+router.use(authorize("trash:manage"));
+
+// Only list the items in the trash
+const inTrash = () => ({ deletedAt: { $ne: null } });
+const deletedBy = { path: "deletedBy", select: "name email" };
+
+/**
+ * @swagger
+ * /api/v1/trash/bootcamps:
+ *   get:
+ *     summary: Get deleted bootcamps (Admin only)
+ *     description: Retrieve the bootcamps in the trash (requires admin role). Deleted items are hidden everywhere else and removed for good after TRASH_RETENTION_DAYS. Any field can be used as a filter, e.g. ?deletedWith=5d713995b721c3bb38c1f5d0
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: Fields to select (e.g., "deletedAt,deletedBy")
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort by field (prefix with - for descending order)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *         description: Maximum number of bootcamps per page
+ *     responses:
+ *       200:
+ *         description: List of deleted bootcamps
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                           example: 2
+ *                         limit:
+ *                           type: integer
+ *                           example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *                       name:
+ *                         type: string
+ *                         example: Devworks Bootcamp
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the item was moved to the trash
+ *                         example: 2025-05-15T07:27:14.484Z
+ *                       deletedBy:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 5d7a514b5d2c12c7449be045
+ *                           name:
+ *                             type: string
+ *                             example: John Doe
+ *                           email:
+ *                             type: string
+ *                             format: email
+ *                             example: john@gmail.com
+ *                       deletedWith:
+ *                         type: string
+ *                         description: ID of the bootcamp whose deletion moved the item to the trash, empty if it was deleted on its own
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/trash/courses:
+ *   get:
+ *     summary: Get deleted courses (Admin only)
+ *     description: Retrieve the courses in the trash (requires admin role). Deleted items are hidden everywhere else and removed for good after TRASH_RETENTION_DAYS. Any field can be used as a filter, e.g. ?deletedWith=5d713995b721c3bb38c1f5d0
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: Fields to select (e.g., "deletedAt,deletedBy")
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort by field (prefix with - for descending order)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *         description: Maximum number of courses per page
+ *     responses:
+ *       200:
+ *         description: List of deleted courses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                           example: 2
+ *                         limit:
+ *                           type: integer
+ *                           example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 5d725a4a7b292f5f8ceff789
+ *                       title:
+ *                         type: string
+ *                         example: Front End Web Development
+ *                       bootcamp:
+ *                         type: string
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the item was moved to the trash
+ *                         example: 2025-05-15T07:27:14.484Z
+ *                       deletedBy:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 5d7a514b5d2c12c7449be045
+ *                           name:
+ *                             type: string
+ *                             example: John Doe
+ *                           email:
+ *                             type: string
+ *                             format: email
+ *                             example: john@gmail.com
+ *                       deletedWith:
+ *                         type: string
+ *                         description: ID of the bootcamp whose deletion moved the item to the trash, empty if it was deleted on its own
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/trash/reviews:
+ *   get:
+ *     summary: Get deleted reviews (Admin only)
+ *     description: Retrieve the reviews in the trash (requires admin role). Deleted items are hidden everywhere else and removed for good after TRASH_RETENTION_DAYS. Any field can be used as a filter, e.g. ?deletedWith=5d713995b721c3bb38c1f5d0
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: Fields to select (e.g., "deletedAt,deletedBy")
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort by field (prefix with - for descending order)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *         description: Maximum number of reviews per page
+ *     responses:
+ *       200:
+ *         description: List of deleted reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                           example: 2
+ *                         limit:
+ *                           type: integer
+ *                           example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 5d7a514b5d2c12c7449be020
+ *                       title:
+ *                         type: string
+ *                         example: Learned a ton!
+ *                       bootcamp:
+ *                         type: string
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the item was moved to the trash
+ *                         example: 2025-05-15T07:27:14.484Z
+ *                       deletedBy:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 5d7a514b5d2c12c7449be045
+ *                           name:
+ *                             type: string
+ *                             example: John Doe
+ *                           email:
+ *                             type: string
+ *                             format: email
+ *                             example: john@gmail.com
+ *                       deletedWith:
+ *                         type: string
+ *                         description: ID of the bootcamp whose deletion moved the item to the trash, empty if it was deleted on its own
+ *                         example: 5d713995b721c3bb38c1f5d0
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/trash/{type}/{itemId}/restore:
+ *   put:
+ *     summary: Restore a deleted item (Admin only)
+ *     description: Restore a bootcamp, course or review from the trash (requires admin role). Restoring a bootcamp also restores the courses and reviews that were deleted with it. Courses and reviews can only be restored once their bootcamp is restored.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [bootcamps, courses, reviews]
+ *         description: Type of the deleted item
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the deleted item
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   description: The restored bootcamp, course or review
+ *       400:
+ *         description: Bad request - The bootcamp of the item is deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Bootcamp `bootcampId` is deleted, please restore it first!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required, or the bootcamps or courses per bootcamp quota of the bootcamp owner is reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: The bootcamps quota of 1 has been reached!
+ *                 details:
+ *                   type: array
+ *                   description: The quota that was reached
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                         enum: [bootcamps, coursesPerBootcamp]
+ *                         description: The quota
+ *                         example: bootcamps
+ *                       rule:
+ *                         type: string
+ *                         example: quota
+ *                       message:
+ *                         type: string
+ *                         example: The bootcamps quota of 1 has been reached!
+ *                       limit:
+ *                         type: integer
+ *                         example: 1
+ *                       used:
+ *                         type: integer
+ *                         example: 1
+ *                       plan:
+ *                         type: string
+ *                         example: free
+ *       404:
+ *         description: Deleted item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No deleted bootcamp with the id of `itemId`!
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+router
+  .route("/bootcamps")
+  .get(advancedResults(Bootcamp, deletedBy, inTrash), getTrash);
+router
+  .route("/courses")
+  .get(advancedResults(Course, deletedBy, inTrash), getTrash);
+router
+  .route("/reviews")
+  .get(advancedResults(Review, deletedBy, inTrash), getTrash);
+router.route("/:type/:itemId/restore").put(restoreFromTrash);
+
+export default router;
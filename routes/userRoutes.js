@@ -5,16 +5,30 @@ import {
   createUser,
   updateUser,
   deleteUser,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getQuotaPlans,
+  updateQuotaPlans,
+  getUserQuotas,
+  updateUserQuotas,
+  unlockUser,
+  impersonateUser,
+  exportUser,
+  getPublisherApplications,
+  getPublisherApplication,
+  approvePublisherApplication,
+  rejectPublisherApplication,
 } from "../controllers/userControllers.js";
 import User from "../models/UserModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
 import advancedResults from "../middlewares/advancedResultsMiddleware.js";
 import protectRoute from "../middlewares/authMiddleware.js";
-import authorizeRole from "../middlewares/authorizeMiddleware.js";
+import authorize from "../middlewares/authorizeMiddleware.js";
 
 const router = express.Router({ mergeParams: true });
 
 router.use(protectRoute);
-router.use(authorizeRole("admin"));
+router.use(authorize("user:manage"));
 
 /**
  * @swagger
@@ -25,6 +39,8 @@ router.use(authorizeRole("admin"));
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: select
@@ -82,7 +98,7 @@ router.use(authorizeRole("admin"));
  *                         example: "johnone@gmail.com"
  *                       role:
  *                         type: string
- *                         enum: [user, publisher]
+ *                         enum: [user, publisher, admin]
  *                         example: "user"
  *                       createdAt:
  *                         type: string
@@ -141,6 +157,8 @@ router.use(authorizeRole("admin"));
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -174,7 +192,7 @@ router.use(authorizeRole("admin"));
  *                       example: "sasha@gmail.com"
  *                     role:
  *                       type: string
- *                       enum: [user, publisher]
+ *                       enum: [user, publisher, admin]
  *                       example: "publisher"
  *                     createdAt:
  *                       type: string
@@ -246,6 +264,8 @@ router.use(authorizeRole("admin"));
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -267,11 +287,12 @@ router.use(authorizeRole("admin"));
  *               password:
  *                 type: string
  *                 format: password
- *                 minLength: 6
- *                 example: "123456"
+ *                 minLength: 8
+ *                 description: Must meet the password policy
+ *                 example: "Devcamper-2024"
  *               role:
  *                 type: string
- *                 enum: [user, publisher]
+ *                 enum: [user, publisher, admin]
  *                 default: "user"
  *                 example: "user"
  *     responses:
@@ -386,6 +407,8 @@ router.use(authorizeRole("admin"));
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -413,7 +436,7 @@ router.use(authorizeRole("admin"));
  *                 minLength: 6
  *               role:
  *                 type: string
- *                 enum: [user, publisher]
+ *                 enum: [user, publisher, admin]
  *                 example: "user"
  *     responses:
  *       200:
@@ -533,10 +556,12 @@ router.use(authorizeRole("admin"));
  * /api/v1/users/{userId}:
  *   delete:
  *     summary: Delete a user (Admin only)
- *     description: Permanently delete a user (requires admin role)
+ *     description: Permanently delete a user together with their bootcamps, courses, reviews, sessions and API keys (requires admin role)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -612,7 +637,1676 @@ router.use(authorizeRole("admin"));
  *                   example: "Internal Server Error"
  */
 
+/**
+ * @swagger
+ * /api/v1/users/twofactorpolicy:
+ *   get:
+ *     summary: Get two-factor authentication policy (Admin only)
+ *     description: Get the roles that must enable two-factor authentication before they can use protected routes (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     twoFactorRequiredRoles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [user, publisher, admin]
+ *                       example: [publisher, admin]
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ *   put:
+ *     summary: Update two-factor authentication policy (Admin only)
+ *     description: Set the roles that must enable two-factor authentication (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [user, publisher, admin]
+ *                 example: [publisher, admin]
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     twoFactorRequiredRoles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [user, publisher, admin]
+ *                       example: [publisher, admin]
+ *       400:
+ *         description: Bad request - Missing or invalid roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Please provide a list of roles that require two-factor authentication!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/unlock:
+ *   put:
+ *     summary: Unlock a user account (Admin only)
+ *     description: Clear the failed login attempts of a user whose account was temporarily locked (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to unlock
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   example: {}
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No user with the id of `userId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/impersonate:
+ *   post:
+ *     summary: Log in as a user (Admin only)
+ *     description: Issue a short-lived token to act as the user, e.g. to reproduce a problem they reported (requires admin role). The token carries both the admin and the user, can not be refreshed, can not manage the account of the user and every request made with it is written to the audit log. Admins can not be impersonated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to impersonate
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 impersonation:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   description: JWT authentication token for the user, marked with the id of the admin
+ *                   example: jwt token
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   example: "2025-05-15T07:42:14.484Z"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: "5c8a1d5b0190b214360dc032"
+ *                     name:
+ *                       type: string
+ *                       example: "Sasha Ryan"
+ *                     email:
+ *                       type: string
+ *                       format: email
+ *                       example: "sasha@gmail.com"
+ *                     role:
+ *                       type: string
+ *                       example: "publisher"
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required, or the user can not be impersonated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No user with the id of `userId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/export:
+ *   get:
+ *     summary: Export personal data of a user (Admin only)
+ *     description: Download the same personal data export a user can get from /api/v1/auth/me/export, e.g. to answer a data-subject access request (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to export
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: Download a JSON file or a zip archive including the uploaded photos
+ *     responses:
+ *       200:
+ *         description: Personal data export, sent as a file download
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exportedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-15T07:27:14.484Z
+ *                     profile:
+ *                       type: object
+ *                       description: The user
+ *                     bootcamps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Bootcamps owned by the user
+ *                     teams:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Bootcamps the user is a team member of
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Courses added by the user
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Reviews written by the user
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Login sessions of the user
+ *                     apiKeys:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: API keys of the user, without the keys
+ *                     pendingEmailChanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Email changes waiting for confirmation
+ *                     publisherApplications:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Applications of the user to become a publisher
+ *                     auditLogs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Audit records of actions taken by or on behalf of the user, with the names of the changed fields but not their values. Records of actions taken on behalf of the user do not include who took them, their ip or user agent.
+ *                     photos:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Uploaded photos, included as files in the zip archive
+ *                       example: [photo_5d713995b721c3bb38c1f5d0.jpg]
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *               description: Zip archive with data.json and the uploaded photos
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No user with the id of `userId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/publisherapplications:
+ *   get:
+ *     summary: Get publisher applications (Admin only)
+ *     description: Retrieve the review queue of applications to become a publisher (requires admin role). Use ?status=pending to only get the applications waiting for review.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Filter by status
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: Fields to select (e.g., "organizationName,status")
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Sort by field (prefix with - for descending order)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *         description: Maximum number of applications per page
+ *     responses:
+ *       200:
+ *         description: List of publisher applications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         page:
+ *                           type: integer
+ *                           example: 2
+ *                         limit:
+ *                           type: integer
+ *                           example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: 6650a1f2c1a2b3c4d5e6f710
+ *                       user:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 5d7a514b5d2c12c7449be045
+ *                           name:
+ *                             type: string
+ *                             example: John Doe
+ *                           email:
+ *                             type: string
+ *                             format: email
+ *                             example: john@gmail.com
+ *                           role:
+ *                             type: string
+ *                             example: user
+ *                       organizationName:
+ *                         type: string
+ *                         example: Devworks Academy
+ *                       organizationWebsite:
+ *                         type: string
+ *                         example: https://devworks.com
+ *                       description:
+ *                         type: string
+ *                         example: We have been running web development courses for five years and want to list our bootcamps.
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, approved, rejected]
+ *                         example: pending
+ *                       rejectionReason:
+ *                         type: string
+ *                         description: Only set when the application is rejected
+ *                         example: Please add a website for your organization
+ *                       reviewedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2025-05-16T09:12:41.201Z
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: 2025-05-15T07:27:14.484Z
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+/**
+ * @swagger
+ * /api/v1/users/publisherapplications/{applicationId}:
+ *   get:
+ *     summary: Get single publisher application (Admin only)
+ *     description: Retrieve a publisher application with the applicant and the admin who reviewed it (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the publisher application
+ *     responses:
+ *       200:
+ *         description: Publisher application details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: 6650a1f2c1a2b3c4d5e6f710
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 5d7a514b5d2c12c7449be045
+ *                         name:
+ *                           type: string
+ *                           example: John Doe
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                           example: john@gmail.com
+ *                         role:
+ *                           type: string
+ *                           example: user
+ *                     organizationName:
+ *                       type: string
+ *                       example: Devworks Academy
+ *                     organizationWebsite:
+ *                       type: string
+ *                       example: https://devworks.com
+ *                     description:
+ *                       type: string
+ *                       example: We have been running web development courses for five years and want to list our bootcamps.
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved, rejected]
+ *                       example: pending
+ *                     rejectionReason:
+ *                       type: string
+ *                       description: Only set when the application is rejected
+ *                       example: Please add a website for your organization
+ *                     reviewedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-16T09:12:41.201Z
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-15T07:27:14.484Z
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: Publisher application not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No publisher application with the id of `applicationId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+/**
+ * @swagger
+ * /api/v1/users/publisherapplications/{applicationId}/approve:
+ *   put:
+ *     summary: Approve publisher application (Admin only)
+ *     description: Approve a pending application, upgrade the applicant to the publisher role and notify them by email (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the publisher application
+ *     responses:
+ *       200:
+ *         description: Publisher application approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: 6650a1f2c1a2b3c4d5e6f710
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 5d7a514b5d2c12c7449be045
+ *                         name:
+ *                           type: string
+ *                           example: John Doe
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                           example: john@gmail.com
+ *                         role:
+ *                           type: string
+ *                           example: user
+ *                     organizationName:
+ *                       type: string
+ *                       example: Devworks Academy
+ *                     organizationWebsite:
+ *                       type: string
+ *                       example: https://devworks.com
+ *                     description:
+ *                       type: string
+ *                       example: We have been running web development courses for five years and want to list our bootcamps.
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved, rejected]
+ *                       example: pending
+ *                     rejectionReason:
+ *                       type: string
+ *                       description: Only set when the application is rejected
+ *                       example: Please add a website for your organization
+ *                     reviewedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-16T09:12:41.201Z
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-15T07:27:14.484Z
+ *       400:
+ *         description: Bad request - Application was already reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Publisher application `applicationId` has already been approved!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: Publisher application not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No publisher application with the id of `applicationId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+/**
+ * @swagger
+ * /api/v1/users/publisherapplications/{applicationId}/reject:
+ *   put:
+ *     summary: Reject publisher application (Admin only)
+ *     description: Reject a pending application and email the reason to the applicant, who can apply again later (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the publisher application
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the rejection, sent to the applicant
+ *                 example: Please add a website for your organization
+ *     responses:
+ *       200:
+ *         description: Publisher application rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: 6650a1f2c1a2b3c4d5e6f710
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 5d7a514b5d2c12c7449be045
+ *                         name:
+ *                           type: string
+ *                           example: John Doe
+ *                         email:
+ *                           type: string
+ *                           format: email
+ *                           example: john@gmail.com
+ *                         role:
+ *                           type: string
+ *                           example: user
+ *                     organizationName:
+ *                       type: string
+ *                       example: Devworks Academy
+ *                     organizationWebsite:
+ *                       type: string
+ *                       example: https://devworks.com
+ *                     description:
+ *                       type: string
+ *                       example: We have been running web development courses for five years and want to list our bootcamps.
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved, rejected]
+ *                       example: pending
+ *                     rejectionReason:
+ *                       type: string
+ *                       description: Only set when the application is rejected
+ *                       example: Please add a website for your organization
+ *                     reviewedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-16T09:12:41.201Z
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       example: 2025-05-15T07:27:14.484Z
+ *       400:
+ *         description: Bad request - Missing reason or application was already reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Please add a reason for the rejection!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: Publisher application not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No publisher application with the id of `applicationId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/quotaplans:
+ *   get:
+ *     summary: Get quota plans (Admin only)
+ *     description: Get the quota plans users can be assigned to, with the bootcamps, courses per bootcamp and bootcamp photos each plan allows (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the quota plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quotaPlans:
+ *                       type: object
+ *                       description: Quota plans by name, a missing limit means unlimited
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           bootcamps:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 10
+ *                           coursesPerBootcamp:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 50
+ *                           photos:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 10
+ *                       example:
+ *                         free:
+ *                           bootcamps: 1
+ *                           coursesPerBootcamp: 10
+ *                           photos: 1
+ *                         campus:
+ *                           bootcamps: 10
+ *                           coursesPerBootcamp: 50
+ *                           photos: 10
+ *                         unlimited: {}
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ *   put:
+ *     summary: Update quota plans (Admin only)
+ *     description: Replace the quota plans. The free plan is required, it is given to new users and to users whose plan is removed (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quotaPlans
+ *             properties:
+ *               quotaPlans:
+ *                 type: object
+ *                 description: Quota plans by name, a missing limit means unlimited
+ *                 additionalProperties:
+ *                   type: object
+ *                   properties:
+ *                     bootcamps:
+ *                       type: integer
+ *                       minimum: 0
+ *                       example: 10
+ *                     coursesPerBootcamp:
+ *                       type: integer
+ *                       minimum: 0
+ *                       example: 50
+ *                     photos:
+ *                       type: integer
+ *                       minimum: 0
+ *                       example: 10
+ *                 example:
+ *                   free:
+ *                     bootcamps: 1
+ *                     coursesPerBootcamp: 10
+ *                     photos: 1
+ *                   campus:
+ *                     bootcamps: 10
+ *                     coursesPerBootcamp: 50
+ *                     photos: 10
+ *                   unlimited: {}
+ *     responses:
+ *       200:
+ *         description: Quota plans updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quotaPlans:
+ *                       type: object
+ *                       description: Quota plans by name, a missing limit means unlimited
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           bootcamps:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 10
+ *                           coursesPerBootcamp:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 50
+ *                           photos:
+ *                             type: integer
+ *                             minimum: 0
+ *                             example: 10
+ *                       example:
+ *                         free:
+ *                           bootcamps: 1
+ *                           coursesPerBootcamp: 10
+ *                           photos: 1
+ *                         campus:
+ *                           bootcamps: 10
+ *                           coursesPerBootcamp: 50
+ *                           photos: 10
+ *                         unlimited: {}
+ *       400:
+ *         description: Bad request - Missing plans, missing free plan or negative limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: The free quota plan can not be removed!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+/**
+ * @swagger
+ * /api/v1/users/{userId}/quotas:
+ *   get:
+ *     summary: Get quota usage of a user (Admin only)
+ *     description: Get the quota plan of a user, their limits and how much of each quota they use (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Quota limits and usage of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       type: string
+ *                       example: free
+ *                     quotas:
+ *                       type: object
+ *                       properties:
+ *                         bootcamps:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 1
+ *                             used:
+ *                               type: integer
+ *                               example: 1
+ *                         coursesPerBootcamp:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 10
+ *                             bootcamps:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   bootcamp:
+ *                                     type: string
+ *                                     example: 5d713995b721c3bb38c1f5d0
+ *                                   name:
+ *                                     type: string
+ *                                     example: Devworks Bootcamp
+ *                                   used:
+ *                                     type: integer
+ *                                     example: 4
+ *                         photos:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 1
+ *                             used:
+ *                               type: integer
+ *                               example: 0
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No user with the id of `userId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ *   put:
+ *     summary: Update quotas of a user (Admin only)
+ *     description: Change the quota plan of a user or set limits for this user only, which replace the limits of the plan. Set a limit to null to use the limit of the plan again (requires admin role)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plan:
+ *                 type: string
+ *                 description: Name of the quota plan
+ *                 example: campus
+ *               quotas:
+ *                 type: object
+ *                 properties:
+ *                   bootcamps:
+ *                     type: integer
+ *                     minimum: 0
+ *                     nullable: true
+ *                     example: 3
+ *                   coursesPerBootcamp:
+ *                     type: integer
+ *                     minimum: 0
+ *                     nullable: true
+ *                     example: null
+ *                   photos:
+ *                     type: integer
+ *                     minimum: 0
+ *                     nullable: true
+ *                     example: 3
+ *     responses:
+ *       200:
+ *         description: Quotas updated, with the new limits and usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       type: string
+ *                       example: free
+ *                     quotas:
+ *                       type: object
+ *                       properties:
+ *                         bootcamps:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 1
+ *                             used:
+ *                               type: integer
+ *                               example: 1
+ *                         coursesPerBootcamp:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 10
+ *                             bootcamps:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   bootcamp:
+ *                                     type: string
+ *                                     example: 5d713995b721c3bb38c1f5d0
+ *                                   name:
+ *                                     type: string
+ *                                     example: Devworks Bootcamp
+ *                                   used:
+ *                                     type: integer
+ *                                     example: 4
+ *                         photos:
+ *                           type: object
+ *                           properties:
+ *                             limit:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Limit, null when unlimited
+ *                               example: 1
+ *                             used:
+ *                               type: integer
+ *                               example: 0
+ *       400:
+ *         description: Bad request - Unknown plan or negative limit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Please add a quota plan, one of free, campus, unlimited!
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Not authorized to access this route
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: No user with the id of `userId`
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: Internal Server Error
+ */
+
 router.route("/").get(advancedResults(User), getUsers).post(createUser);
+router
+  .route("/twofactorpolicy")
+  .get(getTwoFactorPolicy)
+  .put(updateTwoFactorPolicy);
+router.route("/quotaplans").get(getQuotaPlans).put(updateQuotaPlans);
+router.route("/publisherapplications").get(
+  advancedResults(PublisherApplication, {
+    path: "user",
+    select: "name email role",
+  }),
+  getPublisherApplications
+);
+router
+  .route("/publisherapplications/:applicationId")
+  .get(getPublisherApplication);
+router
+  .route("/publisherapplications/:applicationId/approve")
+  .put(approvePublisherApplication);
+router
+  .route("/publisherapplications/:applicationId/reject")
+  .put(rejectPublisherApplication);
 router.route("/:userId").get(getSingleUser).put(updateUser).delete(deleteUser);
+router.route("/:userId/unlock").put(unlockUser);
+router.route("/:userId/export").get(exportUser);
+router.route("/:userId/quotas").get(getUserQuotas).put(updateUserQuotas);
+router
+  .route("/:userId/impersonate")
+  .post(authorize("user:impersonate"), impersonateUser);
 
 export default router;
@@ -0,0 +1,180 @@
+import * as crypto from "node:crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import express from "express";
+import dotenv from "dotenv";
+import jwt from "jsonwebtoken";
+import colors from "colors";
+
+/**
+ * Local mock OpenID Connect provider to test the single sign-on login.
+ *
+ * It signs in every authorization request as the configured user without
+ * asking for credentials. It is only meant for development, the mock provider
+ * is ignored when NODE_ENV is production. Start it with yarn mock-oidc and
+ * add to config.env:
+ *
+ * OIDC_PROVIDERS=mock
+ * OIDC_MOCK_ISSUER=http://localhost:9000
+ * OIDC_MOCK_CLIENT_ID=devcamper
+ * OIDC_MOCK_CLIENT_SECRET=mock-secret
+ * OIDC_MOCK_SCOPE=openid email profile
+ *
+ * and open /api/v1/auth/oidc/mock in the browser. The signed in user can be
+ * changed with MOCK_OIDC_EMAIL and MOCK_OIDC_NAME, or per request with the
+ * login_hint query parameter.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, "../config/config.env") });
+
+const PORT = process.env.MOCK_OIDC_PORT || 9000;
+const ISSUER = process.env.OIDC_MOCK_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || "devcamper";
+const CLIENT_SECRET = process.env.OIDC_MOCK_CLIENT_SECRET;
+
+// Keys are generated on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomUUID();
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" };
+
+// Authorization codes waiting to be exchanged
+const codes = new Map();
+
+const app = express();
+
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+app.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint,
+  } = req.query;
+
+  if (clientId !== CLIENT_ID || !redirectUri || !codeChallenge) {
+    return res.status(400).send("Invalid authorization request");
+  }
+
+  if (codeChallengeMethod !== "S256") {
+    return res.status(400).send("Only the S256 code challenge is supported");
+  }
+
+  const email = loginHint || process.env.MOCK_OIDC_EMAIL || "staff@gmail.com";
+  const code = crypto.randomBytes(20).toString("hex");
+
+  codes.set(code, {
+    redirectUri,
+    nonce,
+    codeChallenge,
+    email,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set("code", code);
+  url.searchParams.set("state", state);
+
+  console.log(`Signed in ${email}`.green);
+
+  res.redirect(url.toString());
+});
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  // Client credentials can also be sent with basic authentication
+  if (req.headers.authorization?.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(
+      req.headers.authorization.split(" ")[1],
+      "base64"
+    )
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+
+    clientId = id;
+    clientSecret = secret;
+  }
+
+  if (
+    clientId !== CLIENT_ID ||
+    (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)
+  ) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  // Codes can only be used once
+  const login = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(req.body.code_verifier || "")
+    .digest("base64url");
+
+  if (
+    !login ||
+    login.expiresAt < Date.now() ||
+    login.redirectUri !== req.body.redirect_uri ||
+    login.codeChallenge !== codeChallenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(login.email).digest("hex"),
+      email: login.email,
+      email_verified: true,
+      name: process.env.MOCK_OIDC_NAME || login.email.split("@")[0],
+      nonce: login.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(20).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running on ${ISSUER}`.yellow.bold);
+});
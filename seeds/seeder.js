@@ -65,8 +65,26 @@ const destroyData = async () => {
   }
 };
 
+// Copy the status of every bootcamp onto its courses and reviews, for data
+// stored before they carried it
+const syncStatus = async () => {
+  try {
+    const bootcamps = await Bootcamp.find().withDeleted().select("status");
+
+    for (const bootcamp of bootcamps) {
+      await Bootcamp.syncStatus(bootcamp._id, bootcamp.status);
+    }
+    console.log("Status Synced...".green.inverse);
+    process.exit(1);
+  } catch (error) {
+    console.error(error);
+  }
+};
+
 if (process.argv[2] === "-i") {
   importData();
 } else if (process.argv[2] === "-d") {
   destroyData();
+} else if (process.argv[2] === "-s") {
+  syncStatus();
 }
@@ -0,0 +1,67 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLogModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
+import { runWithContext } from "../utils/requestContext.js";
+
+describe("auditPlugin", () => {
+  afterEach(() => mock.restoreAll());
+
+  // Stored application, as returned by a lean find
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    organizationName: "Devworks",
+    description: "Bootcamps for web developers",
+    status: "pending",
+    createdAt: new Date("2025-01-01"),
+  };
+
+  // Answer the queries and writes of a save without a database
+  const mockDatabase = () => {
+    mock.method(mongoose.Query.prototype, "exec", function () {
+      return Promise.resolve(this.op === "find" ? [stored] : []);
+    });
+    mock.method(PublisherApplication.collection, "updateOne", async () => ({
+      matchedCount: 1,
+    }));
+
+    return mock.method(AuditLog, "create", async () => {});
+  };
+
+  it("does not copy documents when they are loaded", () => {
+    const application = PublisherApplication.hydrate(stored);
+
+    assert.deepEqual(application.$locals, {});
+  });
+
+  it("records the changes of a save against the stored version", async () => {
+    const create = mockDatabase();
+    const application = PublisherApplication.hydrate(stored);
+    const actor = new mongoose.Types.ObjectId();
+
+    application.status = "approved";
+
+    await runWithContext({ user: actor }, () => application.save());
+
+    const [entry] = create.mock.calls[0].arguments;
+
+    assert.equal(entry.action, "publisherapplication.update");
+    assert.equal(entry.actor, actor);
+    assert.deepEqual(entry.changes, [
+      { field: "status", before: "pending", after: "approved" },
+    ]);
+  });
+
+  it("does not load the stored version outside of a request", async () => {
+    const create = mockDatabase();
+    const application = PublisherApplication.hydrate(stored);
+
+    application.status = "approved";
+    await application.save();
+
+    assert.equal(mongoose.Query.prototype.exec.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
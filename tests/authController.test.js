@@ -0,0 +1,195 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  deleteAccount,
+  loginUser,
+  resetPassword,
+} from "../controllers/authController.js";
+import User from "../models/UserModel.js";
+import Session from "../models/SessionModel.js";
+import LoginAttempt from "../models/LoginAttemptModel.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Setting from "../models/SettingModel.js";
+
+process.env.JWT_SECRET ??= "test-secret";
+
+// Response recording the status, body and cookies sent
+const createResponse = () => ({
+  cookies: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  cookie(name, value) {
+    this.cookies[name] = value;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// User who only signs in with single sign-on, so has no password
+const createSsoUser = () =>
+  new User({ name: "Jane", email: "jane@example.com" });
+
+describe("loginUser", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("counts a password login to a single sign-on account as failed", async () => {
+    const user = createSsoUser();
+
+    mock.method(LoginAttempt, "getLockedUntil", async () => null);
+    mock.method(LoginAttempt, "registerFailure", async () => false);
+    mock.method(User, "findOne", () => ({ select: async () => user }));
+
+    const req = {
+      body: { email: user.email, password: "password" },
+      ip: "127.0.0.1",
+    };
+    const next = mock.fn();
+
+    await loginUser(req, createResponse(), next);
+
+    const [error] = next.mock.calls[0].arguments;
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, "Invalid credentials!");
+    assert.deepEqual(
+      LoginAttempt.registerFailure.mock.calls.map((call) => call.arguments),
+      [
+        ["ip", "127.0.0.1"],
+        ["account", user.email],
+      ]
+    );
+  });
+});
+
+describe("deleteAccount", () => {
+  afterEach(() => mock.restoreAll());
+
+  // Delete the account of a single sign-on user logged in with the session
+  const run = async (user, session, body = {}) => {
+    mock.method(User, "findById", () => ({ select: async () => user }));
+    mock.method(user, "save", async () => user);
+
+    const req = { user, session, body };
+    const res = createResponse();
+    const next = mock.fn();
+
+    await deleteAccount(req, res, next);
+
+    return { res, error: next.mock.calls[0]?.arguments[0] };
+  };
+
+  it("lets a single sign-on user delete the account right after logging in", async () => {
+    const user = createSsoUser();
+    const session = new Session({ user: user._id, loginMethod: "oidc" });
+
+    const { res, error } = await run(user, session);
+
+    assert.equal(error, undefined);
+    assert.equal(res.statusCode, 200);
+    assert.ok(user.deletionScheduledAt);
+  });
+
+  it("schedules the deletion after two weeks by default", async () => {
+    const graceDays = process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+
+    try {
+      const user = createSsoUser();
+      const session = new Session({ user: user._id, loginMethod: "oidc" });
+
+      await run(user, session);
+
+      const days = (user.deletionScheduledAt - Date.now()) / 86400000;
+
+      assert.ok(days > 13.9 && days <= 14);
+    } finally {
+      if (graceDays !== undefined) {
+        process.env.ACCOUNT_DELETION_GRACE_DAYS = graceDays;
+      }
+    }
+  });
+
+  it("asks a single sign-on user to log in again after a while", async () => {
+    const user = createSsoUser();
+    const session = new Session({
+      user: user._id,
+      loginMethod: "oidc",
+      createdAt: Date.now() - 60 * 60 * 1000,
+    });
+
+    const { error } = await run(user, session);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(user.deletionScheduledAt, undefined);
+  });
+
+  it("does not accept a single sign-on user logged in another way", async () => {
+    const user = createSsoUser();
+    const session = new Session({ user: user._id, loginMethod: "magicLink" });
+
+    const { error } = await run(user, session);
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("does not transfer the bootcamps over the quota of the new owner", async () => {
+    const user = createSsoUser();
+    const session = new Session({ user: user._id, loginMethod: "oidc" });
+    const newOwner = new User({
+      name: "John",
+      email: "john@example.com",
+      role: "publisher",
+    });
+
+    mock.method(User, "findOne", async () => newOwner);
+    mock.method(Setting, "getSettings", async () => new Setting());
+    mock.method(Bootcamp, "countDocuments", async () => 1);
+
+    const { error } = await run(user, session, {
+      bootcamps: "transfer",
+      transferTo: newOwner.email,
+    });
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(user.deletionScheduledAt, undefined);
+  });
+});
+
+describe("resetPassword", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("asks a two-factor user for a code instead of signing in", async () => {
+    const user = new User({
+      name: "Jane",
+      email: "jane@example.com",
+      twoFactorEnabled: true,
+    });
+
+    mock.method(User, "findOne", async () => user);
+    mock.method(user, "save", async () => user);
+    mock.method(Session, "revokeAllForUser", async () => {});
+
+    const req = {
+      params: { resetToken: "token" },
+      body: { password: "new-password" },
+      cookies: {},
+    };
+    const res = createResponse();
+    const next = mock.fn();
+
+    await resetPassword(req, res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.mfaRequired, true);
+    assert.ok(res.body.mfaToken);
+    assert.equal(res.body.token, undefined);
+    assert.deepEqual(res.cookies, {});
+    assert.equal(user.password, "new-password");
+  });
+});
@@ -0,0 +1,68 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { optionalAuth } from "../middlewares/authMiddleware.js";
+import Session from "../models/SessionModel.js";
+import Setting from "../models/SettingModel.js";
+import User from "../models/UserModel.js";
+
+process.env.JWT_SECRET ??= "test-secret";
+
+// Run the middleware with a bearer token and return what it passed on
+const run = async (token) => {
+  const req = {
+    headers: { authorization: `Bearer ${token}` },
+    cookies: {},
+    get: () => undefined,
+  };
+  const next = mock.fn();
+
+  await optionalAuth(req, {}, next);
+
+  return { req, args: next.mock.calls[0].arguments };
+};
+
+describe("optionalAuth", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("handles an expired token as anonymous", async () => {
+    const token = jwt.sign({ id: "id", sid: "sid" }, process.env.JWT_SECRET, {
+      expiresIn: -1,
+    });
+
+    const { req, args } = await run(token);
+
+    assert.deepEqual(args, []);
+    assert.equal(req.user, undefined);
+  });
+
+  it("handles a user who must enable two-factor authentication as anonymous", async () => {
+    const user = new User({
+      name: "Jane",
+      email: "jane@example.com",
+      role: "publisher",
+    });
+    const session = new Session({
+      user: user._id,
+      expiresAt: Date.now() + 60 * 1000,
+    });
+
+    mock.method(Session, "findById", async () => session);
+    mock.method(User, "findById", async () => user);
+    mock.method(
+      Setting,
+      "getSettings",
+      async () => new Setting({ twoFactorRequiredRoles: ["publisher"] })
+    );
+
+    const token = jwt.sign(
+      { id: user.id, sid: session.id },
+      process.env.JWT_SECRET
+    );
+
+    const { req, args } = await run(token);
+
+    assert.deepEqual(args, []);
+    assert.equal(req.user, undefined);
+  });
+});
@@ -0,0 +1,65 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import authorize from "../middlewares/authorizeMiddleware.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+
+// Run the middleware for a user and return the error it passed on, if any
+const run = async (middleware, user, params) => {
+  const req = { user, params };
+  const next = mock.fn();
+
+  await middleware(req, {}, next);
+
+  return { req, error: next.mock.calls[0].arguments[0] };
+};
+
+const createUser = (role) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  return { _id, id: _id.toString(), role };
+};
+
+describe("authorize on courses", () => {
+  afterEach(() => mock.restoreAll());
+
+  const owner = createUser("publisher");
+  const formerEditor = createUser("publisher");
+  const bootcamp = new Bootcamp({ name: "Devworks", user: owner._id });
+  const course = new Course({
+    title: "Web Development",
+    bootcamp: bootcamp._id,
+    user: formerEditor._id,
+  });
+  const middleware = authorize("course:update", {
+    model: Course,
+    param: "courseId",
+  });
+
+  const stubFind = () => {
+    mock.method(Course, "findById", async () => course);
+    mock.method(Bootcamp, "findById", async () => bootcamp);
+  };
+
+  it("allows the owner of the bootcamp", async () => {
+    stubFind();
+
+    const { req, error } = await run(middleware, owner, {
+      courseId: course.id,
+    });
+
+    assert.equal(error, undefined);
+    assert.equal(req.resource, course);
+  });
+
+  it("rejects the creator of the course who left the team", async () => {
+    stubFind();
+
+    const { error } = await run(middleware, formerEditor, {
+      courseId: course.id,
+    });
+
+    assert.equal(error.statusCode, 403);
+  });
+});
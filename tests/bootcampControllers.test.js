@@ -0,0 +1,72 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { updateBootcamp } from "../controllers/bootcampControllers.js";
+import Bootcamp from "../models/BootcampModel.js";
+
+// Response that does nothing
+const res = {
+  status() {
+    return this;
+  },
+  json() {
+    return this;
+  },
+};
+
+// Update a bootcamp with the given status as a user with the given role
+const update = async (status, role, body) => {
+  const findByIdAndUpdate = mock.method(
+    Bootcamp,
+    "findByIdAndUpdate",
+    async () => ({})
+  );
+
+  await updateBootcamp(
+    {
+      params: { bootcampId: new mongoose.Types.ObjectId().toString() },
+      resource: new Bootcamp({ name: "Devworks", status }),
+      user: { role },
+      body,
+    },
+    res,
+    mock.fn()
+  );
+
+  return findByIdAndUpdate.mock.calls[0].arguments[1];
+};
+
+describe("updateBootcamp", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("does not let the body set protected fields", async () => {
+    const changes = await update("draft", "publisher", {
+      name: "Devworks",
+      user: new mongoose.Types.ObjectId().toString(),
+      status: "published",
+      photo: "../../config/config.env",
+      averageRating: 10,
+      averageCost: 1,
+      deletedAt: new Date(),
+    });
+
+    assert.deepEqual(changes, { name: "Devworks" });
+  });
+
+  it("sends a changed published bootcamp back to review", async () => {
+    const changes = await update("published", "publisher", {
+      description: "Changed",
+    });
+
+    assert.equal(changes.status, "pending");
+    assert.ok(changes.submittedAt);
+  });
+
+  it("keeps a bootcamp changed by an admin published", async () => {
+    const changes = await update("published", "admin", {
+      description: "Changed",
+    });
+
+    assert.deepEqual(changes, { description: "Changed" });
+  });
+});
@@ -0,0 +1,105 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Bootcamp from "../models/BootcampModel.js";
+
+describe("Bootcamp.getResourceVisibilityFilter", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("limits anonymous users to the resources of published bootcamps", async () => {
+    const find = mock.method(Bootcamp, "find");
+
+    const filter = await Bootcamp.getResourceVisibilityFilter(undefined);
+
+    assert.equal(find.mock.callCount(), 0);
+    assert.deepEqual(filter, { bootcampStatus: "published" });
+  });
+
+  it("only loads the bootcamps of the user's teams", async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: "publisher" };
+    const bootcampId = new mongoose.Types.ObjectId();
+    const find = mock.method(Bootcamp, "find", () => ({
+      select: async () => [{ _id: bootcampId }],
+    }));
+
+    const filter = await Bootcamp.getResourceVisibilityFilter(user);
+
+    assert.deepEqual(find.mock.calls[0].arguments, [
+      { $or: [{ user: user._id }, { "members.user": user._id }] },
+    ]);
+    assert.deepEqual(filter, {
+      $or: [
+        { bootcampStatus: "published" },
+        { bootcamp: { $in: [bootcampId] } },
+      ],
+    });
+  });
+
+  it("does not limit admins", async () => {
+    const find = mock.method(Bootcamp, "find");
+
+    const filter = await Bootcamp.getResourceVisibilityFilter({
+      _id: new mongoose.Types.ObjectId(),
+      role: "admin",
+    });
+
+    assert.equal(find.mock.callCount(), 0);
+    assert.deepEqual(filter, {});
+  });
+});
+
+describe("Bootcamp status", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("is copied onto the courses and reviews when it changes", async () => {
+    const bootcamp = new Bootcamp({ name: "Devworks", status: "published" });
+    const syncStatus = mock.method(Bootcamp, "syncStatus", async () => {});
+    // Run the update and its hooks without a database, the queries of the
+    // other hooks find nothing
+    const { exec } = mongoose.Query.prototype;
+    mock.method(mongoose.Query.prototype, "exec", function (...args) {
+      return this.op === "findOneAndUpdate"
+        ? exec.apply(this, args)
+        : Promise.resolve([]);
+    });
+    mock.method(
+      mongoose.Query.prototype,
+      "_findOneAndUpdate",
+      async () => bootcamp
+    );
+
+    await Bootcamp.findByIdAndUpdate(bootcamp._id, { status: "published" });
+
+    assert.deepEqual(syncStatus.mock.calls[0].arguments, [
+      bootcamp._id,
+      "published",
+    ]);
+  });
+});
+
+describe("Bootcamp.regeocode", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("skips bootcamps removed while geocoding", async () => {
+    const removed = new Bootcamp({ name: "Removed", address: "Boston 02118" });
+    const kept = new Bootcamp({ name: "Kept", address: "Boston 02118" });
+
+    mock.method(Bootcamp, "find", () => ({
+      withDeleted: () => ({ select: async () => [removed, kept] }),
+    }));
+    mock.method(Bootcamp, "findOneAndUpdate", ({ _id }) => ({
+      withDeleted: async () =>
+        _id.equals(removed._id) ? null : { geocode: { status: "success" } },
+    }));
+
+    const results = await Bootcamp.regeocode();
+
+    assert.deepEqual(results, {
+      total: 1,
+      geocoded: 1,
+      notFound: 0,
+      failed: 0,
+      failures: [],
+    });
+  });
+});
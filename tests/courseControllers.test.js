@@ -0,0 +1,72 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  createCourse,
+  updateCourse,
+} from "../controllers/courseControllers.js";
+import Course from "../models/CourseModel.js";
+
+// Response that does nothing
+const res = {
+  status() {
+    return this;
+  },
+  json() {
+    return this;
+  },
+};
+
+describe("createCourse", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("adds the course to the bootcamp of the route, out of the trash", async () => {
+    const create = mock.method(Course, "create", async () => ({}));
+    const bootcampId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    const req = {
+      resource: { _id: bootcampId },
+      user: { id: userId },
+      body: {
+        title: "Web Development",
+        bootcamp: new mongoose.Types.ObjectId().toString(),
+        deletedAt: new Date(),
+      },
+    };
+
+    await createCourse(req, res, mock.fn());
+
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      title: "Web Development",
+      bootcamp: bootcampId,
+      user: userId,
+    });
+  });
+});
+
+describe("updateCourse", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("can not move the course to another bootcamp or user", async () => {
+    const update = mock.method(Course, "findByIdAndUpdate", async () => ({}));
+
+    const req = {
+      params: { courseId: new mongoose.Types.ObjectId().toString() },
+      body: {
+        title: "Web Development",
+        tuition: 9000,
+        bootcamp: new mongoose.Types.ObjectId().toString(),
+        user: new mongoose.Types.ObjectId().toString(),
+        deletedAt: new Date(),
+      },
+    };
+
+    await updateCourse(req, res, mock.fn());
+
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      title: "Web Development",
+      tuition: 9000,
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Course from "../models/CourseModel.js";
+import Bootcamp from "../models/BootcampModel.js";
+
+describe("Course.getAverageCost", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("sets the average cost of the bootcamp rounded up to tens", async () => {
+    const bootcampId = new mongoose.Types.ObjectId();
+
+    mock.method(Course, "aggregate", async () => [
+      { _id: bootcampId, averageCost: 9250.5 },
+    ]);
+    const update = mock.method(Bootcamp, "findByIdAndUpdate", async () => {});
+
+    await Course.getAverageCost(bootcampId);
+
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      bootcampId,
+      { averageCost: 9260 },
+    ]);
+  });
+
+  it("removes the average cost when the only course is deleted", async () => {
+    const bootcampId = new mongoose.Types.ObjectId();
+
+    mock.method(Course, "aggregate", async () => []);
+    const update = mock.method(Bootcamp, "findByIdAndUpdate", async () => {});
+
+    await Course.getAverageCost(bootcampId);
+
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      bootcampId,
+      { $unset: { averageCost: 1 } },
+    ]);
+  });
+});
+
+describe("Course bootcampStatus", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("is copied from the bootcamp when the course is created", async () => {
+    const bootcamp = new Bootcamp({ name: "Devworks", status: "published" });
+    mock.method(Bootcamp, "findById", () => ({
+      withDeleted: () => ({ select: async () => bootcamp }),
+    }));
+
+    const course = new Course({
+      title: "Web Development",
+      description: "HTML, CSS and JavaScript",
+      weeks: "8",
+      tuition: 8000,
+      minimumSkill: "beginner",
+      bootcamp: bootcamp._id,
+      user: new mongoose.Types.ObjectId(),
+    });
+
+    await course.validate();
+
+    assert.equal(course.bootcampStatus, "published");
+  });
+});
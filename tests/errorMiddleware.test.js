@@ -0,0 +1,60 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import "colors";
+import errorHandler from "../middlewares/errorMiddleware.js";
+import ErrorResponse from "../utils/ErrorResponse.js";
+import Review from "../models/ReviewModel.js";
+
+// Run the error handler and return the status and body it sent
+const handle = (err) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  errorHandler(err, {}, res, () => {});
+
+  return res;
+};
+
+describe("errorHandler", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("lists the failed validation rules as details", () => {
+    mock.method(console, "log", () => {});
+
+    const review = new Review({ rating: 11 });
+    const res = handle(review.validateSync());
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(
+      res.body.details.find((detail) => detail.field === "rating"),
+      {
+        field: "rating",
+        rule: "max",
+        message: review.validateSync().errors.rating.message,
+      }
+    );
+  });
+
+  it("sends the details of an error response unchanged", () => {
+    mock.method(console, "log", () => {});
+
+    const details = [
+      { field: "photos", rule: "quota", message: "Quota reached!", limit: 1 },
+    ];
+    const res = handle(new ErrorResponse("Quota reached!", 403, details));
+
+    assert.deepEqual(res.body, {
+      success: false,
+      error: "Quota reached!",
+      details,
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import findChanged from "../utils/findChanged.js";
+import Bootcamp from "../models/BootcampModel.js";
+import User from "../models/UserModel.js";
+
+describe("findChanged", () => {
+  it("finds changed documents in the trash of soft deleted models", () => {
+    const query = findChanged(Bootcamp, { name: "Devworks" });
+
+    assert.equal(query.op, "find");
+    assert.equal(query._mongooseOptions.lean, true);
+    assert.equal(query._withDeleted, true);
+    assert.deepEqual(query.getFilter(), { name: "Devworks" });
+  });
+
+  it("finds changed documents of other models", () => {
+    const query = findChanged(User, { name: "Jane" });
+
+    assert.equal(query._mongooseOptions.lean, true);
+    assert.equal(query._withDeleted, undefined);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getGeocoderProvider } from "../utils/geocoder.js";
+
+process.env.GEOCODER_API_KEY ??= "test-key";
+
+// Get the provider with GEOCODER_PROVIDER set to the name, or unset
+const getProvider = (name) => {
+  const provider = process.env.GEOCODER_PROVIDER;
+
+  if (name === undefined) {
+    delete process.env.GEOCODER_PROVIDER;
+  } else {
+    process.env.GEOCODER_PROVIDER = name;
+  }
+
+  try {
+    return getGeocoderProvider();
+  } finally {
+    if (provider === undefined) {
+      delete process.env.GEOCODER_PROVIDER;
+    } else {
+      process.env.GEOCODER_PROVIDER = provider;
+    }
+  }
+};
+
+describe("getGeocoderProvider", () => {
+  it("uses mapquest through node-geocoder by default", () => {
+    const { name, provider } = getProvider(undefined);
+
+    assert.equal(name, "mapquest");
+    assert.equal(provider.local, undefined);
+  });
+
+  it("uses the offline provider only when it is chosen", async () => {
+    const { name, provider } = getProvider("offline");
+
+    assert.equal(name, "offline");
+    assert.equal(provider.local, true);
+  });
+});
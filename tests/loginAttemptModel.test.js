@@ -0,0 +1,75 @@
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import LoginAttempt from "../models/LoginAttemptModel.js";
+
+const LOGIN_ENV = [
+  "LOGIN_MAX_ATTEMPTS_PER_ACCOUNT",
+  "LOGIN_MAX_ATTEMPTS_PER_IP",
+  "LOGIN_LOCKOUT_MINUTES",
+];
+
+// Register a failure for a key that already failed the given number of times
+const registerFailure = async (type, failedAttempts) => {
+  const attempt = new LoginAttempt({
+    type,
+    key: "key",
+    failedAttempts,
+    expiresAt: Date.now() + 24 * 60 * 60 * 1000,
+  });
+
+  mock.method(LoginAttempt, "findOneAndUpdate", async () => attempt);
+  mock.method(attempt, "save", async () => attempt);
+
+  const isLocked = await LoginAttempt.registerFailure(type, "key");
+
+  return { isLocked, attempt };
+};
+
+describe("LoginAttempt.registerFailure", () => {
+  const env = {};
+
+  // Run without the login settings, so the defaults apply
+  before(() => {
+    for (const name of LOGIN_ENV) {
+      env[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  after(() => {
+    for (const name of LOGIN_ENV) {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    }
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("locks an account for 15 minutes after 5 attempts by default", async () => {
+    const { isLocked, attempt } = await registerFailure("account", 5);
+    const lockout = attempt.lockedUntil - Date.now();
+
+    assert.equal(isLocked, true);
+    assert.ok(lockout > 14 * 60 * 1000 && lockout <= 15 * 60 * 1000);
+  });
+
+  it("allows 20 attempts from an IP address by default", async () => {
+    assert.equal((await registerFailure("ip", 19)).isLocked, false);
+    assert.equal((await registerFailure("ip", 20)).isLocked, true);
+  });
+
+  it("uses the limits from the environment", async () => {
+    process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT = "3";
+    process.env.LOGIN_LOCKOUT_MINUTES = "1";
+
+    const { isLocked, attempt } = await registerFailure("account", 4);
+    const lockout = attempt.lockedUntil - Date.now();
+
+    // One attempt over the limit doubles the lockout
+    assert.equal(isLocked, true);
+    assert.ok(lockout > 60 * 1000 && lockout <= 2 * 60 * 1000);
+  });
+});
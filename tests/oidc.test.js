@@ -0,0 +1,31 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getOidcProvider, getOidcProviderNames } from "../utils/oidc.js";
+
+describe("getOidcProvider", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.OIDC_PROVIDERS = "mock";
+    process.env.OIDC_MOCK_ISSUER = "http://localhost:9000";
+    process.env.OIDC_MOCK_CLIENT_ID = "devcamper";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("creates the mock provider in development", () => {
+    process.env.NODE_ENV = "development";
+
+    assert.deepEqual(getOidcProviderNames(), ["mock"]);
+    assert.ok(getOidcProvider("mock"));
+  });
+
+  it("ignores the mock provider in production", () => {
+    process.env.NODE_ENV = "production";
+
+    assert.deepEqual(getOidcProviderNames(), []);
+    assert.equal(getOidcProvider("mock"), undefined);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import requestContext from "../middlewares/requestContextMiddleware.js";
+import { getRequestContext } from "../utils/requestContext.js";
+
+// Run the middleware with a request id header and return the id it used
+const run = (requestId) => {
+  const req = {
+    headers: { "x-request-id": requestId },
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    },
+  };
+  const res = {
+    set(name, value) {
+      this.header = value;
+    },
+  };
+  let context;
+
+  requestContext(req, res, () => {
+    context = getRequestContext();
+  });
+
+  assert.equal(res.header, req.id);
+  assert.equal(context.requestId, req.id);
+
+  return req.id;
+};
+
+describe("requestContext", () => {
+  it("keeps a valid request id", () => {
+    assert.equal(run("abc-123_DEF"), "abc-123_DEF");
+  });
+
+  it("replaces a request id that is missing or unsafe", () => {
+    for (const requestId of [
+      undefined,
+      "",
+      "id\r\nSet-Cookie: token=1",
+      "a".repeat(129),
+    ]) {
+      assert.match(
+        run(requestId),
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+      );
+    }
+  });
+});
@@ -0,0 +1,35 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { updateReview } from "../controllers/reviewController.js";
+import Review from "../models/ReviewModel.js";
+
+describe("updateReview", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("can not move the review to another bootcamp or user", async () => {
+    const update = mock.method(Review, "findByIdAndUpdate", async () => ({}));
+
+    const req = {
+      params: { reviewId: new mongoose.Types.ObjectId().toString() },
+      body: {
+        rating: 8,
+        bootcamp: new mongoose.Types.ObjectId().toString(),
+        user: new mongoose.Types.ObjectId().toString(),
+        deletedAt: new Date(),
+      },
+    };
+    const res = {
+      status() {
+        return this;
+      },
+      json() {
+        return this;
+      },
+    };
+
+    await updateReview(req, res, mock.fn());
+
+    assert.deepEqual(update.mock.calls[0].arguments[1], { rating: 8 });
+  });
+});
@@ -0,0 +1,70 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Review from "../models/ReviewModel.js";
+import Bootcamp from "../models/BootcampModel.js";
+
+// Review with every required field
+const createReview = (fields) =>
+  new Review({
+    title: "Great bootcamp",
+    text: "Learned a lot",
+    rating: 8,
+    bootcamp: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    bootcampStatus: "published",
+    ...fields,
+  });
+
+describe("Review rating", () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const rating of [0, 11]) {
+    it(`rejects a rating of ${rating}`, async () => {
+      const review = createReview({ rating });
+
+      await assert.rejects(review.validate(), (error) => {
+        assert.ok(error.errors.rating);
+        return true;
+      });
+    });
+  }
+});
+
+describe("Review softDelete", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("removes the average rating once the last review is in the trash", async () => {
+    const review = createReview();
+
+    mock.method(Review, "updateOne", async () => {});
+    mock.method(Review, "aggregate", async () => []);
+    const update = mock.method(Bootcamp, "findByIdAndUpdate", async () => {});
+
+    await review.softDelete();
+
+    assert.ok(review.deletedAt);
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      review.bootcamp,
+      { $unset: { averageRating: 1 } },
+    ]);
+  });
+
+  it("counts the review again when it is restored", async () => {
+    const review = createReview({ deletedAt: new Date() });
+
+    mock.method(Review, "updateOne", async () => {});
+    mock.method(Review, "aggregate", async () => [
+      { _id: review.bootcamp, averageRating: 7.5 },
+    ]);
+    const update = mock.method(Bootcamp, "findByIdAndUpdate", async () => {});
+
+    await review.restore();
+
+    assert.equal(review.deletedAt, undefined);
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      review.bootcamp,
+      { averageRating: 7.5 },
+    ]);
+  });
+});
@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import sendUserExport from "../utils/sendUserExport.js";
+import User from "../models/UserModel.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+import Session from "../models/SessionModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import AuditLog from "../models/AuditLogModel.js";
+import EmailChange from "../models/EmailChangeModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
+
+// Response recording the JSON body
+const createResponse = () => ({
+  status() {
+    return this;
+  },
+  attachment() {
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Query resolving to the documents, with or without a select
+const query = (docs = []) =>
+  Object.assign(Promise.resolve(docs), { select: async () => docs });
+
+// Stub every query of the export, the user owns the bootcamps
+const stubExport = (user, bootcamps = []) => {
+  mock.method(User, "findById", async () => user);
+  for (const model of [
+    Course,
+    Review,
+    Session,
+    ApiKey,
+    AuditLog,
+    EmailChange,
+    PublisherApplication,
+  ]) {
+    mock.method(model, "find", () => query());
+  }
+  mock.method(Bootcamp, "find", (filter) =>
+    query(filter.user ? bootcamps : [])
+  );
+};
+
+describe("sendUserExport", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("leaves the secrets of the user out of the profile", async () => {
+    const expire = new Date(Date.now() + 10 * 60 * 1000);
+    const user = new User({
+      name: "Jane",
+      email: "jane@example.com",
+      password: "hash",
+      passwordHistory: ["old-hash"],
+      twoFactorEnabled: true,
+      twoFactorSecret: "secret",
+      twoFactorLastUsedStep: 1,
+      twoFactorRecoveryCodes: ["code-hash"],
+      emailVerificationToken: "verification-hash",
+      emailVerificationExpire: expire,
+      magicLinkToken: "magic-link-hash",
+      magicLinkExpire: expire,
+      resetPasswordToken: "reset-hash",
+      resetPasswordExpire: expire,
+    });
+
+    stubExport(user);
+
+    const res = createResponse();
+
+    assert.equal(await sendUserExport(user._id, { query: {} }, res), true);
+
+    const { profile } = JSON.parse(JSON.stringify(res.body.data));
+
+    assert.equal(profile.email, "jane@example.com");
+    assert.equal(profile.twoFactorEnabled, true);
+    for (const field of [
+      "password",
+      "passwordHistory",
+      "twoFactorSecret",
+      "twoFactorLastUsedStep",
+      "twoFactorRecoveryCodes",
+      "emailVerificationToken",
+      "emailVerificationExpire",
+      "magicLinkToken",
+      "magicLinkExpire",
+      "resetPasswordToken",
+      "resetPasswordExpire",
+    ]) {
+      assert.equal(field in profile, false, `${field} is exported`);
+    }
+  });
+
+  it("leaves data about other users out of the audit logs", async () => {
+    const user = new User({ name: "Jane", email: "jane@example.com" });
+    const admin = new User({ name: "Admin", email: "admin@example.com" });
+    const logs = [
+      new AuditLog({
+        action: "bootcamp.update",
+        actor: user._id,
+        ip: "10.0.0.1",
+        changes: [{ field: "name" }],
+      }),
+      new AuditLog({
+        action: "bootcamp.update",
+        actor: admin._id,
+        impersonatedUser: user._id,
+        ip: "10.0.0.2",
+        userAgent: "curl",
+      }),
+    ];
+
+    stubExport(user);
+    const select = mock.fn(async () => logs);
+    mock.method(AuditLog, "find", () => ({ select }));
+
+    const res = createResponse();
+
+    await sendUserExport(user._id, { query: {} }, res);
+
+    const { auditLogs } = JSON.parse(JSON.stringify(res.body.data));
+
+    assert.deepEqual(select.mock.calls[0].arguments, [
+      "-changes.before -changes.after",
+    ]);
+    assert.equal(auditLogs[0].ip, "10.0.0.1");
+    assert.equal(auditLogs[1].impersonatedUser, user.id);
+    for (const field of ["actor", "ip", "userAgent"]) {
+      assert.equal(field in auditLogs[1], false, `${field} is exported`);
+    }
+  });
+
+  it("only adds photos from the upload folder to the zip", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "export-"));
+    const uploadPath = path.join(dir, "uploads");
+    fs.mkdirSync(uploadPath);
+    fs.writeFileSync(path.join(uploadPath, "photo_1.jpg"), "photo");
+    fs.writeFileSync(path.join(dir, "config.env"), "JWT_SECRET=secret");
+    const previousUploadPath = process.env.FILE_UPLOAD_PATH;
+    process.env.FILE_UPLOAD_PATH = uploadPath;
+
+    const user = new User({ name: "Jane", email: "jane@example.com" });
+
+    stubExport(user, [
+      new Bootcamp({ name: "Devworks", user: user._id, photo: "photo_1.jpg" }),
+      new Bootcamp({
+        name: "Codemasters",
+        user: user._id,
+        photo: "../config.env",
+      }),
+    ]);
+
+    const res = new PassThrough();
+    res.status = () => res;
+    res.attachment = () => res;
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    const ended = new Promise((resolve) => res.on("end", resolve));
+
+    try {
+      await sendUserExport(user._id, { query: { format: "zip" } }, res);
+      await ended;
+
+      // Names of the entries are stored uncompressed in the zip
+      const zip = Buffer.concat(chunks).toString("latin1");
+
+      assert.ok(zip.includes("photos/photo_1.jpg"));
+      assert.ok(!zip.includes("config.env"));
+    } finally {
+      process.env.FILE_UPLOAD_PATH = previousUploadPath;
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
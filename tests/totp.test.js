@@ -0,0 +1,82 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateHotp,
+  generateSecret,
+  getTimeStep,
+  verifyTotp,
+} from "../utils/totp.js";
+
+// The ASCII secret "12345678901234567890" of the RFC test vectors in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("generateHotp", () => {
+  it("matches the test vectors of RFC 4226", () => {
+    const expected = [
+      "755224",
+      "287082",
+      "359152",
+      "969429",
+      "338314",
+      "254676",
+      "287922",
+      "162583",
+      "399871",
+      "520489",
+    ];
+
+    expected.forEach((code, counter) => {
+      assert.equal(generateHotp(RFC_SECRET, counter), code);
+    });
+  });
+});
+
+describe("verifyTotp", () => {
+  afterEach(() => mock.restoreAll());
+
+  // The SHA1 test vectors of RFC 6238, which uses 8 digits, cut to the last 6
+  const vectors = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`matches the test vector of RFC 6238 at ${seconds}`, () => {
+      mock.method(Date, "now", () => seconds * 1000);
+
+      assert.equal(verifyTotp(RFC_SECRET, code, 0), getTimeStep());
+    });
+  }
+
+  it("accepts codes of the steps next to the current one", () => {
+    mock.method(Date, "now", () => 1111111111 * 1000);
+
+    // 081804 is the code of the previous step
+    assert.equal(verifyTotp(RFC_SECRET, "081804"), getTimeStep() - 1);
+    assert.equal(verifyTotp(RFC_SECRET, "081804", 0), null);
+  });
+
+  it("rejects codes that are not six digits", () => {
+    mock.method(Date, "now", () => 59 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, "94287082"), null);
+    assert.equal(verifyTotp(RFC_SECRET, "28708a"), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined), null);
+  });
+
+  it("accepts codes with spaces, as shown by authenticator apps", () => {
+    mock.method(Date, "now", () => 59 * 1000);
+
+    assert.equal(verifyTotp(RFC_SECRET, "287 082"), 1);
+  });
+});
+
+describe("generateSecret", () => {
+  it("generates a 160-bit base32 secret", () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  });
+});
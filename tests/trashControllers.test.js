@@ -0,0 +1,58 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { restoreFromTrash } from "../controllers/trashControllers.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Setting from "../models/SettingModel.js";
+import User from "../models/UserModel.js";
+
+describe("restoreFromTrash", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("does not restore a bootcamp over the quota of its owner", async () => {
+    const owner = new User({
+      name: "Jane",
+      email: "jane@example.com",
+      role: "publisher",
+    });
+    const bootcamp = new Bootcamp({
+      name: "Devworks",
+      user: owner._id,
+      deletedAt: new Date(),
+    });
+    const restore = mock.method(bootcamp, "restore", async () => {});
+
+    mock.method(Bootcamp, "findOne", async () => bootcamp);
+    mock.method(Bootcamp, "countDocuments", async () => 1);
+    mock.method(User, "findById", async () => owner);
+    mock.method(Setting, "getSettings", async () => new Setting());
+
+    const next = mock.fn();
+
+    await restoreFromTrash(
+      {
+        params: {
+          type: "bootcamps",
+          itemId: new mongoose.Types.ObjectId().toString(),
+        },
+      },
+      {},
+      next
+    );
+
+    const [error] = next.mock.calls[0].arguments;
+
+    assert.equal(error.statusCode, 403);
+    assert.deepEqual(error.details, [
+      {
+        field: "bootcamps",
+        rule: "quota",
+        message: "The bootcamps quota of 1 has been reached!",
+        limit: 1,
+        used: 1,
+        plan: "free",
+      },
+    ]);
+    assert.equal(restore.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,34 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import purgeTrash from "../jobs/trashPurgeJob.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+
+describe("purgeTrash", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps deleted items for 30 days by default", async () => {
+    const retentionDays = process.env.TRASH_RETENTION_DAYS;
+    delete process.env.TRASH_RETENTION_DAYS;
+
+    for (const model of [Bootcamp, Course, Review]) {
+      mock.method(model, "find", async () => []);
+    }
+
+    try {
+      await purgeTrash();
+    } finally {
+      if (retentionDays !== undefined) {
+        process.env.TRASH_RETENTION_DAYS = retentionDays;
+      }
+    }
+
+    for (const model of [Bootcamp, Course, Review]) {
+      const [filter] = model.find.mock.calls[0].arguments;
+      const days = (Date.now() - filter.deletedAt.$lte) / 86400000;
+
+      assert.ok(days >= 30 && days < 30.1);
+    }
+  });
+});
@@ -0,0 +1,122 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Bootcamp from "../models/BootcampModel.js";
+import Setting from "../models/SettingModel.js";
+import User from "../models/UserModel.js";
+// Models the deletion of a user cleans up
+import "../models/ApiKeyModel.js";
+import "../models/EmailChangeModel.js";
+import "../models/LoginAttemptModel.js";
+import "../models/PublisherApplicationModel.js";
+import "../models/ReviewModel.js";
+import "../models/SessionModel.js";
+
+process.env.JWT_SECRET ??= "test-secret";
+
+describe("User.getImpersonationToken", () => {
+  it("expires after 15 minutes by default", () => {
+    const expireMinutes = process.env.IMPERSONATION_EXPIRE_MINUTES;
+    delete process.env.IMPERSONATION_EXPIRE_MINUTES;
+
+    try {
+      const user = new User({ name: "Jane", email: "jane@example.com" });
+      const { iat, exp } = jwt.decode(
+        user.getImpersonationToken("sessionId", "adminId")
+      );
+
+      assert.equal(exp - iat, 15 * 60);
+      assert.equal(User.getImpersonationLifetime(), 15 * 60 * 1000);
+    } finally {
+      if (expireMinutes !== undefined) {
+        process.env.IMPERSONATION_EXPIRE_MINUTES = expireMinutes;
+      }
+    }
+  });
+});
+
+describe("User deleteOne", () => {
+  const { exec } = mongoose.Query.prototype;
+
+  afterEach(() => mock.restoreAll());
+
+  // Delete a publisher who transfers their bootcamp to a new owner that
+  // already owns the given number of bootcamps, and return the updates made
+  const deleteWithTransfer = async (newOwnerBootcamps) => {
+    const newOwner = new User({
+      name: "John",
+      email: "john@example.com",
+      role: "publisher",
+    });
+    const user = new User({
+      name: "Jane",
+      email: "jane@example.com",
+      role: "publisher",
+      deletionBootcampAction: "transfer",
+      deletionTransferTo: newOwner._id,
+    });
+    const bootcamp = new Bootcamp({ name: "Devworks", user: user._id });
+    const deleteBootcamp = mock.method(bootcamp, "deleteOne", async () => {});
+    const updates = [];
+
+    mock.method(User, "findById", async () => newOwner);
+    mock.method(Setting, "getSettings", async () => new Setting());
+    mock.method(Bootcamp, "countDocuments", async ({ user: owner }) =>
+      owner.equals(newOwner._id) ? newOwnerBootcamps : 1
+    );
+
+    // Answer every other query without a database, the deletion of the user
+    // runs the document middleware
+    mock.method(mongoose.Query.prototype, "_deleteOne", async () => ({}));
+    mock.method(mongoose.Query.prototype, "exec", function (...args) {
+      if (this.op === "deleteOne" && this.model === User) {
+        return exec.apply(this, args);
+      }
+
+      if (this.op === "updateMany") {
+        updates.push({
+          model: this.model.modelName,
+          filter: this.getFilter(),
+          update: this.getUpdate(),
+        });
+      }
+
+      const isOwnBootcamps =
+        this.op === "find" &&
+        this.model === Bootcamp &&
+        this._withDeleted &&
+        user._id.equals(this.getFilter().user);
+
+      return Promise.resolve(isOwnBootcamps ? [bootcamp] : []);
+    });
+
+    await user.deleteOne();
+
+    return { updates, newOwner, bootcamp, deleteBootcamp };
+  };
+
+  it("transfers the bootcamps and their courses to the new owner", async () => {
+    const { updates, newOwner, bootcamp, deleteBootcamp } =
+      await deleteWithTransfer(0);
+    const [bootcamps, courses] = updates;
+
+    // The new owner also leaves the team of the bootcamp
+    assert.equal(bootcamps.model, "Bootcamp");
+    assert.deepEqual(bootcamps.filter, { _id: { $in: [bootcamp._id] } });
+    assert.deepEqual(bootcamps.update, {
+      user: newOwner._id,
+      $pull: { members: { user: newOwner._id } },
+    });
+    assert.equal(courses.model, "Course");
+    assert.deepEqual(courses.update, { user: newOwner._id });
+    assert.equal(deleteBootcamp.mock.callCount(), 0);
+  });
+
+  it("does not transfer the bootcamps over the quota of the new owner", async () => {
+    const { updates, newOwner, deleteBootcamp } = await deleteWithTransfer(1);
+
+    assert.ok(updates.every(({ update }) => !newOwner._id.equals(update.user)));
+    assert.equal(deleteBootcamp.mock.callCount(), 1);
+  });
+});
@@ -1,3 +1,12 @@
+/**
+ * A structured detail of an error response. Details can carry more
+ * properties, e.g. the limit and usage of a quota.
+ * @typedef {Object} ErrorDetail
+ * @property {string} field - The field or quota the detail is about
+ * @property {string} rule - The rule that failed, e.g. "required" or "quota"
+ * @property {string} message - Message describing the failure
+ */
+
 /**
  * Custom error class for API error responses
  * @extends Error
@@ -7,10 +16,15 @@ class ErrorResponse extends Error {
    * Create an error response
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
+   * @param {ErrorDetail[]} [details] - Structured details, e.g. the validation rules that failed
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+
+    if (details) {
+      this.details = details;
+    }
   }
 }
 
@@ -0,0 +1,77 @@
+import * as crypto from "node:crypto";
+
+/**
+ * Cookie based authentication for browser clients.
+ *
+ * When enabled with AUTH_COOKIE_ENABLED=true the JWT is read from the
+ * http-only `token` cookie. Every state-changing request authenticated by
+ * cookie must echo the CSRF token in the X-CSRF-Token header. The CSRF token is
+ * an HMAC of the session id, so it can not be forged without the server secret
+ * and stops working when the session is revoked.
+ */
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Check if cookie based authentication is enabled.
+ *
+ * @returns {boolean} Whether the JWT and refresh token are accepted from cookies.
+ */
+export const isCookieAuthEnabled = () =>
+  process.env.AUTH_COOKIE_ENABLED === "true";
+
+/**
+ * Get the options shared by every authentication cookie.
+ *
+ * @param {Date} expires - When the cookie expires.
+ * @returns {Object} Cookie options for res.cookie.
+ */
+export const getCookieOptions = (expires) => {
+  const cookieOptions = {
+    expires,
+    httpOnly: true,
+    sameSite: process.env.AUTH_COOKIE_SAMESITE || "lax",
+  };
+
+  if (
+    process.env.NODE_ENV === "production" ||
+    cookieOptions.sameSite === "none"
+  ) {
+    cookieOptions.secure = true;
+  }
+
+  return cookieOptions;
+};
+
+/**
+ * Get the CSRF token of a session.
+ *
+ * @param {string} sessionId - The id of the session.
+ * @returns {string} The CSRF token.
+ */
+export const getCsrfToken = (sessionId) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`csrf:${sessionId}`)
+    .digest("hex");
+
+/**
+ * Check the CSRF token of a request authenticated by cookie.
+ *
+ * @param {import('express').Request} req - The Express request object.
+ * @param {string} sessionId - The id of the session the request belongs to.
+ * @returns {boolean} Whether the request is safe or carries a valid CSRF token.
+ */
+export const verifyCsrfToken = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const expected = Buffer.from(getCsrfToken(sessionId));
+  const received = Buffer.from(String(req.get("x-csrf-token") || ""));
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
@@ -0,0 +1,14 @@
+/**
+ * Find the documents a query changes as plain objects, including the ones in
+ * the trash of models that are soft deleted.
+ *
+ * @param {mongoose.Model} model - The model the query runs on.
+ * @param {Object} filter - The filter of the query.
+ * @returns {mongoose.Query} The lean find query.
+ */
+const findChanged = (model, filter) => {
+  const query = model.find(filter).lean();
+  return query.withDeleted ? query.withDeleted() : query;
+};
+
+export default findChanged;
@@ -1,7 +1,10 @@
+import * as crypto from "node:crypto";
+import fs from "fs";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import NodeGeocoder from "node-geocoder";
+import GeocodeCache from "../models/GeocodeCacheModel.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,27 +13,316 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, "../config/config.env") });
 
 /**
- * @typedef {Object} GeocoderOptions
- * @property {string} provider - The geocoding service provider (e.g., 'mapquest')
- * @property {string} apiKey - API key for the geocoding service
- * @property {null} formatter - Custom formatter for results (null uses default)
+ * Geocoding service used for bootcamp addresses and radius searches.
+ *
+ * The provider is chosen with GEOCODER_PROVIDER, mapquest by default:
+ *
+ * - any name other than the ones below is a node-geocoder provider, e.g.
+ *   mapquest, called with GEOCODER_API_KEY. Its results are cached in the
+ *   database for GEOCODER_CACHE_TTL_DAYS.
+ * - offline looks up the US zipcode of the address in the file set in
+ *   GEOCODER_OFFLINE_DATASET, e.g. the ZCTA gazetteer file of the US Census
+ *   Bureau. The bundled dataset is only a small sample for offline test runs.
+ * - mock returns made up but deterministic locations, for tests.
+ *
+ * Other providers can be plugged in with registerGeocoderProvider. A provider
+ * implements geocode(query), which returns the results best match first, each
+ * with latitude, longitude, formattedAddress, street, city, state, zipcode,
+ * country and a confidence between 0 and 1 or null.
  */
 
+const providers = new Map();
+
+// Normalize a query so small differences in spelling share a cached result
+const normalizeQuery = (query) =>
+  String(query).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Find the US zipcode in an address, it comes after the street number
+const findZipcode = (query) =>
+  [...String(query).matchAll(/\b(\d{5})(?:-\d{4})?\b/g)].pop()?.[1];
+
+let zipCentroids;
+
+// Load the zipcode centroids the first time they are needed. Columns are found
+// by name, so both the bundled dataset and the Census gazetteer can be used.
+const getZipCentroids = () => {
+  if (!zipCentroids) {
+    const file =
+      process.env.GEOCODER_OFFLINE_DATASET ||
+      path.join(__dirname, "zipCentroids.csv");
+
+    const [header, ...rows] = fs
+      .readFileSync(file, "utf8")
+      .trim()
+      .split(/\r?\n/);
+    const delimiter = header.includes("\t") ? "\t" : ",";
+    const columns = header
+      .split(delimiter)
+      .map((column) => column.trim().toUpperCase());
+    const column = (...names) =>
+      columns.findIndex((column) => names.includes(column));
+
+    const zipcode = column("ZIPCODE", "GEOID");
+    const latitude = column("LATITUDE", "INTPTLAT");
+    const longitude = column("LONGITUDE", "INTPTLONG");
+    const city = column("CITY");
+    const state = column("STATE");
+
+    zipCentroids = new Map(
+      rows.map((row) => {
+        const values = row.split(delimiter).map((value) => value.trim());
+
+        return [
+          values[zipcode],
+          {
+            latitude: Number(values[latitude]),
+            longitude: Number(values[longitude]),
+            city: values[city],
+            state: values[state],
+          },
+        ];
+      })
+    );
+  }
+
+  return zipCentroids;
+};
+
+providers.set("offline", {
+  // Local providers are fast and free, their results are not cached
+  local: true,
+  geocode: async (query) => {
+    const zipcode = findZipcode(query);
+    const centroid = zipcode && getZipCentroids().get(zipcode);
+
+    if (!centroid) {
+      return [];
+    }
+
+    return [
+      {
+        latitude: centroid.latitude,
+        longitude: centroid.longitude,
+        formattedAddress: [centroid.city, `${centroid.state || ""} ${zipcode}`]
+          .filter(Boolean)
+          .join(", ")
+          .trim(),
+        street: undefined,
+        city: centroid.city,
+        state: centroid.state,
+        zipcode,
+        country: "US",
+        // The centroid of the zipcode, not the address itself
+        confidence: 0.5,
+      },
+    ];
+  },
+});
+
+providers.set("mock", {
+  local: true,
+  // Made up locations in the continental US, the same query always gets the
+  // same location
+  geocode: async (query) => {
+    const hash = crypto
+      .createHash("sha256")
+      .update(normalizeQuery(query))
+      .digest();
+
+    const latitude = 25 + (hash.readUInt32BE(0) / 0xffffffff) * 24;
+    const longitude = -124 + (hash.readUInt32BE(4) / 0xffffffff) * 57;
+
+    return [
+      {
+        latitude: Number(latitude.toFixed(6)),
+        longitude: Number(longitude.toFixed(6)),
+        formattedAddress: String(query).trim(),
+        street: undefined,
+        city: undefined,
+        state: undefined,
+        zipcode: findZipcode(query),
+        country: "US",
+        confidence: 1,
+      },
+    ];
+  },
+});
+
+// How sure MapQuest is of a result, from the quality it reports
+const MAPQUEST_CONFIDENCE = {
+  POINT: 1,
+  ADDRESS: 0.9,
+  INTERSECTION: 0.8,
+  STREET: 0.7,
+  ZIP: 0.5,
+  ZIP_EXTENDED: 0.5,
+  NEIGHBORHOOD: 0.5,
+  CITY: 0.4,
+  COUNTY: 0.3,
+  STATE: 0.2,
+  COUNTRY: 0.1,
+};
+
+// Get the confidence of a result between 0 and 1, if the provider reports it
+const getConfidence = (results, index) => {
+  const confidence =
+    results[index].extra?.confidence ??
+    MAPQUEST_CONFIDENCE[
+      results.raw?.results?.[0]?.locations?.[index]?.geocodeQuality
+    ];
+
+  if (typeof confidence !== "number") {
+    return null;
+  }
+
+  // Some providers rate from 0 to 10
+  return confidence > 1 ? confidence / 10 : confidence;
+};
+
+// Create a provider calling an online geocoding service through node-geocoder
+const createNodeGeocoderProvider = (name) => {
+  const geocoder = NodeGeocoder({
+    provider: name,
+    apiKey: process.env.GEOCODER_API_KEY,
+    formatter: null,
+  });
+
+  return {
+    geocode: async (query) => {
+      const results = await geocoder.geocode(query);
+
+      return results.map((result, index) => ({
+        latitude: result.latitude,
+        longitude: result.longitude,
+        formattedAddress: result.formattedAddress,
+        street: result.streetName,
+        city: result.city,
+        state: result.stateCode,
+        zipcode: result.zipcode,
+        country: result.countryCode,
+        confidence: getConfidence(results, index),
+      }));
+    },
+  };
+};
+
 /**
- * Configuration options for the geocoder
- * @type {GeocoderOptions}
+ * Register a geocoding provider under a name, replacing the existing one.
+ *
+ * @param {string} name - Name of the provider, used in GEOCODER_PROVIDER.
+ * @param {Object} provider - Object implementing geocode, with local set to skip the cache.
  */
+export const registerGeocoderProvider = (name, provider) => {
+  providers.set(name, provider);
+};
 
 /**
- * Initialized NodeGeocoder instance
- * @type {import('node-geocoder').Geocoder}
+ * Get the provider set in GEOCODER_PROVIDER, mapquest by default.
+ *
+ * @returns {{name: string, provider: Object}} The name and the provider.
  */
-const geocoderOptions = {
-  provider: process.env.GEOCODER_PROVIDER,
-  apiKey: process.env.GEOCODER_API_KEY,
-  formatter: null,
+export const getGeocoderProvider = () => {
+  const name = process.env.GEOCODER_PROVIDER || "mapquest";
+
+  if (!providers.has(name)) {
+    providers.set(name, createNodeGeocoderProvider(name));
+  }
+
+  return { name, provider: providers.get(name) };
 };
 
-const geocoder = NodeGeocoder(geocoderOptions);
+/**
+ * Geocode an address or zipcode, using the cached result when there is one.
+ *
+ * @param {string} query - The address or zipcode.
+ * @returns {Promise<Object[]>} The results best match first, empty when the query was not found.
+ */
+export const geocode = async (query) => {
+  const { name, provider } = getGeocoderProvider();
+  const ttlDays = Number(process.env.GEOCODER_CACHE_TTL_DAYS ?? 30);
+  const useCache = !provider.local && ttlDays > 0;
+  const key = normalizeQuery(query);
+
+  if (useCache) {
+    const cached = await GeocodeCache.findOne({
+      provider: name,
+      query: key,
+      expiresAt: { $gt: Date.now() },
+    }).lean();
+
+    if (cached) {
+      return cached.results;
+    }
+  }
+
+  const results = await provider.geocode(query);
 
-export default geocoder;
+  if (useCache) {
+    // Results are still returned when they can not be cached
+    try {
+      await GeocodeCache.updateOne(
+        { provider: name, query: key },
+        {
+          results,
+          expiresAt: Date.now() + ttlDays * 24 * 60 * 60 * 1000,
+          createdAt: Date.now(),
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Geocode an address into a GeoJSON location. Failures of the provider do not
+ * throw, the status is failed and the address can be geocoded again later.
+ *
+ * @param {string} address - The address to geocode.
+ * @returns {Promise<{location: Object|undefined, geocode: Object}>} The location, undefined when the address was not found or geocoding failed, and the status of the geocoding.
+ */
+export const geocodeAddress = async (address) => {
+  const geocodedAt = Date.now();
+  let results;
+
+  try {
+    results = await geocode(address);
+  } catch (error) {
+    console.log(`Geocoding ${address} failed: ${error.message}`.red);
+
+    return {
+      location: undefined,
+      geocode: { status: "failed", confidence: null, geocodedAt },
+    };
+  }
+
+  if (!results.length) {
+    return {
+      location: undefined,
+      geocode: { status: "not_found", confidence: null, geocodedAt },
+    };
+  }
+
+  const [result] = results;
+
+  return {
+    location: {
+      type: "Point",
+      coordinates: [result.longitude, result.latitude],
+      formattedAddress: result.formattedAddress,
+      street: result.street,
+      city: result.city,
+      state: result.state,
+      zipcode: result.zipcode,
+      country: result.country,
+    },
+    geocode: {
+      status: "success",
+      confidence: result.confidence,
+      geocodedAt,
+    },
+  };
+};
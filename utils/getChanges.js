@@ -0,0 +1,29 @@
+const IGNORED_FIELDS = ["_id", "__v"];
+
+/**
+ * Get the fields that differ between two versions of a document.
+ *
+ * @param {Object} [before] - The document before the change.
+ * @param {Object} [after] - The document after the change.
+ * @param {Object} [options]
+ * @param {string[]} [options.redact] - Fields whose values are replaced with "[redacted]".
+ * @param {string[]} [options.ignore] - Fields that are not compared.
+ * @returns {{field: string, before: *, after: *}[]} The changed fields.
+ */
+const getChanges = (
+  before = {},
+  after = {},
+  { redact = [], ignore = [] } = {}
+) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => ![...IGNORED_FIELDS, ...ignore].includes(field))
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) =>
+      redact.includes(field)
+        ? { field, before: "[redacted]", after: "[redacted]" }
+        : { field, before: before[field], after: after[field] }
+    );
+
+export default getChanges;
@@ -0,0 +1,224 @@
+import * as crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * OpenID Connect client for the authorization code flow with PKCE.
+ *
+ * Every provider implements the same interface, so providers that do not
+ * follow the standard can be plugged in with registerOidcProvider:
+ *
+ * - getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) returns
+ *   the url to send the user to.
+ * - getClaims({ redirectUri, code, codeVerifier, nonce }) exchanges the code
+ *   and returns the verified claims of the user (sub, email, email_verified,
+ *   name).
+ */
+
+const providers = new Map();
+
+// Encode a buffer as base64url without padding
+const base64url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Generate a random PKCE code verifier.
+ *
+ * @returns {string} The code verifier.
+ */
+export const generateCodeVerifier = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Get the S256 PKCE code challenge of a code verifier.
+ *
+ * @param {string} codeVerifier - The code verifier.
+ * @returns {string} The code challenge.
+ */
+export const getCodeChallenge = (codeVerifier) =>
+  base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+// Fetch JSON and fail on error responses
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(
+      `OIDC request to ${url} failed: ${body.error_description || body.error || response.status}`
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Create a provider for a standard OpenID Connect identity provider, using
+ * its discovery document.
+ *
+ * @param {Object} config
+ * @param {string} config.issuer - Issuer url of the identity provider.
+ * @param {string} config.clientId - Client id registered with the identity provider.
+ * @param {string} [config.clientSecret] - Client secret, empty for public clients.
+ * @param {string} [config.scope] - Scopes to request.
+ * @returns {Object} The provider.
+ */
+export const createOidcProvider = ({
+  issuer,
+  clientId,
+  clientSecret,
+  scope = "openid email profile",
+}) => {
+  let discovery;
+  let jwks;
+
+  const getDiscovery = async () => {
+    if (!discovery) {
+      discovery = await fetchJson(
+        `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+      );
+    }
+
+    return discovery;
+  };
+
+  // Get the public key that signed a token, refetching the keys once in case
+  // the identity provider rotated them
+  const getSigningKey = async (kid) => {
+    const findKey = () => jwks?.keys.find((key) => !kid || key.kid === kid);
+
+    if (!findKey()) {
+      jwks = await fetchJson((await getDiscovery()).jwks_uri);
+    }
+
+    const key = findKey();
+
+    if (!key) {
+      throw new Error(`OIDC signing key ${kid} not found`);
+    }
+
+    return crypto.createPublicKey({ key, format: "jwk" });
+  };
+
+  return {
+    async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+      const url = new URL((await getDiscovery()).authorization_endpoint);
+
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      });
+
+      return url.toString();
+    },
+
+    async getClaims({ redirectUri, code, codeVerifier, nonce }) {
+      const { token_endpoint: tokenEndpoint } = await getDiscovery();
+
+      const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+      if (clientSecret) {
+        headers.Authorization = `Basic ${Buffer.from(
+          `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+        ).toString("base64")}`;
+      }
+
+      const tokens = await fetchJson(tokenEndpoint, {
+        method: "POST",
+        headers,
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          code_verifier: codeVerifier,
+        }),
+      });
+
+      const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+
+      if (!header) {
+        throw new Error("OIDC provider did not return an ID token");
+      }
+
+      const claims = jwt.verify(
+        tokens.id_token,
+        await getSigningKey(header.kid),
+        {
+          algorithms: ["RS256", "ES256"],
+          issuer,
+          audience: clientId,
+        }
+      );
+
+      if (claims.nonce !== nonce) {
+        throw new Error("OIDC ID token nonce does not match");
+      }
+
+      return claims;
+    },
+  };
+};
+
+/**
+ * Register a provider under a name, replacing the configured one.
+ *
+ * @param {string} name - Name of the provider, used in the login url.
+ * @param {Object} provider - Object implementing getAuthorizationUrl and getClaims.
+ */
+export const registerOidcProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+// The mock provider signs in anyone, it can not be used in production
+const isAllowedProvider = (name) =>
+  !(name === "mock" && process.env.NODE_ENV === "production");
+
+/**
+ * Get the names of the providers configured with OIDC_PROVIDERS or registered.
+ *
+ * @returns {string[]} The provider names.
+ */
+export const getOidcProviderNames = () =>
+  [
+    ...new Set([
+      ...(process.env.OIDC_PROVIDERS || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+      ...providers.keys(),
+    ]),
+  ].filter(isAllowedProvider);
+
+/**
+ * Get a provider by name. Providers listed in OIDC_PROVIDERS are created from
+ * the OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET and
+ * OIDC_<NAME>_SCOPE settings the first time they are used.
+ *
+ * @param {string} name - Name of the provider.
+ * @returns {Object|undefined} The provider, undefined if it is not configured.
+ */
+export const getOidcProvider = (name) => {
+  if (!getOidcProviderNames().includes(name)) {
+    return undefined;
+  }
+
+  if (!providers.has(name)) {
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+
+    providers.set(
+      name,
+      createOidcProvider({
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scope: process.env[`${prefix}SCOPE`],
+      })
+    );
+  }
+
+  return providers.get(name);
+};
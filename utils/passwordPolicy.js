@@ -0,0 +1,120 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let commonPasswords;
+
+// Load the bundled list of common and breached passwords once
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs
+        .readFileSync(path.join(__dirname, "commonPasswords.txt"), "utf8")
+        .split(/\r?\n/)
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Get the password policy from the environment.
+ *
+ * @returns {{minLength: number, requireUppercase: boolean, requireLowercase: boolean, requireNumber: boolean, requireSymbol: boolean, historySize: number}}
+ */
+export const getPasswordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+  historySize: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5),
+});
+
+/**
+ * Check a password against the password policy.
+ *
+ * @param {string} password - The plain text password.
+ * @param {Object} [user] - The user the password belongs to.
+ * @param {string} [user.name] - Name of the user.
+ * @param {string} [user.email] - Email address of the user.
+ * @returns {{rule: string, message: string}[]} The rules the password breaks, empty if it is valid.
+ */
+export const validatePassword = (password, { name, email } = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+  const lowerPassword = String(password).toLowerCase();
+
+  if (password.length < policy.minLength) {
+    errors.push({
+      rule: "minLength",
+      message: `Password must be at least ${policy.minLength} characters long!`,
+    });
+  }
+
+  // bcrypt ignores everything after 72 bytes
+  if (Buffer.byteLength(password) > 72) {
+    errors.push({
+      rule: "maxLength",
+      message: "Password must be at most 72 bytes long!",
+    });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push({
+      rule: "uppercase",
+      message: "Password must contain an uppercase letter!",
+    });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push({
+      rule: "lowercase",
+      message: "Password must contain a lowercase letter!",
+    });
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push({
+      rule: "number",
+      message: "Password must contain a number!",
+    });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push({
+      rule: "symbol",
+      message: "Password must contain a symbol!",
+    });
+  }
+
+  // Parts of the name and the email address, ignoring very short ones
+  const personalInfo = [
+    ...String(name || "").split(/\s+/),
+    ...String(email || "")
+      .split("@")[0]
+      .split(/[._+-]/),
+  ]
+    .map((part) => part.toLowerCase())
+    .filter((part) => part.length >= 3);
+
+  if (personalInfo.some((part) => lowerPassword.includes(part))) {
+    errors.push({
+      rule: "personalInfo",
+      message: "Password must not contain your name or email address!",
+    });
+  }
+
+  if (getCommonPasswords().has(lowerPassword)) {
+    errors.push({
+      rule: "common",
+      message:
+        "Password is too common or has appeared in a data breach, please choose another one!",
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,126 @@
+/**
+ * Permissions granted to each role.
+ *
+ * Permissions are written as `resource:action:scope`. The `own` scope only
+ * allows the action on resources the user owns, the `any` scope allows it on
+ * every resource. Permissions without a scope are not tied to a resource.
+ *
+ * @type {Object<string, string[]>}
+ */
+const rolePermissions = {
+  user: ["review:create", "review:update:own", "review:delete:own"],
+  publisher: [
+    "bootcamp:create:own",
+    "bootcamp:update:own",
+    "bootcamp:delete:own",
+    "course:create:own",
+    "course:update:own",
+    "course:delete:own",
+  ],
+  admin: [
+    "bootcamp:create:any",
+    "bootcamp:update:any",
+    "bootcamp:delete:any",
+    "bootcamp:moderate",
+    "bootcamp:geocode",
+    "bootcamp:view:any",
+    "bootcamp:team:any",
+    "bootcamp:transfer:any",
+    "course:create:any",
+    "course:update:any",
+    "course:delete:any",
+    "review:create",
+    "review:update:any",
+    "review:delete:any",
+    "user:manage",
+    "user:impersonate",
+    "audit:read",
+    "trash:manage",
+    "quota:unlimited",
+  ],
+};
+
+/**
+ * Permissions granted to the members of a bootcamp team on the bootcamp and its
+ * courses, whatever the role of their account. The owner is the user of the
+ * bootcamp, editors and viewers are added by invitation.
+ *
+ * @type {Object<string, string[]>}
+ */
+export const teamPermissions = {
+  owner: [
+    "bootcamp:view",
+    "bootcamp:update",
+    "bootcamp:delete",
+    "bootcamp:team",
+    "bootcamp:transfer",
+    "course:create",
+    "course:update",
+    "course:delete",
+  ],
+  editor: [
+    "bootcamp:view",
+    "bootcamp:update",
+    "course:create",
+    "course:update",
+    "course:delete",
+  ],
+  viewer: ["bootcamp:view"],
+};
+
+/**
+ * Check if a team role has been granted a permission.
+ *
+ * @param {string|null} teamRole - The role of the user in the bootcamp team, e.g. "editor".
+ * @param {string} permission - The permission without a scope, e.g. "bootcamp:update".
+ * @returns {boolean} Whether the team role has the permission.
+ */
+export const hasTeamPermission = (teamRole, permission) =>
+  (teamPermissions[teamRole] || []).includes(permission);
+
+/**
+ * Check if a role has been granted an exact permission.
+ *
+ * @param {string} role - The role of the user.
+ * @param {string} permission - The permission, e.g. "bootcamp:create:any".
+ * @returns {boolean} Whether the role has the permission.
+ */
+export const hasPermission = (role, permission) =>
+  (rolePermissions[role] || []).includes(permission);
+
+/**
+ * Get every permission name without its scope, e.g. "bootcamp:update".
+ *
+ * @returns {string[]} The unique permission names.
+ */
+export const getPermissionNames = () => [
+  ...new Set(
+    Object.values(rolePermissions)
+      .flat()
+      .map((permission) => permission.split(":").slice(0, 2).join(":"))
+  ),
+];
+
+/**
+ * Get the scope a role has been granted a permission with.
+ *
+ * @param {string} role - The role of the user.
+ * @param {string} permission - The permission without a scope, e.g. "bootcamp:update".
+ * @returns {"any"|"own"|null} The widest scope granted, or null if the permission is missing.
+ */
+export const getPermissionScope = (role, permission) => {
+  if (
+    hasPermission(role, `${permission}:any`) ||
+    hasPermission(role, permission)
+  ) {
+    return "any";
+  }
+
+  if (hasPermission(role, `${permission}:own`)) {
+    return "own";
+  }
+
+  return null;
+};
+
+export default rolePermissions;
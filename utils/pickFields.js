@@ -0,0 +1,16 @@
+/**
+ * Copy the given fields of an object, e.g. the fields of a request body that
+ * clients are allowed to set.
+ *
+ * @param {Object} [object] - The object to copy from.
+ * @param {string[]} fields - Names of the fields to copy.
+ * @returns {Object} A new object with the fields that are set.
+ */
+const pickFields = (object = {}, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => Object.hasOwn(object, field))
+      .map((field) => [field, object[field]])
+  );
+
+export default pickFields;
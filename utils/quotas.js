@@ -0,0 +1,163 @@
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Setting from "../models/SettingModel.js";
+import ErrorResponse from "./ErrorResponse.js";
+import { hasPermission } from "./permissions.js";
+
+/**
+ * Quotas limiting what a publisher can add. Quotas are counted for the owner of
+ * the bootcamp, so courses added by team members use the quota of the owner.
+ *
+ * @type {Object<string, string>} Quota names and how they are shown in errors.
+ */
+export const QUOTAS = {
+  bootcamps: "bootcamps",
+  coursesPerBootcamp: "courses per bootcamp",
+  photos: "bootcamp photos",
+};
+
+const NO_PHOTO = "no-photo.jpg";
+
+// Count how much of a quota a user already uses
+const countUsage = {
+  bootcamps: (user) => Bootcamp.countDocuments({ user: user._id }),
+  coursesPerBootcamp: (user, bootcamp) =>
+    Course.countDocuments({ bootcamp: bootcamp._id }),
+  photos: (user) =>
+    Bootcamp.countDocuments({ user: user._id, photo: { $ne: NO_PHOTO } }),
+};
+
+/**
+ * Get the quota limits of a user. Limits set for the user replace the limits
+ * of their plan, users on an unknown plan get the free plan.
+ *
+ * @param {Object} user - The user.
+ * @returns {Promise<{plan: string, limits: Object<string, number|null>}>} The plan and the limits, null for unlimited.
+ */
+export const getQuotaLimits = async (user) => {
+  if (hasPermission(user.role, "quota:unlimited")) {
+    return {
+      plan: user.plan,
+      limits: Object.fromEntries(
+        Object.keys(QUOTAS).map((quota) => [quota, null])
+      ),
+    };
+  }
+
+  const settings = await Setting.getSettings();
+  const plan =
+    settings.quotaPlans.get(user.plan) || settings.quotaPlans.get("free");
+
+  return {
+    plan: user.plan,
+    limits: Object.fromEntries(
+      Object.keys(QUOTAS).map((quota) => [
+        quota,
+        user.quotas?.[quota] ?? plan[quota] ?? null,
+      ])
+    ),
+  };
+};
+
+/**
+ * Get the limits of a user with what they already use.
+ *
+ * @param {Object} user - The user.
+ * @returns {Promise<Object>} The plan and the usage of every quota, courses are listed per bootcamp.
+ */
+export const getQuotaUsage = async (user) => {
+  const { plan, limits } = await getQuotaLimits(user);
+  const bootcamps = await Bootcamp.find({ user: user._id }).select("name");
+
+  return {
+    plan,
+    quotas: {
+      bootcamps: {
+        limit: limits.bootcamps,
+        used: bootcamps.length,
+      },
+      coursesPerBootcamp: {
+        limit: limits.coursesPerBootcamp,
+        bootcamps: await Promise.all(
+          bootcamps.map(async (bootcamp) => ({
+            bootcamp: bootcamp._id,
+            name: bootcamp.name,
+            used: await countUsage.coursesPerBootcamp(user, bootcamp),
+          }))
+        ),
+      },
+      photos: {
+        limit: limits.photos,
+        used: await countUsage.photos(user),
+      },
+    },
+  };
+};
+
+/**
+ * Check if a user can add one more of a quota.
+ *
+ * @param {Object} user - The user the quota is counted for, the owner of the bootcamp.
+ * @param {string} quota - The quota, one of the keys of QUOTAS.
+ * @param {Object} [bootcamp] - The bootcamp the course or photo is added to.
+ * @returns {Promise<ErrorResponse|null>} A 403 error with the quota, limit, usage and plan in its details, or null.
+ */
+export const checkQuota = async (user, quota, bootcamp) => {
+  // Replacing the photo of a bootcamp does not use more of the quota
+  if (quota === "photos" && bootcamp && bootcamp.photo !== NO_PHOTO) {
+    return null;
+  }
+
+  const { plan, limits } = await getQuotaLimits(user);
+  const limit = limits[quota];
+
+  if (limit === null) {
+    return null;
+  }
+
+  const used = await countUsage[quota](user, bootcamp);
+
+  if (used < limit) {
+    return null;
+  }
+
+  const message = `The ${QUOTAS[quota]} quota of ${limit} has been reached!`;
+
+  return new ErrorResponse(message, 403, [
+    { field: quota, rule: "quota", message, limit, used, plan },
+  ]);
+};
+
+/**
+ * Check if a user can take over all bootcamps of another user without going
+ * over their bootcamp and photo quotas. Other users are not told the plan or
+ * usage of the user, so the error has no details.
+ *
+ * @param {Object} user - The user taking over the bootcamps.
+ * @param {Object} previousOwner - The user the bootcamps belong to.
+ * @returns {Promise<ErrorResponse|null>} A 403 error naming the quota that would be exceeded, or null.
+ */
+export const checkTransferQuota = async (user, previousOwner) => {
+  const { limits } = await getQuotaLimits(user);
+
+  for (const quota of ["bootcamps", "photos"]) {
+    const limit = limits[quota];
+
+    if (limit === null) {
+      continue;
+    }
+
+    const used =
+      (await countUsage[quota](user)) +
+      (await countUsage[quota](previousOwner));
+
+    if (used > limit) {
+      return new ErrorResponse(
+        `The new owner does not have enough of the ${QUOTAS[quota]} quota left to take over the bootcamps!`,
+        403
+      );
+    }
+  }
+
+  return null;
+};
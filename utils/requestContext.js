@@ -0,0 +1,20 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context that is available to everything it calls,
+ * including Mongoose hooks, without passing the request around.
+ *
+ * @param {Object} context - The context, e.g. the request id and the current user.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The result of the function.
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the current request or background job.
+ *
+ * @returns {Object|undefined} The context, undefined outside of a request or job.
+ */
+export const getRequestContext = () => storage.getStore();
@@ -1,23 +1,56 @@
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
-
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+import Session from "../models/SessionModel.js";
+import {
+  getCookieOptions,
+  getCsrfToken,
+  isCookieAuthEnabled,
+} from "./cookieAuth.js";
 
-  if (process.env.NODE_ENV === "production") {
-    cookieOptions.secure = true;
+// Start or rotate a session, create cookies and send response
+const sendTokenResponse = async (user, statusCode, req, res, session) => {
+  // Start a new session unless an existing one is being rotated
+  if (!session) {
+    session = new Session({
+      user: user._id,
+      loginMethod: req.loginMethod,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
   }
 
+  // Create tokens
+  const refreshToken = session.generateRefreshToken();
+  await session.save();
+
+  const token = user.getSignedJwtToken(session._id);
+
+  const cookieOptions = getCookieOptions(
+    new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000)
+  );
+
+  const refreshCookieOptions = {
+    ...getCookieOptions(session.expiresAt),
+    path: "/api/v1/auth",
+  };
+
   res
     .status(statusCode)
     .cookie("token", token, cookieOptions)
-    .json({ success: true, token });
+    .cookie("refreshToken", refreshToken, refreshCookieOptions);
+
+  if (!isCookieAuthEnabled()) {
+    return res.json({ success: true, token, refreshToken });
+  }
+
+  // The CSRF token is readable by the client so it can be sent back in the
+  // X-CSRF-Token header
+  const csrfToken = getCsrfToken(session._id);
+
+  res
+    .cookie("csrfToken", csrfToken, {
+      ...getCookieOptions(session.expiresAt),
+      httpOnly: false,
+    })
+    .json({ success: true, token, refreshToken, csrfToken });
 };
 
 export default sendTokenResponse;
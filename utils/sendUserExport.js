@@ -0,0 +1,148 @@
+import fs from "node:fs";
+import path from "node:path";
+import archiver from "archiver";
+import User from "../models/UserModel.js";
+import Bootcamp from "../models/BootcampModel.js";
+import Course from "../models/CourseModel.js";
+import Review from "../models/ReviewModel.js";
+import Session from "../models/SessionModel.js";
+import ApiKey from "../models/ApiKeyModel.js";
+import AuditLog from "../models/AuditLogModel.js";
+import EmailChange from "../models/EmailChangeModel.js";
+import PublisherApplication from "../models/PublisherApplicationModel.js";
+
+// Fields of the user that hold a secret, or when a secret expires. They are
+// removed from the profile even when they are selected.
+const SECRET_USER_FIELDS = [
+  "password",
+  "passwordHistory",
+  "twoFactorSecret",
+  "twoFactorLastUsedStep",
+  "twoFactorRecoveryCodes",
+  "emailVerificationToken",
+  "emailVerificationExpire",
+  "magicLinkToken",
+  "magicLinkExpire",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+];
+
+// Fields of an audit log entry about the admin who impersonated the user
+const IMPERSONATOR_FIELDS = ["actor", "ip", "userAgent"];
+
+// Get the audit log entries of a user. The values before and after a change
+// can be data of other users, e.g. when an admin edits them, so only the names
+// of the changed fields are kept. Entries where the user was impersonated do
+// not say who impersonated them or from where.
+const findAuditLogs = async (user) => {
+  const logs = await AuditLog.find({
+    $or: [{ actor: user._id }, { impersonatedUser: user._id }],
+  }).select("-changes.before -changes.after");
+
+  return logs.map((log) =>
+    log.impersonatedUser?.equals(user._id)
+      ? Object.fromEntries(
+          Object.entries(log.toJSON()).filter(
+            ([field]) => !IMPERSONATOR_FIELDS.includes(field)
+          )
+        )
+      : log
+  );
+};
+
+// Collect all personal data stored about a user. The hashes of sessions, API
+// keys and email changes are not selected.
+const buildUserExport = async (user) => {
+  const bootcamps = await Bootcamp.find({ user: user._id });
+
+  const photos = bootcamps
+    .map((bootcamp) => bootcamp.photo)
+    .filter((photo) => photo && photo !== "no-photo.jpg");
+
+  return {
+    exportedAt: new Date(),
+    profile: Object.fromEntries(
+      Object.entries(user.toJSON()).filter(
+        ([field]) => !SECRET_USER_FIELDS.includes(field)
+      )
+    ),
+    bootcamps,
+    teams: await Bootcamp.find({ "members.user": user._id }).select(
+      "name members"
+    ),
+    courses: await Course.find({ user: user._id }),
+    reviews: await Review.find({ user: user._id }),
+    sessions: await Session.find({ user: user._id }),
+    apiKeys: await ApiKey.find({ user: user._id }),
+    pendingEmailChanges: await EmailChange.find({ user: user._id }).select(
+      "newEmail expiresAt createdAt"
+    ),
+    publisherApplications: await PublisherApplication.find({
+      user: user._id,
+    }).select("-reviewedBy"),
+    auditLogs: await findAuditLogs(user),
+    photos,
+  };
+};
+
+/**
+ * Send the personal data export of a user.
+ *
+ * The export is sent as a JSON file, or as a zip archive containing the JSON
+ * file and the uploaded photos when the format query parameter is "zip".
+ *
+ * @param {string} userId - The id of the user to export.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @returns {Promise<boolean>} False if the user does not exist.
+ */
+const sendUserExport = async (userId, req, res) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return false;
+  }
+
+  const data = await buildUserExport(user);
+  const fileName = `devcamper-export-${user._id}`;
+
+  if (req.query.format !== "zip") {
+    res
+      .status(200)
+      .attachment(`${fileName}.json`)
+      .json({ success: true, data });
+
+    return true;
+  }
+
+  const archive = archiver("zip");
+
+  // The headers are already sent, the download can only be cut short
+  archive.on("error", (error) => {
+    console.error(error);
+    res.destroy();
+  });
+
+  res.status(200).attachment(`${fileName}.zip`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+
+  const uploadPath = path.resolve(process.env.FILE_UPLOAD_PATH);
+
+  for (const photo of data.photos) {
+    // Only files in the upload folder are added, whatever the photo field says
+    const fileName = path.basename(photo);
+    const photoPath = path.resolve(uploadPath, fileName);
+
+    if (path.dirname(photoPath) === uploadPath && fs.existsSync(photoPath)) {
+      archive.file(photoPath, { name: `photos/${fileName}` });
+    }
+  }
+
+  await archive.finalize();
+
+  return true;
+};
+
+export default sendUserExport;
@@ -0,0 +1,158 @@
+import * as crypto from "node:crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator
+ * apps such as Google Authenticator, Authy or 1Password.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TIME_STEP = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as an unpadded base32 string (RFC 4648).
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 encoded string.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (RFC 4648), ignoring padding, spaces and case.
+ *
+ * @param {string} input - The base32 string to decode.
+ * @returns {Buffer} The decoded bytes.
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a HMAC-based one-time password (RFC 4226).
+ *
+ * @param {string} secret - The base32 encoded shared secret.
+ * @param {number} counter - The moving factor.
+ * @returns {string} The zero padded one-time password.
+ */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Generate a new random base32 encoded secret.
+ *
+ * @returns {string} A 160-bit secret.
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a point in time.
+ *
+ * @param {number} [time=Date.now()] - Unix time in milliseconds.
+ * @returns {number} The time step counter.
+ */
+export const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TIME_STEP);
+
+/**
+ * Verify a time-based one-time password, allowing for clock drift.
+ *
+ * @param {string} secret - The base32 encoded shared secret.
+ * @param {string} code - The code entered by the user.
+ * @param {number} [window=1] - Number of time steps to accept before and after the current one.
+ * @returns {number|null} The matching time step, or null if the code is invalid.
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const token = String(code || "").replace(/\s/g, "");
+
+  if (!/^\d+$/.test(token) || token.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth URI that authenticator apps read from a QR code.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - The base32 encoded shared secret.
+ * @param {string} options.accountName - The account the secret belongs to, usually the email.
+ * @param {string} options.issuer - The name of the service.
+ * @returns {string} The otpauth URI.
+ */
+export const getOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(TIME_STEP),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};